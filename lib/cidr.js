@@ -0,0 +1,226 @@
+/**
+ *
+ * IPv4 and IPv6 CIDR parsing for ACL entries.
+ *
+ * Entries are normalized so equal networks compare equal however they are written: addresses are canonicalized
+ * (IPv6 lowercased and zero compressed per RFC 5952), host bits are cleared, a missing prefix means a single address
+ * and a leading "!" negates the entry.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+/**
+ *
+ * Parse an IPv4 address into its four bytes.
+ *
+ * @param {string} ip
+ * @returns {array|null} - Array of bytes, null if ip is not an IPv4 address.
+ */
+function parseIpv4(ip) {
+
+  var parts = String(ip).split('.');
+
+  if (parts.length !== 4 || !parts.every(function(part){ return /^\d{1,3}$/.test(part) && Number(part) <= 255; })) {
+    return null;
+  }
+
+  return parts.map(Number);
+
+}
+
+/**
+ *
+ * Parse an IPv6 address, including "::" compression and a trailing IPv4 part, into its eight 16 bit groups.
+ *
+ * @param {string} ip
+ * @returns {array|null} - Array of groups, null if ip is not an IPv6 address.
+ */
+function parseIpv6(ip) {
+
+  ip = String(ip);
+
+  var halves = ip.split('::');
+
+  if (halves.length > 2) {
+    return null;
+  }
+
+  var groups = function(text) {
+    if (!text) {
+      return [];
+    }
+
+    var parts = text.split(':');
+    var last = parts[parts.length - 1];
+    var result = [];
+
+    //A trailing IPv4 part, e.g. ::ffff:192.0.2.1, makes up the last two groups.
+    if (last.indexOf('.') !== -1) {
+      var bytes = parseIpv4(last);
+
+      if (!bytes) {
+        return null;
+      }
+
+      parts = parts.slice(0, -1);
+      result = [bytes[0] * 256 + bytes[1], bytes[2] * 256 + bytes[3]];
+    }
+
+    if (!parts.every(function(part){ return /^[0-9a-f]{1,4}$/i.test(part); })) {
+      return null;
+    }
+
+    return parts.map(function(part){ return parseInt(part, 16); }).concat(result);
+  };
+
+  var head = groups(halves[0]);
+  var tail = (halves.length === 2) ? groups(halves[1]) : [];
+
+  if (!head || !tail) {
+    return null;
+  }
+
+  //Only the first half may hold an IPv4 part when the address is compressed.
+  if (halves.length === 2 && halves[0].indexOf('.') !== -1) {
+    return null;
+  }
+
+  if (halves.length === 1) {
+    return (head.length === 8) ? head : null;
+  }
+
+  var missing = 8 - head.length - tail.length;
+
+  if (missing < 1) {
+    return null;
+  }
+
+  return head.concat(new Array(missing).fill(0), tail);
+
+}
+
+/**
+ *
+ * Format IPv6 groups per RFC 5952: lowercase, no leading zeros, the longest run of two or more zero groups compressed.
+ *
+ * @param {array} groups
+ * @returns {string}
+ */
+function formatIpv6(groups) {
+
+  var best = {start: -1, length: 0};
+  var run = {start: -1, length: 0};
+
+  groups.forEach(function(group, index){
+    if (group !== 0) {
+      run = {start: -1, length: 0};
+      return;
+    }
+
+    run = (run.start === -1) ? {start: index, length: 1} : {start: run.start, length: run.length + 1};
+
+    if (run.length > best.length) {
+      best = run;
+    }
+  });
+
+  var hex = groups.map(function(group){ return group.toString(16); });
+
+  if (best.length < 2) {
+    return hex.join(':');
+  }
+
+  return hex.slice(0, best.start).join(':') + '::' + hex.slice(best.start + best.length).join(':');
+
+}
+
+/**
+ *
+ * Clear the bits of a list of numbers (bytes or groups) past a prefix length.
+ *
+ * @param {array} values
+ * @param {number} bitsPerValue
+ * @param {number} prefix
+ * @returns {array}
+ */
+function maskHostBits(values, bitsPerValue, prefix) {
+
+  return values.map(function(value, index){
+    var keep = Math.max(0, Math.min(bitsPerValue, prefix - index * bitsPerValue));
+    var mask = (keep === 0) ? 0 : (Math.pow(2, bitsPerValue) - Math.pow(2, bitsPerValue - keep));
+
+    return value & mask;
+  });
+
+}
+
+/**
+ *
+ * Normalize an ACL entry.
+ *
+ * @param {string|object} entry - CIDR string, e.g. "192.0.2.0/24", "!10.0.0.1" or "2001:db8::/32", or an ACL entry
+ *                                object {ip, subnet, negated} as fastly returns them.
+ * @returns {object} - {ip, subnet, negated, family, cidr}. subnet is the prefix length, the address length for
+ *                     single addresses. cidr is the canonical string, e.g. "!10.0.0.0/8", and identifies the entry.
+ * @throws Will throw Error if the entry is not a valid IPv4 or IPv6 address or network.
+ */
+function normalize(entry) {
+
+  var ip = null;
+  var subnet = null;
+  var negated = false;
+
+  if (entry && typeof entry == 'object') {
+    ip = String(entry.ip || '').trim();
+    subnet = (entry.subnet === null || typeof entry.subnet == 'undefined' || entry.subnet === '') ? null : String(entry.subnet);
+    negated = entry.negated === true || String(entry.negated) === '1' || entry.negated === 'true';
+  }
+  else {
+    var text = String(entry || '').trim();
+
+    negated = text.charAt(0) === '!';
+    text = negated ? text.slice(1).trim() : text;
+
+    var slash = text.indexOf('/');
+    ip = (slash === -1) ? text : text.slice(0, slash);
+    subnet = (slash === -1) ? null : text.slice(slash + 1);
+  }
+
+  var bytes = parseIpv4(ip);
+  var groups = bytes ? null : parseIpv6(ip);
+
+  if (!bytes && !groups) {
+    throw new Error('"' + ip + '" is not an IPv4 or IPv6 address.');
+  }
+
+  var family = bytes ? 4 : 6;
+  var length = bytes ? 32 : 128;
+
+  if (subnet !== null && (!/^\d{1,3}$/.test(subnet) || Number(subnet) > length)) {
+    throw new Error('"' + subnet + '" is not a valid IPv' + family + ' prefix length.');
+  }
+
+  var prefix = (subnet === null) ? length : Number(subnet);
+
+  var address = bytes ? maskHostBits(bytes, 8, prefix).join('.') : formatIpv6(maskHostBits(groups, 16, prefix));
+
+  return {
+    ip: address,
+    subnet: prefix,
+    negated: negated,
+    family: family,
+    cidr: (negated ? '!' : '') + address + (prefix === length ? '' : '/' + prefix)
+  };
+
+}
+
+module.exports = {
+  parseIpv4: parseIpv4,
+  parseIpv6: parseIpv6,
+  formatIpv6: formatIpv6,
+  normalize: normalize
+};
@@ -0,0 +1,598 @@
+/**
+ *
+ * Command line interface built on FastlyPromise, see bin/fastly-promise.
+ *
+ * The API key is read from the FASTLY_API_KEY environment variable, or from a profile file: a JSON object of named
+ * profiles, e.g. {"default": {"apiKey": "..."}, "staging": {"apiKey": "...", "endpoint": "..."}}, read from
+ * ~/.fastly-promise.json unless FASTLY_PROFILE_FILE or --profile-file points elsewhere. An explicit --profile (or
+ * FASTLY_PROFILE) wins over FASTLY_API_KEY.
+ *
+ * Exit codes: 0 on success, 1 when the command failed, 2 on usage errors.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var ramda = require('ramda');
+var Promise = require('bluebird');
+var FastlyPromise = require('./fastlyPromise');
+var packageJson = require('../package.json');
+
+/**
+ *
+ * Flags that take a value, every other flag is a boolean switch.
+ */
+var VALUE_FLAGS = ['config-version', 'output', 'profile', 'profile-file', 'endpoint'];
+
+/**
+ *
+ * Error for bad command lines, reported with the usage text and exit code 2.
+ *
+ * @param {string} message
+ * @constructor
+ */
+function UsageError(message) {
+  Error.call(this);
+  this.name = 'UsageError';
+  this.message = message;
+}
+
+UsageError.prototype = Object.create(Error.prototype);
+UsageError.prototype.constructor = UsageError;
+
+/**
+ *
+ * Split command line arguments into positional arguments and flags.
+ *
+ * @param {array} argv - Arguments without the node and script paths.
+ * @returns {object} - {args: [string], flags: {name: value}}
+ * @throws Will throw UsageError if a value flag has no value.
+ */
+function parseArgs(argv) {
+  var args = [];
+  var flags = {};
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+
+    if (arg === '-h') {
+      flags.help = true;
+    }
+    else if (!match) {
+      args.push(arg);
+    }
+    else if (VALUE_FLAGS.indexOf(match[1]) === -1) {
+      flags[match[1]] = true;
+    }
+    else if (typeof match[2] != 'undefined') {
+      flags[match[1]] = match[2];
+    }
+    else if (i + 1 < argv.length) {
+      flags[match[1]] = argv[++i];
+    }
+    else {
+      throw new UsageError('Missing value for --' + match[1] + '.');
+    }
+  }
+
+  return {args: args, flags: flags};
+}
+
+/**
+ *
+ * Render rows as a plain text table.
+ *
+ * @param {array} rows - Array of objects.
+ * @param {array} columns - Object fields to show, in order.
+ * @returns {string}
+ */
+function formatTable(rows, columns) {
+
+  var cell = function(value) {
+    if (value === null || typeof value == 'undefined') {
+      return '';
+    }
+
+    return (typeof value == 'object') ? JSON.stringify(value) : String(value);
+  };
+
+  var lines = [columns.map(function(column){ return column.toUpperCase(); })].concat(rows.map(function(row){
+    return columns.map(function(column){ return cell(row[column]); });
+  }));
+
+  var widths = columns.map(function(column, index){
+    return Math.max.apply(null, lines.map(function(line){ return line[index].length; }));
+  });
+
+  return lines.map(function(line){
+    return line.map(function(value, index){
+      return (index === line.length - 1) ? value : value + ' '.repeat(widths[index] - value.length);
+    }).join('  ').replace(/\s+$/, '');
+  }).join('\n') + '\n';
+
+}
+
+/**
+ *
+ * Render a command result for the terminal.
+ *
+ * @param {*} result
+ * @param {object} command - Command definition, may define columns or a text() formatter.
+ * @returns {string}
+ */
+function formatResult(result, command) {
+
+  if (command.text) {
+    return command.text(result);
+  }
+
+  if (Array.isArray(result)) {
+    return formatTable(result, command.columns || ramda.uniq(ramda.chain(Object.keys, result)));
+  }
+
+  if (result && typeof result == 'object') {
+    return formatTable(Object.keys(result).map(function(key){ return {field: key, value: result[key]}; }), ['field', 'value']);
+  }
+
+  return String(result) + '\n';
+
+}
+
+/**
+ *
+ * Read a positional argument, throwing a UsageError when it is missing.
+ *
+ * @param {array} args
+ * @param {number} index
+ * @param {string} name - Argument name used in the error message.
+ * @returns {string}
+ */
+function required(args, index, name) {
+
+  if (typeof args[index] == 'undefined') {
+    throw new UsageError('Missing <' + name + '> argument.');
+  }
+
+  return args[index];
+
+}
+
+/**
+ *
+ * Read the --config-version flag, throwing a UsageError when a mutating command is missing it.
+ *
+ * @param {object} flags
+ * @returns {string}
+ */
+function requiredVersion(flags) {
+
+  if (!flags['config-version']) {
+    throw new UsageError('Missing --config-version, write commands never default to the active version.');
+  }
+
+  return flags['config-version'];
+
+}
+
+/**
+ *
+ * Resolve the config version a read command targets, defaulting to the active config version.
+ *
+ * @param {FastlyPromise} client
+ * @param {string} serviceId
+ * @param {object} flags
+ * @returns {string}
+ */
+function readVersion(client, serviceId, flags) {
+
+  if (flags['config-version']) {
+    return Promise.resolve(flags['config-version']);
+  }
+
+  return client.getActiveConfigVersion(serviceId)
+    .then(function(version){
+      if (!version) {
+        throw new Error('Service ' + serviceId + ' has no active config version, pass --config-version.');
+      }
+
+      return version.number;
+    });
+
+}
+
+/**
+ *
+ * Command definitions keyed by command name ("versions list" for subcommands).
+ *
+ * Each command defines
+ * {string} usage - Arguments and flags, shown in the help text.
+ * {boolean} mutating - Changes state, supports --dry-run.
+ * {function} describe - Called with (args, flags) for mutating commands, describes what the command would do.
+ * {function} run - Called with (client, args, flags, context), returns the result.
+ * {array} columns - Table columns for array results.
+ * {function} text - Table output formatter, for results that don't fit a table.
+ */
+var COMMANDS = {
+  'purge': {
+    usage: '<url> [--soft]',
+    mutating: true,
+    describe: function(args, flags){
+      return (flags.soft ? 'Soft purge ' : 'Purge ') + required(args, 0, 'url');
+    },
+    run: function(client, args, flags){
+      return client.purge(required(args, 0, 'url'), !!flags.soft);
+    }
+  },
+  'purge-key': {
+    usage: '<service-id> <key>... [--soft]',
+    mutating: true,
+    describe: function(args, flags){
+      required(args, 1, 'key');
+      return (flags.soft ? 'Soft purge' : 'Purge') + ' surrogate keys ' + args.slice(1).join(', ') + ' on service ' + args[0];
+    },
+    run: function(client, args, flags){
+      var keys = args.slice(1);
+
+      if (keys.length === 1) {
+        return client.purgeKey(args[0], keys[0], !!flags.soft);
+      }
+
+      return client.purgeKeys(args[0], keys, {soft: !!flags.soft})
+        .then(function(result){
+          var failedKeys = Object.keys(result.failed);
+
+          if (failedKeys.length) {
+            var error = new Error(failedKeys.length + ' of ' + keys.length + ' surrogate keys failed to purge: ' + failedKeys.join(', '));
+            error.result = {purged: result.purged, failed: ramda.map(ramda.prop('message'), result.failed)};
+            throw error;
+          }
+
+          return result;
+        });
+    },
+    text: function(result){
+      return (result.purged ? 'Purged ' + Object.keys(result.purged).length + ' surrogate keys.' : 'Purged.') + '\n';
+    }
+  },
+  'purge-all': {
+    usage: '<service-id>',
+    mutating: true,
+    describe: function(args){
+      return 'Purge all content of service ' + required(args, 0, 'service-id');
+    },
+    run: function(client, args){
+      return client.purgeAll(args[0]);
+    }
+  },
+  'versions list': {
+    usage: '<service-id>',
+    run: function(client, args){
+      return client.getConfigVersions(required(args, 0, 'service-id'));
+    },
+    columns: ['number', 'active', 'locked', 'comment', 'updated_at']
+  },
+  'versions clone': {
+    usage: '<service-id> [--config-version <number>]',
+    mutating: true,
+    describe: function(args, flags){
+      return 'Clone ' + (flags['config-version'] ? 'config version ' + flags['config-version'] : 'the active config version') + ' of service ' + required(args, 0, 'service-id');
+    },
+    run: function(client, args, flags){
+      return client.cloneConfigVersion(args[0], flags['config-version']);
+    }
+  },
+  'versions activate': {
+    usage: '<service-id> --config-version <number>',
+    mutating: true,
+    describe: function(args, flags){
+      return 'Activate config version ' + requiredVersion(flags) + ' of service ' + required(args, 0, 'service-id');
+    },
+    run: function(client, args, flags){
+      return client.activateConfigVersion(args[0], flags['config-version']);
+    }
+  },
+  'versions deactivate': {
+    usage: '<service-id> --config-version <number>',
+    mutating: true,
+    describe: function(args, flags){
+      return 'Deactivate config version ' + requiredVersion(flags) + ' of service ' + required(args, 0, 'service-id');
+    },
+    run: function(client, args, flags){
+      return client.deactivateConfigVersion(args[0], flags['config-version']);
+    }
+  },
+  'versions lock': {
+    usage: '<service-id> --config-version <number>',
+    mutating: true,
+    describe: function(args, flags){
+      return 'Lock config version ' + requiredVersion(flags) + ' of service ' + required(args, 0, 'service-id');
+    },
+    run: function(client, args, flags){
+      return client.lockConfigVersion(args[0], flags['config-version']);
+    }
+  },
+  'versions validate': {
+    usage: '<service-id> [--config-version <number>]',
+    run: function(client, args, flags){
+      var serviceId = required(args, 0, 'service-id');
+
+      return readVersion(client, serviceId, flags)
+        .then(function(configVersionNumber){
+          return client.validateConfigVersion(serviceId, configVersionNumber);
+        })
+        .then(function(validation){
+          if (validation.status !== 'ok' || (validation.errors && validation.errors.length)) {
+            var error = new Error('Config version failed validation: ' + (validation.errors || []).join('; '));
+            error.result = validation;
+            throw error;
+          }
+
+          return validation;
+        });
+    }
+  },
+  'vcl list': {
+    usage: '<service-id> [--config-version <number>]',
+    run: function(client, args, flags){
+      var serviceId = required(args, 0, 'service-id');
+
+      return readVersion(client, serviceId, flags)
+        .then(function(configVersionNumber){
+          return client.getAllVcl(serviceId, configVersionNumber);
+        });
+    },
+    columns: ['name', 'main', 'updated_at']
+  },
+  'vcl get': {
+    usage: '<service-id> <name> [--config-version <number>]',
+    run: function(client, args, flags){
+      var serviceId = required(args, 0, 'service-id');
+      var vclName = required(args, 1, 'name');
+
+      return readVersion(client, serviceId, flags)
+        .then(function(configVersionNumber){
+          return client.getVcl(serviceId, configVersionNumber, vclName);
+        });
+    },
+    text: function(vcl){
+      return vcl.content;
+    }
+  },
+  'vcl upload': {
+    usage: '<service-id> <name> <file> --config-version <number> [--main]',
+    mutating: true,
+    describe: function(args, flags){
+      return 'Upload ' + required(args, 2, 'file') + ' as VCL ' + args[1] + (flags.main ? ' (main)' : '') + ' to config version ' + requiredVersion(flags) + ' of service ' + args[0];
+    },
+    run: function(client, args, flags, context){
+      return client.uploadNewVcl(args[0], flags['config-version'], args[1], context.readFile(args[2]), !!flags.main);
+    }
+  },
+  'vcl update': {
+    usage: '<service-id> <name> <file> --config-version <number> [--main]',
+    mutating: true,
+    describe: function(args, flags){
+      return 'Update VCL ' + required(args, 1, 'name') + ' from ' + required(args, 2, 'file') + (flags.main ? ' (main)' : '') + ' on config version ' + requiredVersion(flags) + ' of service ' + args[0];
+    },
+    run: function(client, args, flags, context){
+      return client.updateVcl(args[0], flags['config-version'], args[1], context.readFile(args[2]), !!flags.main);
+    }
+  },
+  'vcl delete': {
+    usage: '<service-id> <name> --config-version <number>',
+    mutating: true,
+    describe: function(args, flags){
+      return 'Delete VCL ' + required(args, 1, 'name') + ' from config version ' + requiredVersion(flags) + ' of service ' + args[0];
+    },
+    run: function(client, args, flags){
+      return client.deleteVcl(args[0], args[1], flags['config-version']);
+    }
+  },
+  'vcl set-main': {
+    usage: '<service-id> <name> --config-version <number>',
+    mutating: true,
+    describe: function(args, flags){
+      return 'Set VCL ' + required(args, 1, 'name') + ' as main on config version ' + requiredVersion(flags) + ' of service ' + args[0];
+    },
+    run: function(client, args, flags){
+      return client.setMainVcl(args[0], args[1], flags['config-version']);
+    }
+  },
+  'vcl diff': {
+    usage: '<service-id> <from-version> <to-version> [--no-generated]',
+    run: function(client, args, flags){
+      return client.diffConfigVersions(required(args, 0, 'service-id'), required(args, 1, 'from-version'), required(args, 2, 'to-version'), {generatedVcl: !flags['no-generated']});
+    },
+    text: function(diff){
+      return diff.text;
+    }
+  }
+};
+
+/**
+ *
+ * Usage text listing every command.
+ *
+ * @returns {string}
+ */
+function usage() {
+
+  return [
+    'Usage: fastly-promise <command> [arguments] [options]',
+    '',
+    'Commands:'
+  ].concat(Object.keys(COMMANDS).map(function(name){
+    return '  ' + name + ' ' + COMMANDS[name].usage;
+  })).concat([
+    '',
+    'Options:',
+    '  --output <table|json>  Output format. Defaults to table, --json is short for --output json.',
+    '  --dry-run              Print what a write command would do without doing it.',
+    '  --profile <name>       Profile to read the API key from. Defaults to FASTLY_PROFILE, then "default".',
+    '  --profile-file <path>  Profile file. Defaults to FASTLY_PROFILE_FILE, then ~/.fastly-promise.json.',
+    '  --endpoint <url>       Fastly API endpoint.',
+    '  --version              Show the fastly-promise version.',
+    '  -h, --help             Show this help.',
+    '',
+    'The API key is read from FASTLY_API_KEY unless a profile is named.',
+    ''
+  ]).join('\n');
+
+}
+
+/**
+ *
+ * Work out the client settings from the environment and profile file.
+ *
+ * @param {object} flags
+ * @param {object} context
+ * @returns {object} - {apiKey, endpoint}
+ * @throws Will throw UsageError if no API key is configured.
+ */
+function resolveCredentials(flags, context) {
+  var env = context.env;
+  var profileName = flags.profile || env.FASTLY_PROFILE || null;
+  var profile = {};
+
+  if (profileName || !env.FASTLY_API_KEY) {
+    var profileFile = flags['profile-file'] || env.FASTLY_PROFILE_FILE || path.join(context.homedir, '.fastly-promise.json');
+    var profiles = null;
+
+    try {
+      profiles = JSON.parse(context.readFile(profileFile));
+    }
+    catch (error) {
+      if (error.code !== 'ENOENT' || profileName) {
+        throw new UsageError('Could not read profile file ' + profileFile + ': ' + error.message);
+      }
+    }
+
+    profile = (profiles && profiles[profileName || 'default']) || null;
+
+    if (!profile && profileName) {
+      throw new UsageError('Profile "' + profileName + '" not found in ' + profileFile + '.');
+    }
+
+    profile = profile || {};
+  }
+
+  var apiKey = profile.apiKey || env.FASTLY_API_KEY;
+
+  if (!apiKey) {
+    throw new UsageError('No API key, set FASTLY_API_KEY or add a profile to ~/.fastly-promise.json.');
+  }
+
+  return {apiKey: apiKey, endpoint: flags.endpoint || profile.endpoint || null};
+
+}
+
+/**
+ *
+ * Run a command line.
+ *
+ * @param {array} argv - Arguments without the node and script paths.
+ * @param {object} [context={}] - Process bindings, overridable for tests.
+ * @returns {number} - Exit code.
+ *
+ * The following context options are available
+ * {object} context.env - Environment variables. Defaults to process.env.
+ * {object} context.stdout - Writable for results. Defaults to process.stdout.
+ * {object} context.stderr - Writable for errors. Defaults to process.stderr.
+ * {string} context.homedir - Directory holding the default profile file. Defaults to os.homedir().
+ * {function} context.readFile - Reads a file as utf8 text. Defaults to fs.readFileSync.
+ * {object} context.clientOptions - Extra FastlyPromise constructor options, e.g. a transport.
+ *
+ */
+function run(argv, context) {
+
+  context = ramda.merge({
+    env: process.env,
+    stdout: process.stdout,
+    stderr: process.stderr,
+    homedir: os.homedir(),
+    readFile: function(file){ return fs.readFileSync(file, 'utf8'); },
+    clientOptions: {}
+  }, context || {});
+
+  var json = false;
+
+  var fail = function(error) {
+    var exitCode = (error instanceof UsageError) ? 2 : 1;
+
+    if (json) {
+      context.stderr.write(JSON.stringify({error: ramda.merge({name: error.name, message: error.message}, error.result ? {result: error.result} : {})}, null, 2) + '\n');
+    }
+    else {
+      context.stderr.write('Error: ' + error.message + '\n' + (exitCode === 2 ? '\n' + usage() : ''));
+    }
+
+    return exitCode;
+  };
+
+  return Promise.try(function(){
+      var parsed = parseArgs(argv);
+      var flags = parsed.flags;
+      var args = parsed.args;
+
+      json = flags.json || flags.output === 'json';
+
+      if (flags.output && ['json', 'table'].indexOf(flags.output) === -1) {
+        throw new UsageError('Unknown output format "' + flags.output + '".');
+      }
+
+      if (flags.help) {
+        context.stdout.write(usage());
+        return 0;
+      }
+
+      if (flags.version) {
+        context.stdout.write(packageJson.version + '\n');
+        return 0;
+      }
+
+      var name = COMMANDS[args[0]] ? args[0] : args.slice(0, 2).join(' ');
+      var command = COMMANDS[name];
+
+      if (!command) {
+        throw new UsageError(args.length ? 'Unknown command "' + args.slice(0, 2).join(' ') + '".' : 'Missing command.');
+      }
+
+      args = args.slice(name.split(' ').length);
+
+      //Validates the command line before anything is sent.
+      var description = command.mutating ? command.describe(args, flags) : null;
+
+      if (command.mutating && flags['dry-run']) {
+        context.stdout.write(json ? JSON.stringify({dryRun: true, command: name, description: description}, null, 2) + '\n' : '[dry-run] ' + description + '\n');
+        return 0;
+      }
+
+      var credentials = resolveCredentials(flags, context);
+      var client = new FastlyPromise(credentials.apiKey, ramda.merge(credentials.endpoint ? {endpoint: credentials.endpoint} : {}, context.clientOptions));
+
+      return Promise.resolve(command.run(client, args, flags, context))
+        .then(function(result){
+          context.stdout.write(json ? JSON.stringify(result, null, 2) + '\n' : formatResult(result, command));
+          return 0;
+        });
+    })
+    .catch(fail);
+
+}
+
+module.exports = {
+  COMMANDS: COMMANDS,
+  UsageError: UsageError,
+  parseArgs: parseArgs,
+  formatTable: formatTable,
+  usage: usage,
+  run: run
+};
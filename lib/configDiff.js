@@ -0,0 +1,241 @@
+/**
+ *
+ * Helpers for comparing two service config versions.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var jsdiff = require('diff');
+var ramda = require('ramda');
+var errors = require('./errors');
+
+/**
+ *
+ * Fields fastly sets on every object that change between versions without being configuration changes.
+ */
+var IGNORED_FIELDS = ['service_id', 'version', 'created_at', 'updated_at', 'deleted_at', 'locked'];
+
+/**
+ *
+ * Line level unified diff of two strings.
+ *
+ * @param {string} name - File name used in the diff header.
+ * @param {string} fromContent
+ * @param {string} toContent
+ * @param {string} fromLabel - e.g. "version 3"
+ * @param {string} toLabel
+ * @returns {string} - Unified diff, empty string if the contents are equal.
+ */
+function unifiedDiff(name, fromContent, toContent, fromLabel, toLabel) {
+
+  fromContent = fromContent || '';
+  toContent = toContent || '';
+
+  if (fromContent === toContent) {
+    return '';
+  }
+
+  return jsdiff.createTwoFilesPatch('a/' + name, 'b/' + name, fromContent, toContent, fromLabel, toLabel);
+
+}
+
+/**
+ *
+ * Compare two lists of VCL objects by name.
+ *
+ * @param {array} fromList - VCL objects from getAllVcl().
+ * @param {array} toList
+ * @param {string} fromLabel
+ * @param {string} toLabel
+ * @returns {object} - {added, removed, changed, unchanged, main: {from, to}}
+ */
+function diffVcl(fromList, toList, fromLabel, toLabel) {
+
+  var fromByName = ramda.indexBy(ramda.prop('name'), fromList || []);
+  var toByName = ramda.indexBy(ramda.prop('name'), toList || []);
+  var mainName = function(list){
+    var main = (list || []).find(function(vcl){ return vcl.main; });
+    return main ? main.name : null;
+  };
+
+  var result = {
+    added: [],
+    removed: [],
+    changed: [],
+    unchanged: [],
+    main: {from: mainName(fromList), to: mainName(toList)}
+  };
+
+  ramda.uniq(Object.keys(fromByName).concat(Object.keys(toByName))).sort().forEach(function(name){
+    var fromVcl = fromByName[name];
+    var toVcl = toByName[name];
+
+    if (!fromVcl) {
+      result.added.push({name: name, patch: unifiedDiff(name, '', toVcl.content, fromLabel, toLabel)});
+    }
+    else if (!toVcl) {
+      result.removed.push({name: name, patch: unifiedDiff(name, fromVcl.content, '', fromLabel, toLabel)});
+    }
+    else if (fromVcl.content !== toVcl.content) {
+      result.changed.push({name: name, patch: unifiedDiff(name, fromVcl.content, toVcl.content, fromLabel, toLabel)});
+    }
+    else {
+      result.unchanged.push(name);
+    }
+  });
+
+  return result;
+
+}
+
+/**
+ *
+ * Redact the values of secret fields in {field: {from, to}} changes. The field still shows up, so a rotated secret
+ * reads as a change without the secret itself ending up in review tickets or CI logs.
+ *
+ * @param {object} changes
+ * @returns {object} - Redacted copy.
+ */
+function redactChanges(changes) {
+
+  return ramda.mapObjIndexed(function(change, field){
+    return errors.SECRET_FIELD_PATTERN.test(field) ? {from: errors.REDACTED, to: errors.REDACTED} : change;
+  }, changes);
+
+}
+
+/**
+ *
+ * Compare two lists of configuration objects (backends, dictionaries, ...) field by field.
+ *
+ * @param {array} fromList
+ * @param {array} toList
+ * @param {string} [key='name'] - Field identifying an object across versions.
+ * @returns {object} - {added: [object], removed: [object], changed: [{name, fields: {field: {from, to}}}]}. Values of
+ *                     secret fields (see errors.SECRET_FIELD_PATTERN) are redacted.
+ */
+function diffObjects(fromList, toList, key) {
+
+  key = key || 'name';
+
+  var clean = ramda.omit(IGNORED_FIELDS);
+  var fromByKey = ramda.indexBy(ramda.prop(key), (fromList || []).map(clean));
+  var toByKey = ramda.indexBy(ramda.prop(key), (toList || []).map(clean));
+  var result = {added: [], removed: [], changed: []};
+
+  ramda.uniq(Object.keys(fromByKey).concat(Object.keys(toByKey))).sort().forEach(function(name){
+    var fromObject = fromByKey[name];
+    var toObject = toByKey[name];
+
+    if (!fromObject) {
+      return result.added.push(errors.redactFields(toObject));
+    }
+
+    if (!toObject) {
+      return result.removed.push(errors.redactFields(fromObject));
+    }
+
+    var fields = {};
+
+    ramda.uniq(Object.keys(fromObject).concat(Object.keys(toObject))).sort().forEach(function(field){
+      if (!ramda.equals(fromObject[field], toObject[field])) {
+        fields[field] = {from: fromObject[field], to: toObject[field]};
+      }
+    });
+
+    if (Object.keys(fields).length) {
+      result.changed.push({name: name, fields: redactChanges(fields)});
+    }
+  });
+
+  return result;
+
+}
+
+/**
+ *
+ * Does a diff produced by diffConfigVersions() contain any change.
+ *
+ * @param {object} diff
+ * @returns {boolean}
+ */
+function hasChanges(diff) {
+
+  var vclChanged = diff.vcl.added.length || diff.vcl.removed.length || diff.vcl.changed.length || diff.vcl.main.from !== diff.vcl.main.to;
+  var generatedChanged = diff.generatedVcl && diff.generatedVcl.changed;
+  var objectsChanged = Object.keys(diff.objects).some(function(type){
+    var objectDiff = diff.objects[type];
+    return objectDiff.added.length || objectDiff.removed.length || objectDiff.changed.length;
+  });
+
+  return !!(vclChanged || generatedChanged || objectsChanged);
+
+}
+
+/**
+ *
+ * Render a diff produced by diffConfigVersions() as plain text, e.g. for change review tickets.
+ *
+ * @param {object} diff
+ * @returns {string}
+ */
+function render(diff) {
+
+  var lines = ['Service ' + diff.serviceId + ': version ' + diff.fromVersion + ' -> version ' + diff.toVersion];
+
+  if (!hasChanges(diff)) {
+    lines.push('', 'No changes.');
+    return lines.join('\n') + '\n';
+  }
+
+  if (diff.vcl.main.from !== diff.vcl.main.to) {
+    lines.push('', 'Main VCL: ' + (diff.vcl.main.from || '(none)') + ' -> ' + (diff.vcl.main.to || '(none)'));
+  }
+
+  [['added', 'Added'], ['removed', 'Removed'], ['changed', 'Changed']].forEach(function(group){
+    diff.vcl[group[0]].forEach(function(vclDiff){
+      lines.push('', group[1] + ' VCL ' + vclDiff.name + ':', vclDiff.patch.replace(/\n$/, ''));
+    });
+  });
+
+  Object.keys(diff.objects).forEach(function(type){
+    var objectDiff = diff.objects[type];
+
+    objectDiff.added.forEach(function(object){
+      lines.push('', '+ ' + type + ' ' + object.name);
+    });
+
+    objectDiff.removed.forEach(function(object){
+      lines.push('', '- ' + type + ' ' + object.name);
+    });
+
+    objectDiff.changed.forEach(function(change){
+      lines.push('', '~ ' + type + ' ' + change.name);
+      Object.keys(change.fields).forEach(function(field){
+        lines.push('    ' + field + ': ' + JSON.stringify(change.fields[field].from) + ' -> ' + JSON.stringify(change.fields[field].to));
+      });
+    });
+  });
+
+  if (diff.generatedVcl && diff.generatedVcl.changed) {
+    lines.push('', 'Generated VCL:', diff.generatedVcl.patch.replace(/\n$/, ''));
+  }
+
+  return lines.join('\n') + '\n';
+
+}
+
+module.exports = {
+  IGNORED_FIELDS: IGNORED_FIELDS,
+  unifiedDiff: unifiedDiff,
+  diffVcl: diffVcl,
+  redactChanges: redactChanges,
+  diffObjects: diffObjects,
+  hasChanges: hasChanges,
+  render: render
+};
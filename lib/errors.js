@@ -0,0 +1,259 @@
+/**
+ *
+ * Error classes thrown by the FastlyPromise client.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var util = require('util');
+
+/**
+ *
+ * Base class for all errors thrown by the client for failed API requests.
+ *
+ * @param {string} message
+ * @param {object} [properties={}]
+ * @constructor
+ *
+ * The following properties are set on every error
+ * {number|null} statusCode - Http status of the failed response, null for network errors.
+ * {string|null} msg - Fastly error "msg" field from the response body.
+ * {string|null} detail - Fastly error "detail" field from the response body.
+ * {object|string|null} body - Parsed response body.
+ * {string|null} method - Http method of the failed request.
+ * {string|null} url - Url of the failed request with the API key redacted.
+ * {string|null} requestId - Fastly request id of the failed response.
+ */
+function FastlyError(message, properties) {
+  Error.call(this);
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  }
+
+  properties = properties || {};
+
+  this.name = this.constructor.name;
+  this.message = message;
+  this.statusCode = properties.statusCode || null;
+  this.msg = properties.msg || null;
+  this.detail = properties.detail || null;
+  this.body = (typeof properties.body == 'undefined') ? null : properties.body;
+  this.method = properties.method || null;
+  this.url = properties.url || null;
+  this.requestId = properties.requestId || null;
+
+  //Keep the underlying error around for debugging without dumping it into logs.
+  Object.defineProperty(this, 'cause', {value: properties.cause || null, enumerable: false});
+}
+
+util.inherits(FastlyError, Error);
+
+/**
+ *
+ * Create an error class extending FastlyError (or another parent).
+ *
+ * @param {string} name - Class name.
+ * @param {function} [Parent=FastlyError]
+ * @returns {function} - Error constructor.
+ */
+function defineError(name, Parent) {
+  Parent = Parent || FastlyError;
+
+  var ErrorClass = function(message, properties) {
+    Parent.call(this, message, properties);
+  };
+
+  //Give the constructor (and therefore error.name) the class name.
+  Object.defineProperty(ErrorClass, 'name', {value: name});
+  util.inherits(ErrorClass, Parent);
+
+  return ErrorClass;
+}
+
+var ValidationError = defineError('ValidationError');
+var AuthenticationError = defineError('AuthenticationError');
+var NotFoundError = defineError('NotFoundError');
+var ConflictError = defineError('ConflictError');
+var RateLimitError = defineError('RateLimitError');
+var ServerError = defineError('ServerError');
+var NetworkError = defineError('NetworkError');
+var DeployError = defineError('DeployError');
+var ImportError = defineError('ImportError');
+var ApplyError = defineError('ApplyError');
+var ImmutableVersionError = defineError('ImmutableVersionError', ValidationError);
+var PropagationTimeoutError = defineError('PropagationTimeoutError');
+
+/**
+ *
+ * Map an http status code to the error class that represents it.
+ *
+ * @param {number} statusCode
+ * @returns {function} - Error constructor.
+ */
+function errorClassForStatus(statusCode) {
+
+  switch (statusCode) {
+    case 400:
+    case 422:
+      return ValidationError;
+    case 401:
+    case 403:
+      return AuthenticationError;
+    case 404:
+      return NotFoundError;
+    case 409:
+      return ConflictError;
+    case 429:
+      return RateLimitError;
+  }
+
+  return (statusCode >= 500) ? ServerError : FastlyError;
+
+}
+
+/**
+ *
+ * Placeholder replacing redacted secrets.
+ */
+var REDACTED = '[REDACTED]';
+
+/**
+ *
+ * Replace the API key anywhere it appears in a url.
+ *
+ * @param {string} url
+ * @param {string} [apiKey]
+ * @returns {string} - Redacted url.
+ */
+function redactUrl(url, apiKey) {
+
+  url = String(url).replace(/([?&]api_key=)[^&#]*/gi, '$1' + REDACTED);
+
+  return apiKey ? url.split(apiKey).join(REDACTED) : url;
+
+}
+
+/**
+ *
+ * Field (and header) names holding secrets, e.g. logging endpoint credentials and auth headers, TLS keys or the
+ * Fastly-Key and Authorization headers.
+ */
+var SECRET_FIELD_PATTERN = /(password|passphrase|secret|secret_key|token|api_key|access_key|account_key|private_key|client_key|credentials?|authorization|header_value|fastly-key)$/i;
+
+/**
+ *
+ * Replace the values of secret fields in a request body (or headers object) with "[REDACTED]".
+ *
+ * @param {object} fields
+ * @param {RegExp} [pattern=SECRET_FIELD_PATTERN] - Field names to redact.
+ * @returns {object} - Redacted copy, or the value itself if it is not an object.
+ */
+function redactFields(fields, pattern) {
+
+  pattern = pattern || SECRET_FIELD_PATTERN;
+
+  if (Array.isArray(fields)) {
+    return fields.map(function(value){ return redactFields(value, pattern); });
+  }
+
+  if (!fields || typeof fields != 'object') {
+    return fields;
+  }
+
+  var redacted = {};
+
+  Object.keys(fields).forEach(function(field){
+    redacted[field] = pattern.test(field) ? REDACTED : redactFields(fields[field], pattern);
+  });
+
+  return redacted;
+
+}
+
+/**
+ *
+ * Convert a request-promise StatusCodeError/RequestError into a FastlyError.
+ *
+ * @param {Error} error - Error thrown by request-promise.
+ * @param {object} context
+ * @param {string} context.method - Http method of the request.
+ * @param {string} context.url - Url of the request.
+ * @param {string} [context.apiKey] - API key to redact from the url.
+ * @returns {FastlyError}
+ */
+function fromRequestError(error, context) {
+
+  if (error instanceof FastlyError) {
+    return error;
+  }
+
+  var url = redactUrl(context.url, context.apiKey);
+  var response = error.response;
+
+  //Socket level failures never got a response.
+  if (!response) {
+    var reason = error.cause ? (error.cause.code || error.cause.message) : error.message;
+
+    return new NetworkError('Fastly API request failed (' + context.method + ' ' + url + '): ' + reason, {
+      method: context.method,
+      url: url,
+      cause: error
+    });
+  }
+
+  var body = response.body;
+  if (typeof body == 'string') {
+    try { body = JSON.parse(body); } catch (parseError) { /* Leave non JSON bodies as text */ }
+  }
+
+  var msg = (body && typeof body == 'object') ? body.msg : null;
+  var detail = (body && typeof body == 'object') ? body.detail : null;
+  var headers = response.headers || {};
+
+  var message = 'Fastly API error ' + response.statusCode + ' (' + context.method + ' ' + url + ')';
+  if (msg) { message += ': ' + msg; }
+  if (detail) { message += ' - ' + detail; }
+
+  var ErrorClass = errorClassForStatus(response.statusCode);
+
+  return new ErrorClass(message, {
+    statusCode: response.statusCode,
+    msg: msg,
+    detail: detail,
+    body: body,
+    method: context.method,
+    url: url,
+    requestId: headers['fastly-request-id'] || headers['x-request-id'] || null,
+    cause: error
+  });
+
+}
+
+module.exports = {
+  FastlyError: FastlyError,
+  ValidationError: ValidationError,
+  AuthenticationError: AuthenticationError,
+  NotFoundError: NotFoundError,
+  ConflictError: ConflictError,
+  RateLimitError: RateLimitError,
+  ServerError: ServerError,
+  NetworkError: NetworkError,
+  DeployError: DeployError,
+  ImportError: ImportError,
+  ApplyError: ApplyError,
+  ImmutableVersionError: ImmutableVersionError,
+  PropagationTimeoutError: PropagationTimeoutError,
+  defineError: defineError,
+  errorClassForStatus: errorClassForStatus,
+  REDACTED: REDACTED,
+  SECRET_FIELD_PATTERN: SECRET_FIELD_PATTERN,
+  redactUrl: redactUrl,
+  redactFields: redactFields,
+  fromRequestError: fromRequestError
+};
@@ -10,32 +10,158 @@
 'use strict';
 
 //Dependencies
-var requestP = require('request-promise');
+var util = require('util');
+var querystring = require('querystring');
+var EventEmitter = require('events').EventEmitter;
 var ramda = require('ramda');
 var Promise = require('bluebird');
+var errors = require('./errors');
+var transport = require('./transport');
+var configDiff = require('./configDiff');
+var Paginator = require('./paginator');
+var vclLinter = require('./vclLinter');
+var cidr = require('./cidr');
+var jsonLinesLogger = require('./jsonLinesLogger');
+var PurgeQueue = require('./purgeQueue');
+var packageJson = require('../package.json');
+
+/**
+ *
+ * Default fastly API endpoint.
+ */
+var DEFAULT_ENDPOINT = 'https://api.fastly.com';
+
+/**
+ *
+ * Default fastly real-time analytics endpoint.
+ */
+var DEFAULT_REALTIME_ENDPOINT = 'https://rt.fastly.com';
+
+/**
+ *
+ * Default retry settings used by FastlyPromise.request().
+ *
+ * {number} retries - Max number of retries after the initial attempt. Set to 0 to disable retrying.
+ * {number} minTimeout - Base backoff delay in milliseconds.
+ * {number} maxTimeout - Max backoff delay in milliseconds.
+ * {number} factor - Exponential backoff factor.
+ * {boolean} jitter - Randomize backoff delays ("full jitter") so concurrent clients don't retry in lockstep.
+ * {number} maxRetryAfter - Max delay in milliseconds we will wait when fastly asks us to back off via Retry-After or rate limit headers. Longer requested delays are not retried.
+ * {array} methods - Http methods considered safe to retry.
+ * {boolean} retryPurgePosts - Opt in to retrying the POST requests made by purgeAll() and purgeKey().
+ * {array} statusCodes - Response status codes that trigger a retry.
+ * {array} errorCodes - Socket error codes that trigger a retry.
+ */
+var DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  minTimeout: 500,
+  maxTimeout: 30000,
+  factor: 2,
+  jitter: true,
+  maxRetryAfter: 60000,
+  methods: ['GET', 'HEAD', 'PUT', 'DELETE', 'PURGE'],
+  retryPurgePosts: false,
+  statusCodes: [429, 500, 502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+};
 
 /**
  *
  * Constructor
  *
  * @param {string} apiKey
+ * @param {object} [options={}] - optional client settings
  * @returns {FastlyPromise}
  * @constructor
+ *
+ * The following options are available
+ * {string} options.endpoint - Base url of the fastly API, e.g. a local stand-in. Defaults to https://api.fastly.com.
+ * {string} options.realtimeEndpoint - Base url of the real-time analytics API. Defaults to https://rt.fastly.com.
+ * {number} options.timeout - Default request timeout in milliseconds.
+ * {string} options.proxy - Http(s) proxy url requests are sent through.
+ * {object} options.agent - Http(s) agent, e.g. a keep-alive agent.
+ * {string} options.userAgentSuffix - Appended to the client's User-Agent header.
+ * {object} options.headers - Default headers sent with every request.
+ * {object} options.retry - Overrides for DEFAULT_RETRY_OPTIONS.
+ * {function} options.transport - Transport used to send requests, see lib/transport.js. Pass new MockFastly().transport to work offline.
+ * {boolean} options.safeMode - Check the config version before every versioned write and refuse writes to active or locked versions with an ImmutableVersionError.
+ * {boolean} options.copyOnWrite - Instead of refusing, clone the active or locked version once and send the write, and later writes to the same version, to the clone. Implies safeMode.
+ * {boolean|object} options.logger - Log request lifecycle events as JSON lines, true or options for lib/jsonLinesLogger.js.
+ *
+ * The client is an EventEmitter emitting request lifecycle events, see FastlyPromise.prototype.request().
+ *
  */
-var FastlyPromise = function FastlyPromise(apiKey) {
+var FastlyPromise = function FastlyPromise(apiKey, options) {
   if(!(this instanceof FastlyPromise)) {
     if(!apiKey){
       throw new Error('Missing API key parameter.');
     }else {
-      return new FastlyPromise(apiKey);
+      return new FastlyPromise(apiKey, options);
     }
   }
 
+  EventEmitter.call(this);
+
+  options = options || {};
+
   this.apiKey = apiKey;
-  this.endpoint = 'https://api.fastly.com';
+  this.endpoint = (options.endpoint || DEFAULT_ENDPOINT).replace(/\/+$/, '');
+  this.realtimeEndpoint = (options.realtimeEndpoint || DEFAULT_REALTIME_ENDPOINT).replace(/\/+$/, '');
+  this.timeout = options.timeout || null;
+  this.proxy = options.proxy || null;
+  this.agent = options.agent || null;
+  this.userAgent = 'fastly-promise/' + packageJson.version + (options.userAgentSuffix ? ' ' + options.userAgentSuffix : '');
+  this.headers = options.headers || {};
+  this.retryOptions = ramda.merge(DEFAULT_RETRY_OPTIONS, options.retry || {});
+  this.transport = options.transport || transport.requestTransport;
+  this.safeMode = !!(options.safeMode || options.copyOnWrite);
+  this.copyOnWrite = !!options.copyOnWrite;
+
+  //Config version drafts cloned by copy-on-write, keyed by "serviceId/sourceVersionNumber".
+  this.copyOnWriteVersions = {};
+
+  //Correlates the lifecycle events of a request.
+  this.requestSequence = 0;
+
+  if (options.logger) {
+    jsonLinesLogger(this, (typeof options.logger == 'object') ? options.logger : {});
+  }
 
 }
 
+util.inherits(FastlyPromise, EventEmitter);
+
+FastlyPromise.DEFAULT_ENDPOINT = DEFAULT_ENDPOINT;
+FastlyPromise.DEFAULT_REALTIME_ENDPOINT = DEFAULT_REALTIME_ENDPOINT;
+FastlyPromise.DEFAULT_RETRY_OPTIONS = DEFAULT_RETRY_OPTIONS;
+
+//Expose the in-memory fastly stand-in for offline use, e.g. new FastlyPromise(key, {transport: new FastlyPromise.MockFastly().transport})
+//It is only loaded on first access, so production code never pays for it.
+Object.defineProperty(FastlyPromise, 'MockFastly', {
+  enumerable: true,
+  get: function(){
+    return require('./mockFastly');
+  }
+});
+
+//Expose the offline VCL linter, e.g. FastlyPromise.vclLinter.lint(content)
+FastlyPromise.vclLinter = vclLinter;
+
+//Expose the ACL entry normalization, e.g. FastlyPromise.cidr.normalize('!192.0.2.0/24')
+FastlyPromise.cidr = cidr;
+
+//Expose the JSON lines logger, e.g. FastlyPromise.jsonLinesLogger(client, {stream: auditLogStream, writesOnly: true})
+FastlyPromise.jsonLinesLogger = jsonLinesLogger;
+FastlyPromise.PurgeQueue = PurgeQueue;
+
+//Expose error classes so callers can branch with instanceof, e.g. error instanceof FastlyPromise.NotFoundError
+FastlyPromise.errors = errors;
+Object.keys(errors).forEach(function(name){
+  if (errors[name] === errors.FastlyError || (typeof errors[name] == 'function' && errors[name].prototype instanceof errors.FastlyError)) {
+    FastlyPromise[name] = errors[name];
+  }
+});
+
 /**
  *
  * Generic request method that all convenience request methods extend.
@@ -47,15 +173,31 @@ var FastlyPromise = function FastlyPromise(apiKey) {
  * @param {object} [options={}] - optional params
  * @returns {object|array|string} response from fastly.
  * @throws Will throw error if missing required method or url params.
+ * @throws Rejects with a FastlyError subclass (see lib/errors.js) if the request fails.
  *
  * The following options are available
  * {boolean} options.softPurge - Make purge requests to fastly "soft purges".
- * {object} options.headers - Arbitrary headers to be sent with request.
+ * {object} options.headers - Arbitrary headers to be sent with request. Merged over the client's default headers.
+ * {number} options.timeout - Request timeout in milliseconds. Defaults to the client's timeout.
  * {object} options.form - POST body data encoded as application/x-www-form-urlencoded to be sent with request.
- * {object} options.requestPromiseOptions - Allows you to directly set or overwrite request-promise options for edge cases.
+ * {object} options.json - Body data encoded as application/json to be sent with request.
+ * {object|boolean} options.retry - Per request overrides for the client retry settings. Pass false to disable retrying.
+ * {boolean} options.idempotent - Treat the request as safe to retry regardless of its http method.
+ * {boolean} options.fullResponse - Resolve with {statusCode, headers, body} instead of just the parsed body.
+ * {object} options.requestPromiseOptions - Allows you to directly set or overwrite request-promise options for edge cases,
+ *                                          e.g. {simple: false} resolves with non 2xx responses instead of rejecting,
+ *                                          and {resolveWithFullResponse: true} works like options.fullResponse.
+ *
+ * The client emits the following events for every request, with secrets redacted from the url, headers and body
+ * "request" - Before every attempt. {sequence, attempt, method, url, headers, form, json}
+ * "response" - After a successful attempt. Adds {statusCode, durationMs, requestId}
+ * "retry" - After a failed attempt that will be retried. Adds {statusCode, durationMs, requestId, delayMs, error}
+ * "error" - When the request finally fails. Adds {statusCode, durationMs, requestId, error}. Only emitted while an
+ *           error listener is attached, so it never throws like unhandled EventEmitter errors do.
  *
  */
 FastlyPromise.prototype.request = function request(method, url, options) {
+  var self = this;
 
   //Validate params
   if (!method || !url) {
@@ -72,12 +214,18 @@ FastlyPromise.prototype.request = function request(method, url, options) {
   options.softPurge = (typeof options.softPurge == "undefined") ? false : options.softPurge;
 
   //Set headers
-  var headers = {'Fastly-Key': this.apiKey};
+  var headers = ramda.merge({'User-Agent': this.userAgent}, this.headers);
+  headers['Fastly-Key'] = this.apiKey;
   if (options.softPurge){ headers['Fastly-Soft-Purge'] = 1; }
   if (options.headers) { headers = ramda.merge(headers, options.headers); }
 
-  //Strip API key header if request is not pointed to fastly endpoint
-  if(url.substring(0, this.endpoint.length) !== this.endpoint) {
+  //Strip API key header if request is not pointed to a fastly endpoint. The character after the endpoint is checked so
+  //lookalike hosts (e.g. https://api.fastly.com.example.com) don't receive the key.
+  var toFastly = [this.endpoint, this.realtimeEndpoint].some(function(endpoint){
+    return url.substring(0, endpoint.length) === endpoint && /^([\/?#]|$)/.test(url.substring(endpoint.length));
+  });
+
+  if(!toFastly) {
     delete headers['Fastly-Key'];
   }
 
@@ -85,151 +233,306 @@ FastlyPromise.prototype.request = function request(method, url, options) {
   var requestPromiseOptions = {
     method: method,
     uri: url,
-    headers: headers,
-    resolveWithFullResponse: true
+    headers: headers
   };
 
+  //Apply connection settings
+  var timeout = options.timeout || this.timeout;
+  if (timeout) { requestPromiseOptions.timeout = timeout; }
+  if (this.proxy) { requestPromiseOptions.proxy = this.proxy; }
+  if (this.agent) { requestPromiseOptions.agent = this.agent; }
+
   //Attach form payload if exists
   if (options.form) { requestPromiseOptions.form = options.form; }
 
-  //Set/Overwrite requestPromiseOptions
+  //Attach JSON payload if exists
+  if (options.json) {
+    requestPromiseOptions.body = JSON.stringify(options.json);
+    requestPromiseOptions.headers = ramda.merge({'Content-Type': 'application/json'}, headers);
+  }
+
+  //Set/Overwrite requestPromiseOptions. Transports always resolve with the full response, so resolveWithFullResponse
+  //is applied to the result instead, like options.fullResponse.
   if (options.requestPromiseOptions) { requestPromiseOptions = ramda.merge(requestPromiseOptions, options.requestPromiseOptions); }
+  var fullResponse = options.fullResponse || requestPromiseOptions.resolveWithFullResponse === true;
+  requestPromiseOptions = ramda.omit(['resolveWithFullResponse'], requestPromiseOptions);
+
+  //Resolve retry settings
+  var retryOptions = (options.retry === false) ? ramda.merge(this.retryOptions, {retries: 0}) : ramda.merge(this.retryOptions, options.retry || {});
+  var retryable = options.idempotent || retryOptions.methods.indexOf(method.toUpperCase()) !== -1;
+
+  var requestTransport = this.transport;
+  var apiKey = this.apiKey;
+
+  //Lifecycle event fields shared by every attempt.
+  var eventBase = {
+    sequence: ++this.requestSequence,
+    method: method,
+    url: errors.redactUrl(url, apiKey),
+    headers: errors.redactFields(requestPromiseOptions.headers),
+    form: errors.redactFields(requestPromiseOptions.form || null),
+    json: errors.redactFields(options.json || null)
+  };
+  var startedAt = null;
+
+  var responseFields = function(response) {
+    var headers = (response && response.headers) || {};
+
+    return {
+      statusCode: response ? response.statusCode : null,
+      durationMs: Date.now() - startedAt,
+      requestId: headers['fastly-request-id'] || headers['x-request-id'] || null
+    };
+  };
 
-  //Fire request, process response.
-  return requestP(requestPromiseOptions)
+  //Fire request, retrying transient failures with backoff.
+  var attempt = function attempt(attemptNumber) {
+    startedAt = Date.now();
+    emitEvent(self, 'request', ramda.merge(eventBase, {attempt: attemptNumber}));
+
+    return transport.send(requestTransport, ramda.merge({}, requestPromiseOptions))
+      .then(function(response){
+        emitEvent(self, 'response', ramda.merge(eventBase, ramda.merge({attempt: attemptNumber}, responseFields(response))));
+        return response;
+      }, function(error){
+
+        var delay = (retryable && attemptNumber < retryOptions.retries) ? retryDelay(error, attemptNumber, retryOptions) : null;
+
+        if (delay === null) {
+          throw error;
+        }
+
+        emitEvent(self, 'retry', ramda.merge(eventBase, ramda.merge({attempt: attemptNumber, delayMs: delay, error: errors.fromRequestError(error, {method: method, url: url, apiKey: apiKey})}, responseFields(error.response))));
+
+        return Promise.delay(delay).then(function(){
+          return attempt(attemptNumber + 1);
+        });
+
+      });
+  };
+
+  //Process response.
+  return attempt(0)
+    .catch(function(error){
+      var fastlyError = errors.fromRequestError(error, {method: method, url: url, apiKey: apiKey});
+
+      if (self.listenerCount('error')) {
+        emitEvent(self, 'error', ramda.merge(eventBase, ramda.merge({error: fastlyError}, responseFields(error.response))));
+      }
+
+      throw fastlyError;
+    })
     .then(function(response){
-      return (response.headers['content-type'] == 'application/json') ? JSON.parse(response.body) : response.body;
+      var body = parseResponseBody(response);
+      return fullResponse ? {statusCode: response.statusCode, headers: response.headers, body: body} : body;
     });
 
 }
 
 /**
  *
- * Placeholder function used to stub unimplemented API endpoint convenience methods that should be implemented at a future date.
+ * Emit a request lifecycle event. Listener failures are kept away from the request they observe.
  *
+ * @param {FastlyPromise} client
+ * @param {string} name - Event name.
+ * @param {object} event
  */
-function unimplementedEndpoint() {
+function emitEvent(client, name, event) {
 
-  throw new Error('Sorry, the convenience method for this API endpoint is not supported by this client yet. Please use FastlyPromise.request() directly to use this endpoint.');
+  try {
+    client.emit(name, event);
+  }
+  catch (listenerError) {
+    //A broken audit log must not fail the purge or deploy it was logging.
+  }
 
 }
 
-/*
- |--------------------------------------------------------------------------
- | Purging
- |--------------------------------------------------------------------------
- |
- | Purging related methods.
- |
- | https://docs.fastly.com/api/purge
- |
- */
-
 /**
  *
- * Purge a url.
+ * Paginate a list endpoint. See lib/paginator.js.
  *
- * @param {string} url - Fully qualified url of resource you want to purge.
- * @param {boolean} [softPurge=false] - Soft purge instead of standard purge. Defaults to false.
- * @returns {object} - Fastly purge response.
- * @throws Will throw error if url param is not absolute.
+ * Use this method if a list convenience method does not already exist for your use case.
+ *
+ * @param {string} url - Url of the list endpoint.
+ * @param {object} [options={}] - Paginator options: perPage, page, requestOptions.
+ * @returns {Paginator} - Paginator with all(), find(predicate) and lazy async iteration.
  */
-FastlyPromise.prototype.purge = function purge(url, softPurge) {
-
-  //Purge request urls should be absolute
-  if(!/^((http|https):\/\/)/.test(url)) {
-    throw new Error('Standard purge requests should be absolute urls.');
-  }
-
-  softPurge = (typeof softPurge == 'undefined') ? false : softPurge;
+FastlyPromise.prototype.paginate = function paginate(url, options) {
 
-  return this.request('PURGE', url, {softPurge: softPurge});
+  return new Paginator(this, url, options);
 
 }
 
 /**
  *
- * Hard purge all objects from a service.
+ * Parse a response body according to its content type. JSON responses (including "application/json; charset=utf-8"
+ * and +json types) are parsed, text/plain, text/html and anything else is returned as a string.
  *
- * @param {string} serviceId - The fastly service id.
- * @returns {object} - Fastly purge response.
+ * @param {object} response - Full http response.
+ * @returns {object|array|string}
  */
-FastlyPromise.prototype.purgeAll = function purgeAll(serviceId) {
+function parseResponseBody(response) {
+
+  var contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  var isJson = /^application\/([\w.-]+\+)?json$/.test(contentType);
+
+  if (isJson && typeof response.body == 'string') {
+    return response.body.length ? JSON.parse(response.body) : null;
+  }
 
-  return this.request('POST', this.endpoint + '/service/' + serviceId + '/purge_all');
+  return response.body;
 
 }
 
 /**
  *
- * Purge a fastly surrogate key.
+ * Work out how long to wait before retrying a failed request.
  *
- * @param {string} serviceId - The fastly service id.
- * @param {string} key - The surrogate key you wish to purge.
- * @param {boolean} [softPurge=false] - Soft purge instead of standard purge. Defaults to false.
- * @returns {object} - Fastly purge response.
+ * @param {Error} error - request-promise StatusCodeError or RequestError.
+ * @param {number} attemptNumber - Zero based number of the attempt that failed.
+ * @param {object} retryOptions
+ * @returns {number|null} - Delay in milliseconds, or null if the error should not be retried.
  */
-FastlyPromise.prototype.purgeKey = function purgeKey(serviceId, surrogateKey, softPurge) {
+function retryDelay(error, attemptNumber, retryOptions) {
 
-  softPurge = (typeof softPurge == 'undefined') ? false : softPurge;
+  if (error.response) {
 
-  return this.request('POST', this.endpoint + '/service/' + serviceId + '/purge/' +  surrogateKey, {softPurge: softPurge});
+    if (retryOptions.statusCodes.indexOf(error.response.statusCode) === -1) {
+      return null;
+    }
 
-}
+    //Honor server requested delays over our own backoff.
+    var requestedDelay = serverRequestedDelay(error.response);
+    if (requestedDelay !== null) {
+      return (requestedDelay <= retryOptions.maxRetryAfter) ? requestedDelay : null;
+    }
 
-/*
- |--------------------------------------------------------------------------
- | Configuration > Version
- |--------------------------------------------------------------------------
- |
- | Config version related methods.
- |
- | https://docs.fastly.com/api/config#version
- |
- */
+  }
+  else if (!error.cause || retryOptions.errorCodes.indexOf(error.cause.code) === -1) {
+    return null;
+  }
+
+  var backoff = Math.min(retryOptions.maxTimeout, retryOptions.minTimeout * Math.pow(retryOptions.factor, attemptNumber));
+
+  return retryOptions.jitter ? Math.round(Math.random() * backoff) : backoff;
+
+}
 
 /**
  *
- * Get list of config versions for a service.
+ * Parse the delay fastly asked for via the Retry-After header, or the rate limit reset header on 429 responses.
  *
- * @param {string} serviceId - The fastly service id.
- * @returns {array} - Array of config versions objects.
+ * @param {object} response - Full http response.
+ * @returns {number|null} - Delay in milliseconds, or null if the response didn't ask for one.
  */
-FastlyPromise.prototype.getConfigVersions = function getConfigVersions(serviceId) {
+function serverRequestedDelay(response) {
+  var headers = response.headers || {};
+  var retryAfter = headers['retry-after'];
+
+  if (retryAfter) {
 
-  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version');
+    //Retry-After is either delta seconds or an http date.
+    if (/^\d+$/.test(retryAfter)) {
+      return parseInt(retryAfter, 10) * 1000;
+    }
+
+    var retryDate = Date.parse(retryAfter);
+    if (!isNaN(retryDate)) {
+      return Math.max(0, retryDate - Date.now());
+    }
+
+  }
+
+  //Fastly-RateLimit-Reset is the unix timestamp (seconds) at which the rate limit window resets.
+  if (response.statusCode == 429 && /^\d+$/.test(headers['fastly-ratelimit-reset'] || '')) {
+    return Math.max(0, parseInt(headers['fastly-ratelimit-reset'], 10) * 1000 - Date.now());
+  }
+
+  return null;
 
 }
 
 /**
  *
- * Get config version for a service.
+ * Resolve an optional config version number, defaulting to the service's active config version.
  *
- * @param {string} serviceId - The fastly service id.
- * @param {string} configVersionNumber
- * @returns {object} - Config version object.
+ * @param {FastlyPromise} client
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber]
+ * @returns {string} - Config version number.
  */
-FastlyPromise.prototype.getConfigVersion = function getConfigVersion(serviceId, configVersionNumber) {
+function resolveConfigVersionNumber(client, serviceId, configVersionNumber) {
 
-  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber);
+  return configVersionNumber ? Promise.resolve(configVersionNumber) : client.getActiveConfigVersion(serviceId).then(function(version){ return version.number });
 
 }
 
 /**
  *
- * Get active config version for a service.
+ * Resolve the config version a versioned write goes to. Outside safe mode this is resolveConfigVersionNumber(). In
+ * safe mode the version is fetched first, and writes to active or locked versions are refused, or redirected to a
+ * clone when copy-on-write is on.
  *
- * @param serviceId
- * @returns {object} - Active config version object.
+ * @param {FastlyPromise} client
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - Defaults to active config version.
+ * @param {string} action - Method name used in error messages, e.g. "deleteVcl()".
+ * @returns {string} - Config version number to write to.
+ * @throws Rejects with an ImmutableVersionError if the version is active or locked and copy-on-write is off.
  */
-FastlyPromise.prototype.getActiveConfigVersion = function getActiveConfigVersion(serviceId) {
+function resolveWritableConfigVersion(client, serviceId, configVersionNumber, action) {
 
-  return this.getConfigVersions(serviceId)
-    .then(function(configVersions){
+  if (!client.safeMode) {
+    return resolveConfigVersionNumber(client, serviceId, configVersionNumber);
+  }
 
-      return configVersions.find(function(configVersion){
-        return configVersion.active;
-      });
+  var versionPromise = configVersionNumber ? client.getConfigVersion(serviceId, configVersionNumber) : client.getActiveConfigVersion(serviceId);
+
+  return versionPromise
+    .then(function(version){
+
+      if (!version) {
+        throw new errors.ValidationError(action + ' needs a config version, service ' + serviceId + ' has no active version to default to.');
+      }
+
+      if (!version.active && !version.locked) {
+        return version.number;
+      }
+
+      var state = version.active ? 'active' : 'locked';
+
+      if (!client.copyOnWrite) {
+        var error = new errors.ImmutableVersionError(action + ' refused: config version ' + version.number + ' of service ' + serviceId + ' is ' + state + '. Clone it with cloneConfigVersion() and write to the clone, or enable copyOnWrite.');
+        error.serviceId = serviceId;
+        error.version = version.number;
+        error.state = state;
+        throw error;
+      }
+
+      //Reuse the draft cloned for an earlier write while it is still writable.
+      var key = serviceId + '/' + version.number;
+      var draftPromise = client.copyOnWriteVersions[key] || Promise.resolve(null);
+
+      var writableDraft = draftPromise
+        .then(function(draftNumber){
+          return draftNumber ? client.getConfigVersion(serviceId, draftNumber) : null;
+        })
+        .then(function(draft){
+          if (draft && !draft.active && !draft.locked) {
+            return draft.number;
+          }
+
+          return client.cloneConfigVersion(serviceId, version.number)
+            .then(function(clone){
+              return clone.number;
+            });
+        });
+
+      //Concurrent writes share the same draft.
+      client.copyOnWriteVersions[key] = writableDraft.catch(function(){ return null; });
+
+      return writableDraft;
 
     });
 
@@ -237,349 +540,4123 @@ FastlyPromise.prototype.getActiveConfigVersion = function getActiveConfigVersion
 
 /**
  *
- * Validate the config for a particular service and version.
+ * Versioned configuration object types beyond VCL, keyed by type name. Used to diff, export and import config versions.
+ * The versioned resources (conditions, headers, ...) register themselves in the Versioned Resources section.
  *
- * @param {string} serviceId - The fastly service id.
- * @param {string} configVersionNumber
- * @returns {object} - Fastly validation response object
+ * Each type defines
+ * {string|function} list - Client method listing the objects of a config version, called with (serviceId,
+ *                          configVersionNumber), or a function called with (client, serviceId, configVersionNumber).
+ * {function} create - Called with (client, serviceId, object, configVersionNumber).
+ * {function} update - Called with (client, serviceId, name, object, configVersionNumber).
+ * {function} remove - Called with (client, serviceId, name, configVersionNumber).
  */
-FastlyPromise.prototype.validateConfigVersion = function validateConfigVersion(serviceId, configVersionNumber) {
+var VERSIONED_OBJECT_TYPES = {
+  backend: {
+    list: 'getBackends',
+    create: function(client, serviceId, object, configVersionNumber){
+      return client.createBackend(serviceId, object, configVersionNumber);
+    },
+    update: function(client, serviceId, name, object, configVersionNumber){
+      return client.updateBackend(serviceId, name, object, configVersionNumber);
+    },
+    remove: function(client, serviceId, name, configVersionNumber){
+      return client.deleteBackend(serviceId, name, configVersionNumber);
+    }
+  },
+  dictionary: {
+    list: 'getDictionaries',
+    create: function(client, serviceId, object, configVersionNumber){
+      return client.createDictionary(serviceId, object.name, configVersionNumber);
+    },
+    update: function(){
+      //Dictionaries have no settings that can change after creation, their items are versionless.
+      return Promise.resolve(null);
+    },
+    remove: function(client, serviceId, name, configVersionNumber){
+      return client.deleteDictionary(serviceId, name, configVersionNumber);
+    }
+  },
+  acl: {
+    list: 'getAcls',
+    create: function(client, serviceId, object, configVersionNumber){
+      return client.createAcl(serviceId, object.name, configVersionNumber);
+    },
+    update: function(){
+      //Like dictionaries, ACLs only have a name, their entries are versionless.
+      return Promise.resolve(null);
+    },
+    remove: function(client, serviceId, name, configVersionNumber){
+      return client.deleteAcl(serviceId, name, configVersionNumber);
+    }
+  }
+};
 
-  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/validate');
+/**
+ *
+ * Order in which versioned object types are created and updated. Conditions and healthchecks are referenced by
+ * backends, headers and the other resources, and backends by directors, so they have to exist first. Deletes run in
+ * reverse order. Types not listed here, like logging endpoints, come last in registration order.
+ */
+var OBJECT_TYPE_ORDER = ['condition', 'healthcheck', 'dictionary', 'acl', 'backend', 'director', 'header', 'cache_settings', 'request_settings', 'response_object', 'gzip'];
+
+/**
+ *
+ * Sort versioned object types in dependency order, see OBJECT_TYPE_ORDER.
+ *
+ * @param {array} types - VERSIONED_OBJECT_TYPES types.
+ * @returns {array} - Sorted copy of types.
+ */
+function sortObjectTypes(types) {
+  var rank = function(type){
+    var index = OBJECT_TYPE_ORDER.indexOf(type);
+    return index !== -1 ? index : OBJECT_TYPE_ORDER.length + Object.keys(VERSIONED_OBJECT_TYPES).indexOf(type);
+  };
 
+  return types.slice().sort(function(a, b){
+    return rank(a) - rank(b);
+  });
 }
 
 /**
  *
- * Create a config version for a particular service.
+ * List the objects of a versioned object type in a config version.
  *
- * @param {string} serviceId - The fastly service id.
- * @returns {object} - New config version object.
+ * @param {FastlyPromise} client
+ * @param {object} objectType - VERSIONED_OBJECT_TYPES entry.
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber]
+ * @returns {array} - Array of objects.
  */
-FastlyPromise.prototype.createConfigVersion = function createConfigVersion(serviceId) {
-
-  return this.request('POST', this.endpoint + '/service/' + serviceId + '/version');
+function listVersionedObjects(client, objectType, serviceId, configVersionNumber) {
+  if (typeof objectType.list == 'function') {
+    return objectType.list(client, serviceId, configVersionNumber);
+  }
 
+  return client[objectType.list](serviceId, configVersionNumber);
 }
 
 /**
  *
- * Activate a config version.
+ * List the objects of every versioned object type in one or more config versions, with bounded concurrency so
+ * services with many object types don't fire dozens of requests at once.
  *
- * @param {string} serviceId - The fastly service id.
- * @param {string} configVersionNumber
- * @returns {object} - Config version object
+ * @param {FastlyPromise} client
+ * @param {string} serviceId
+ * @param {array} configVersionNumbers
+ * @param {number} concurrency - Max number of list requests in flight.
+ * @returns {object} - Object lists keyed by type, each an array with one list per config version.
  */
-FastlyPromise.prototype.activateConfigVersion = function activateConfigVersion(serviceId, configVersionNumber) {
+function listAllVersionedObjects(client, serviceId, configVersionNumbers, concurrency) {
+  var lists = ramda.xprod(Object.keys(VERSIONED_OBJECT_TYPES), configVersionNumbers);
 
-  return this.request('PUT', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/activate');
+  return Promise.map(lists, function(list){
+      return listVersionedObjects(client, VERSIONED_OBJECT_TYPES[list[0]], serviceId, list[1]);
+    }, {concurrency: concurrency})
+    .then(function(objects){
+      return ramda.map(ramda.map(function(list){
+        return objects[lists.indexOf(list)];
+      }), ramda.groupBy(ramda.head, lists));
+    });
+}
+
+/**
+ *
+ * Run a step of a multi step workflow, recording its outcome in the workflow's report.
+ *
+ * @param {object} report - Report with a steps array.
+ * @param {string} name - Step name.
+ * @param {function} fn - Step implementation, may return a promise.
+ * @returns {*} - Result of fn.
+ */
+function reportStep(report, name, fn) {
+  var entry = {step: name, status: 'pending', result: null, error: null};
+  report.steps.push(entry);
 
+  return Promise.try(fn)
+    .then(function(result){
+      entry.status = 'ok';
+      entry.result = result;
+      return result;
+    }, function(error){
+      entry.status = 'failed';
+      entry.error = error;
+      throw error;
+    });
 }
 
 /**
  *
- * Deactivate a config version.
+ * Validate a config version, rejecting with a ValidationError carrying fastly's validation response
+ * (error.validation) if it reports errors.
  *
- * @param {string} serviceId - The fastly service id.
+ * @param {FastlyPromise} client
+ * @param {string} serviceId
  * @param {string} configVersionNumber
- * @returns {object} - Config version object
+ * @returns {object} - Fastly validation response object.
  */
-FastlyPromise.prototype.deactivateConfigVersion = function deactivateConfigVersion(serviceId, configVersionNumber) {
+function assertValidConfigVersion(client, serviceId, configVersionNumber) {
 
-  return this.request('PUT', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/deactivate');
+  return client.validateConfigVersion(serviceId, configVersionNumber)
+    .then(function(validation){
+      if (validation.status !== 'ok' || (validation.errors && validation.errors.length)) {
+        var error = new errors.ValidationError('Config version ' + configVersionNumber + ' failed validation: ' + (validation.errors || []).join('; '), {body: validation});
+        error.validation = validation;
+        throw error;
+      }
+
+      return validation;
+    });
 
 }
 
 /**
  *
- * Clone a service configuration by config version number. Config number defaults to the number of the "active" configuration.
+ * Lint VCL before it is uploaded, rejecting with a ValidationError carrying the lint result (error.lint) if it has
+ * errors. Without explicit backends and ACLs the config version's backends, directors and ACLs are looked up so
+ * references to them are checked.
  *
- * @param serviceId
- * @param [configVersionNumber] - Defaults to active config version.
- * @returns {object} - Config version object
+ * @param {FastlyPromise} client
+ * @param {string} serviceId
+ * @param {string} configVersionNumber
+ * @param {string} vclName
+ * @param {string} vclContent
+ * @param {boolean|object} lintOptions - true for the defaults, or options for vclLinter.lint().
+ * @returns {object} - Lint result.
  */
-FastlyPromise.prototype.cloneConfigVersion = function cloneConfigVersion(serviceId, configVersionNumber) {
-  var self = this;
+function assertLintedVcl(client, serviceId, configVersionNumber, vclName, vclContent, lintOptions) {
 
-  //Set default config version number to active version if not explicitly defined.
-  var configVersionNumberPromise = configVersionNumber ? Promise.resolve(configVersionNumber) : self.getActiveConfigVersion(serviceId).then(function(version){ return version.number });
+  lintOptions = (typeof lintOptions == 'object') ? lintOptions : {};
 
-  return configVersionNumberPromise.then(function(configVersionNumber){
-    return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/clone');
-  });
+  var names = function(method) {
+    return client[method](serviceId, configVersionNumber).then(ramda.map(ramda.prop('name')));
+  };
 
+  //Directors are valid backend targets too.
+  var backends = lintOptions.backends ? Promise.resolve(lintOptions.backends) : Promise.all([names('getBackends'), names('getDirectors')]).then(ramda.unnest);
+  var acls = lintOptions.acls ? Promise.resolve(lintOptions.acls) : names('getAcls');
+
+  return Promise.all([backends, acls])
+    .spread(function(backends, acls){
+      var result = vclLinter.lint(vclContent, ramda.merge(lintOptions, {backends: backends, acls: acls}));
+
+      if (!result.valid) {
+        var error = new errors.ValidationError('VCL ' + vclName + ' failed linting:\n' + vclLinter.format(result.errors, vclName));
+        error.lint = result;
+        throw error;
+      }
+
+      return result;
+    });
 
 }
 
 /**
  *
- * Lock a config version.
+ * Work out the changes turning a dictionary's items into the wanted items.
  *
- * @param {string} serviceId - The fastly service id.
- * @param {string} configVersionNumber
- * @returns {object} - Config version object
+ * @param {array} existingItems - Items from getDictionaryItems().
+ * @param {object} items - Wanted items as {key: value}.
+ * @returns {object} - Changes for bulkUpdateDictionaryItems() as {key: value|null}, empty if nothing changes.
  */
-FastlyPromise.prototype.lockConfigVersion = function lockConfigVersion(serviceId, configVersionNumber) {
+function dictionaryItemChanges(existingItems, items) {
+  var changes = ramda.map(String, items);
 
-  return this.request('PUT', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/lock');
+  existingItems.forEach(function(item){
+    if (!Object.prototype.hasOwnProperty.call(items, item.item_key)) {
+      changes[item.item_key] = null;
+    }
+    else if (String(items[item.item_key]) === item.item_value) {
+      delete changes[item.item_key];
+    }
+  });
 
+  return changes;
 }
 
 /*
  |--------------------------------------------------------------------------
- | Configuration > VCL
+ | Purging
  |--------------------------------------------------------------------------
  |
- | Config VCL related methods.
+ | Purging related methods.
  |
- | https://docs.fastly.com/api/config#vcl
+ | https://docs.fastly.com/api/purge
  |
  */
 
 /**
  *
- * Get boilerplate VCL with the service's TTL from the settings.
+ * Purge a url.
  *
- * @param serviceId
- * @param configVersionNumber
- * @returns {string} - utf8 encoded text/html VCL string.
+ * @param {string} url - Fully qualified url of resource you want to purge.
+ * @param {boolean} [softPurge=false] - Soft purge instead of standard purge. Defaults to false.
+ * @returns {object} - Fastly purge response.
+ * @throws Will throw error if url param is not absolute.
  */
-FastlyPromise.prototype.getBoilerplateVcl = function getBoilerplateVcl(serviceId, configVersionNumber) {
+FastlyPromise.prototype.purge = function purge(url, softPurge) {
 
-  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/boilerplate');
+  //Purge request urls should be absolute
+  if(!/^((http|https):\/\/)/.test(url)) {
+    throw new Error('Standard purge requests should be absolute urls.');
+  }
+
+  softPurge = (typeof softPurge == 'undefined') ? false : softPurge;
+
+  return this.request('PURGE', url, {softPurge: softPurge});
 
 }
 
 /**
  *
- * Get a list of service VCLs by config version.
+ * Hard purge all objects from a service.
  *
- * @param serviceId
- * @param configVersionNumber
- * @returns {array} - Array of VCL objects.
+ * @param {string} serviceId - The fastly service id.
+ * @returns {object} - Fastly purge response.
  */
-FastlyPromise.prototype.getAllVcl = function getAllVcl(serviceId, configVersionNumber) {
+FastlyPromise.prototype.purgeAll = function purgeAll(serviceId) {
 
-  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl');
+  return this.request('POST', this.endpoint + '/service/' + serviceId + '/purge_all', {idempotent: this.retryOptions.retryPurgePosts});
 
 }
 
 /**
  *
- * Get a service VCL by config version and name.
+ * Purge a fastly surrogate key.
  *
- * @param serviceId
- * @param configVersionNumber
- * @param vclName
- * @returns {object} - VCL object.
+ * @param {string} serviceId - The fastly service id.
+ * @param {string} key - The surrogate key you wish to purge.
+ * @param {boolean} [softPurge=false] - Soft purge instead of standard purge. Defaults to false.
+ * @returns {object} - Fastly purge response.
  */
-FastlyPromise.prototype.getVcl = function getVcl(serviceId, configVersionNumber, vclName) {
+FastlyPromise.prototype.purgeKey = function purgeKey(serviceId, surrogateKey, softPurge) {
 
-  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName);
+  softPurge = (typeof softPurge == 'undefined') ? false : softPurge;
+
+  return this.request('POST', this.endpoint + '/service/' + serviceId + '/purge/' +  surrogateKey, {softPurge: softPurge, idempotent: this.retryOptions.retryPurgePosts});
 
 }
 
 /**
  *
- * Get the uploaded VCL for a particular service and version with HTML syntax highlighting Include line numbers by sending lineno=true as a request parameter
- *
- * TODO: Implement convenience getVclHtml() method for the following endpoint https://docs.fastly.com/api/config#vcl_438f27abcd1c9203c8315a54cbcfde1a
+ * Limits for multi key purge requests. Fastly accepts at most 256 keys per request and the Surrogate-Key header
+ * must stay under the edge header size limit.
  */
-FastlyPromise.prototype.getVclHtml = unimplementedEndpoint;
+var PURGE_KEYS_LIMITS = {
+  maxKeysPerRequest: 256,
+  maxHeaderLength: 8000
+};
 
 /**
  *
- * Download the specified VCL.
- *
- * NOTE: This endpoint appears to be for convenience to get VCL as a text/plain string instead of JSON as would be returned via FastlyPromise.getVcl().
+ * Split surrogate keys into chunks that each fit in one multi key purge request.
  *
- * TODO: Implement convenience getVclText() method for the following endpoint https://docs.fastly.com/api/config#vcl_86deff673cc0dfdcb938a780dd328fcd
+ * @param {array} keys
+ * @param {number} maxKeysPerRequest
+ * @param {number} maxHeaderLength - Max length of the space separated Surrogate-Key header value.
+ * @returns {array} - Array of key arrays.
  */
-FastlyPromise.prototype.getVclText = unimplementedEndpoint;
+function chunkSurrogateKeys(keys, maxKeysPerRequest, maxHeaderLength) {
+  var chunks = [];
+  var chunk = [];
+  var chunkLength = 0;
+
+  keys.forEach(function(key){
+    var addedLength = chunk.length ? key.length + 1 : key.length;
+
+    if (chunk.length && (chunk.length >= maxKeysPerRequest || chunkLength + addedLength > maxHeaderLength)) {
+      chunks.push(chunk);
+      chunk = [];
+      chunkLength = 0;
+      addedLength = key.length;
+    }
+
+    chunk.push(key);
+    chunkLength += addedLength;
+  });
+
+  if (chunk.length) {
+    chunks.push(chunk);
+  }
+
+  return chunks;
+}
 
 /**
  *
- * Display the generated VCL for a particular service and version.
+ * Split surrogate keys into the chunks purgeKeys() sends as separate multi key purge requests.
+ *
+ * @param {array} keys
+ * @param {object} [options={}]
+ * @returns {array} - Array of key arrays.
+ *
+ * The following options are available
+ * {number} options.maxKeysPerRequest - Defaults to 256.
+ * {number} options.maxHeaderLength - Defaults to 8000.
  *
- * TODO: Implement convenience getGeneratedVcl() method for the following endpoint https://docs.fastly.com/api/config#vcl_ad9da3d303580a36d0c1be5e10728e81
  */
-FastlyPromise.prototype.getGeneratedVcl = unimplementedEndpoint;
+FastlyPromise.prototype.splitSurrogateKeys = function splitSurrogateKeys(keys, options) {
+
+  options = ramda.merge(PURGE_KEYS_LIMITS, options || {});
+
+  return chunkSurrogateKeys(ramda.uniq(keys || []), options.maxKeysPerRequest, options.maxHeaderLength);
+
+}
 
 /**
  *
- * Display the generated VCL for a particular service and version HTML encoded.
+ * Check that a surrogate key can be sent in a purge request.
  *
- * TODO: Implement convenience getGeneratedVclHtml() method for the following endpoint https://docs.fastly.com/api/config#vcl_d7c0ba46e90676f4bcdd804fb3d417a3
+ * @param {string} key
+ * @param {number} [maxHeaderLength] - Defaults to PURGE_KEYS_LIMITS.maxHeaderLength.
+ * @throws Will throw ValidationError if the key is empty, contains whitespace or is longer than the max header length.
  */
-FastlyPromise.prototype.getGeneratedVclHtml = unimplementedEndpoint;
+FastlyPromise.prototype.validateSurrogateKey = function validateSurrogateKey(key, maxHeaderLength) {
+
+  maxHeaderLength = maxHeaderLength || PURGE_KEYS_LIMITS.maxHeaderLength;
+
+  if (typeof key != 'string' || !key.length || /\s/.test(key)) {
+    throw new errors.ValidationError('Invalid surrogate key "' + key + '", keys must be non empty strings without whitespace.');
+  }
+
+  if (key.length > maxHeaderLength) {
+    throw new errors.ValidationError('Surrogate key "' + key + '" is longer than the max header length.');
+  }
+
+}
 
 /**
  *
- * Get the current "main" VCL for a service.
+ * Purge many surrogate keys using fastly's multi key purge. Keys are de-duplicated, split into chunks that fit the
+ * Surrogate-Key header, and the chunks are purged with bounded concurrency.
+ *
+ * A failed chunk does not reject the whole call, its keys are reported under failed instead.
+ *
+ * @param {string} serviceId - The fastly service id.
+ * @param {array} keys - Surrogate keys to purge.
+ * @param {object} [options={}]
+ * @returns {object} - {purged: {key: purgeId}, failed: {key: error}}
+ * @throws Will throw ValidationError if a key is empty or contains whitespace.
+ *
+ * The following options are available
+ * {boolean} options.soft - Soft purge instead of standard purge. Defaults to false.
+ * {number} options.concurrency - Max number of purge requests in flight. Defaults to 4.
+ * {number} options.maxKeysPerRequest - Defaults to 256.
+ * {number} options.maxHeaderLength - Defaults to 8000.
  *
- * @param {string} serviceId
- * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
- * @returns {object} - VCL object.
  */
-FastlyPromise.prototype.getMainVcl = function getMainVcl(serviceId, configVersionNumber) {
+FastlyPromise.prototype.purgeKeys = function purgeKeys(serviceId, keys, options) {
   var self = this;
 
-  //Set default config version number to active version if not explicitly defined.
-  var configVersionNumberPromise = configVersionNumber ? Promise.resolve(configVersionNumber) : self.getActiveConfigVersion(serviceId).then(function(version){ return version.number });
+  options = ramda.merge({soft: false, concurrency: 4}, ramda.merge(PURGE_KEYS_LIMITS, options || {}));
 
-  return configVersionNumberPromise
-    .then(function(configVersionNumber){
-      return self.getAllVcl(serviceId, configVersionNumber);
-    })
-    .then(function(vclList){
+  keys = ramda.uniq(keys || []);
 
-      return vclList.find(function(vcl){
-        return vcl.main;
-      });
+  keys.forEach(function(key){
+    self.validateSurrogateKey(key, options.maxHeaderLength);
+  });
 
+  var result = {purged: {}, failed: {}};
+  var chunks = chunkSurrogateKeys(keys, options.maxKeysPerRequest, options.maxHeaderLength);
+
+  return Promise.map(chunks, function(chunk){
+      return self.request('POST', self.endpoint + '/service/' + serviceId + '/purge', {
+          softPurge: options.soft,
+          headers: {'Surrogate-Key': chunk.join(' ')},
+          idempotent: self.retryOptions.retryPurgePosts
+        })
+        .then(function(response){
+          chunk.forEach(function(key){
+            if (response && response[key]) {
+              result.purged[key] = response[key];
+            }
+            else {
+              result.failed[key] = new Error('Fastly did not return a purge id for surrogate key "' + key + '".');
+            }
+          });
+        }, function(error){
+          chunk.forEach(function(key){
+            result.failed[key] = error;
+          });
+        });
+    }, {concurrency: options.concurrency})
+    .then(function(){
+      return result;
     });
 
 }
 
 /**
  *
- * Set the specified VCL as main
+ * Create a purge queue that coalesces duplicate purges within a window, batches surrogate keys and rate limits
+ * outgoing purges. See lib/purgeQueue.js.
  *
- * @param {string} serviceId
- * @param {string} vclName
- * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
- * @returns {object} - VCL object.
+ * e.g. var queue = fastly.createPurgeQueue({window: 2000}); queue.purgeKey(serviceId, 'article-1').then(...)
+ *
+ * @param {object} [options={}] - Queue options: window, maxRequests, rateInterval, historyLimit.
+ * @returns {PurgeQueue}
  */
-FastlyPromise.prototype.setMainVcl = function setMainVcl(serviceId, vclName, configVersionNumber) {
-  var self = this;
+FastlyPromise.prototype.createPurgeQueue = function createPurgeQueue(options) {
 
-  //Set default config version number to active version if not explicitly defined.
-  var configVersionNumberPromise = configVersionNumber ? Promise.resolve(configVersionNumber) : self.getActiveConfigVersion(serviceId).then(function(version){ return version.number });
+  return new PurgeQueue(this, options);
 
-  return configVersionNumberPromise
-    .then(function(configVersionNumber){
-      return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName + '/main');
-    });
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Service
+ |--------------------------------------------------------------------------
+ |
+ | Account level service related methods.
+ |
+ | https://docs.fastly.com/api/config#service
+ |
+ */
+
+/**
+ *
+ * Page size used when listing services.
+ */
+var SERVICES_PER_PAGE = 100;
+
+/**
+ *
+ * Get a list of services on the account. Fetches every page unless a page is requested.
+ *
+ * @param {object} [options={}]
+ * @returns {array} - Array of service objects.
+ *
+ * The following options are available
+ * {number} options.page - Fetch only this page (1 based).
+ * {number} options.perPage - Services per page. Defaults to 100.
+ *
+ */
+FastlyPromise.prototype.getServices = function getServices(options) {
+
+  options = ramda.merge({page: null, perPage: SERVICES_PER_PAGE}, options || {});
+
+  var paginator = this.paginate(this.endpoint + '/service', {perPage: options.perPage, page: options.page || 1});
+
+  return options.page ? paginator.cursor().nextPage() : paginator.all();
 
 }
 
 /**
  *
- * Upload new VCL to a service.
+ * Lazily iterate over the services on the account, fetching pages as they are needed.
+ *
+ * @param {object} [options={}]
+ * @returns {object} - Async iterator of service objects.
+ *
+ * The following options are available
+ * {number} options.perPage - Services per page. Defaults to 100.
+ *
+ */
+FastlyPromise.prototype.iterateServices = function iterateServices(options) {
+
+  options = options || {};
+
+  return this.paginate(this.endpoint + '/service', {perPage: options.perPage || SERVICES_PER_PAGE}).iterator();
+
+}
+
+/**
+ *
+ * Get a service by id.
  *
  * @param {string} serviceId
- * @param {string} configVersionNumber - Service config version number.
- * @param {string} vclName - Name of vcl file.
- * @param {string} vclContent - The VCL content to be uploaded.
- * @param {boolean} [setVclToMain=false] - Set the uploaded vcl to be the service's "main" vcl.
- * @returns {object} - VCL object.
- * @throws Will throw error if VCL with same name already exists.
+ * @returns {object} - Service object.
  */
-FastlyPromise.prototype.uploadNewVcl = function uploadNewVcl(serviceId, configVersionNumber, vclName, vclContent, setVclToMain) {
-  var self = this;
+FastlyPromise.prototype.getService = function getService(serviceId) {
 
-  setVclToMain = setVclToMain || false;
+  return this.request('GET', this.endpoint + '/service/' + serviceId);
 
-  var validNamePromise = self.getVcl(serviceId, configVersionNumber, vclName)
-    .then(function(response){
+}
 
-      return false; //Invalid if vcl with this name already exists
+/**
+ *
+ * Get a service by id with details, including the active version (active_version) and latest version (version).
+ *
+ * @param {string} serviceId
+ * @returns {object} - Service details object.
+ */
+FastlyPromise.prototype.getServiceDetails = function getServiceDetails(serviceId) {
 
-    })
-    .catch(function(errorResponse){
+  return this.request('GET', this.endpoint + '/service/' + serviceId + '/details');
 
-      //If response code is 404 then new vcl name is valid.
-      return (errorResponse.statusCode == 404) ? true : false;
+}
 
-    });
+/**
+ *
+ * Find a service by its exact name.
+ *
+ * @param {string} serviceName
+ * @returns {object} - Service object.
+ * @throws Rejects with NotFoundError if no service has this name.
+ */
+FastlyPromise.prototype.searchService = function searchService(serviceName) {
 
-  return validNamePromise
-    .then(function(validName){
+  return this.request('GET', this.endpoint + '/service/search?name=' + encodeURIComponent(serviceName));
 
-      if (!validName){
-        throw new Error('Error: ' + vclName + ' VCL file already exists.');
-      }
-      else{
+}
 
-        //Upload the VCL
-        return self.request('POST', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl', {
-          form: {
-            name: vclName,
-            content: vclContent
-          }
-        });
+/**
+ *
+ * Create a service.
+ *
+ * @param {string} serviceName
+ * @param {string} [comment]
+ * @returns {object} - Service object.
+ */
+FastlyPromise.prototype.createService = function createService(serviceName, comment) {
 
-      }
+  var form = {name: serviceName};
+  if (comment) { form.comment = comment; }
 
-    })
-    .then(function(vclResponse){
+  return this.request('POST', this.endpoint + '/service', {form: form});
 
-      //Set VCL to "main" if flagged.
-      if (setVclToMain){
-        return self.setMainVcl(serviceId, vclName, configVersionNumber);
-      }
-      else{
-        return vclResponse;
-      }
+}
 
-    });
+/**
+ *
+ * Rename a service.
+ *
+ * @param {string} serviceId
+ * @param {string} serviceName - New name.
+ * @returns {object} - Service object.
+ */
+FastlyPromise.prototype.renameService = function renameService(serviceId, serviceName) {
+
+  return this.request('PUT', this.endpoint + '/service/' + serviceId, {
+    form: {
+      name: serviceName
+    }
+  });
 
 }
 
 /**
  *
- * Update existing VCL file.
+ * Delete a service. Fastly refuses to delete services with an active version.
  *
  * @param {string} serviceId
- * @param {string} configVersionNumber - Service config version number.
- * @param {string} vclName - Name of vcl file.
- * @param {string} vclContent - The new VCL content.
- * @param {boolean} [setVclToMain=false] - Set the updated vcl to be the service's "main" vcl.
- * @returns {object} - VCL object.
+ * @param {boolean} [deactivate=false] - Deactivate the active version first, if there is one.
+ * @returns {object} - Fastly service delete status object.
  */
-FastlyPromise.prototype.updateVcl = function updateVcl(serviceId, configVersionNumber, vclName, vclContent, setVclToMain) {
+FastlyPromise.prototype.deleteService = function deleteService(serviceId, deactivate) {
   var self = this;
 
-  setVclToMain = setVclToMain || false;
+  var deactivatePromise = !deactivate ? Promise.resolve() : self.getActiveConfigVersion(serviceId)
+    .then(function(version){
+      return version ? self.deactivateConfigVersion(serviceId, version.number) : null;
+    });
 
-  //Upload the VCL
-  return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName, {
-      form: {
-        content: vclContent
-      }
-    })
-    .then(function(vclResponse){
+  return deactivatePromise
+    .then(function(){
+      return self.request('DELETE', self.endpoint + '/service/' + serviceId);
+    });
 
-      //Set VCL to "main" if flagged.
-      if (setVclToMain){
-        return self.setMainVcl(serviceId, vclName, configVersionNumber);
-      }
-      else{
-        return vclResponse;
-      }
+}
 
-    });
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Version
+ |--------------------------------------------------------------------------
+ |
+ | Config version related methods.
+ |
+ | https://docs.fastly.com/api/config#version
+ |
+ */
+
+/**
+ *
+ * Get list of config versions for a service.
+ *
+ * @param {string} serviceId - The fastly service id.
+ * @returns {array} - Array of config versions objects.
+ */
+FastlyPromise.prototype.getConfigVersions = function getConfigVersions(serviceId) {
+
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/version').all();
 
 }
 
 /**
  *
- * Delete the specified VCL file.
+ * Lazily iterate over the config versions of a service, fetching pages as they are needed.
  *
- * @param {string} serviceId
- * @param {string} vclName
- * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
- * @returns {object} - Fastly VCL delete status object.
+ * @param {string} serviceId - The fastly service id.
+ * @returns {object} - Async iterator of config version objects.
  */
-FastlyPromise.prototype.deleteVcl = function deleteVcl(serviceId, vclName, configVersionNumber) {
-  var self = this;
+FastlyPromise.prototype.iterateConfigVersions = function iterateConfigVersions(serviceId) {
 
-  //Set default config version number to active version if not explicitly defined.
-  var configVersionNumberPromise = configVersionNumber ? Promise.resolve(configVersionNumber) : self.getActiveConfigVersion(serviceId).then(function(version){ return version.number });
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/version').iterator();
+
+}
+
+/**
+ *
+ * Get config version for a service.
+ *
+ * @param {string} serviceId - The fastly service id.
+ * @param {string} configVersionNumber
+ * @returns {object} - Config version object.
+ */
+FastlyPromise.prototype.getConfigVersion = function getConfigVersion(serviceId, configVersionNumber) {
+
+  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber);
+
+}
+
+/**
+ *
+ * Get active config version for a service.
+ *
+ * @param serviceId
+ * @returns {object} - Active config version object.
+ */
+FastlyPromise.prototype.getActiveConfigVersion = function getActiveConfigVersion(serviceId) {
+
+  //Stops fetching pages once the active version is found.
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/version')
+    .find(function(configVersion){
+      return configVersion.active;
+    });
+
+}
+
+/**
+ *
+ * Validate the config for a particular service and version.
+ *
+ * @param {string} serviceId - The fastly service id.
+ * @param {string} configVersionNumber
+ * @returns {object} - Fastly validation response object
+ */
+FastlyPromise.prototype.validateConfigVersion = function validateConfigVersion(serviceId, configVersionNumber) {
+
+  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/validate');
+
+}
+
+/**
+ *
+ * Create a config version for a particular service.
+ *
+ * @param {string} serviceId - The fastly service id.
+ * @returns {object} - New config version object.
+ */
+FastlyPromise.prototype.createConfigVersion = function createConfigVersion(serviceId) {
+
+  return this.request('POST', this.endpoint + '/service/' + serviceId + '/version');
+
+}
+
+/**
+ *
+ * Activate a config version.
+ *
+ * @param {string} serviceId - The fastly service id.
+ * @param {string} configVersionNumber
+ * @returns {object} - Config version object
+ */
+FastlyPromise.prototype.activateConfigVersion = function activateConfigVersion(serviceId, configVersionNumber) {
+
+  return this.request('PUT', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/activate');
+
+}
+
+/**
+ *
+ * Deactivate a config version.
+ *
+ * @param {string} serviceId - The fastly service id.
+ * @param {string} configVersionNumber
+ * @returns {object} - Config version object
+ */
+FastlyPromise.prototype.deactivateConfigVersion = function deactivateConfigVersion(serviceId, configVersionNumber) {
+
+  return this.request('PUT', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/deactivate');
+
+}
+
+/**
+ *
+ * Clone a service configuration by config version number. Config number defaults to the number of the "active" configuration.
+ *
+ * @param serviceId
+ * @param [configVersionNumber] - Defaults to active config version.
+ * @returns {object} - Config version object
+ */
+FastlyPromise.prototype.cloneConfigVersion = function cloneConfigVersion(serviceId, configVersionNumber) {
+  var self = this;
+
+  //Set default config version number to active version if not explicitly defined.
+  var configVersionNumberPromise = configVersionNumber ? Promise.resolve(configVersionNumber) : self.getActiveConfigVersion(serviceId).then(function(version){ return version.number });
+
+  return configVersionNumberPromise.then(function(configVersionNumber){
+    return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/clone');
+  });
+
+
+}
+
+/**
+ *
+ * Lock a config version.
+ *
+ * @param {string} serviceId - The fastly service id.
+ * @param {string} configVersionNumber
+ * @returns {object} - Config version object
+ */
+FastlyPromise.prototype.lockConfigVersion = function lockConfigVersion(serviceId, configVersionNumber) {
+
+  return this.request('PUT', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/lock');
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > VCL
+ |--------------------------------------------------------------------------
+ |
+ | Config VCL related methods.
+ |
+ | https://docs.fastly.com/api/config#vcl
+ |
+ */
+
+/**
+ *
+ * Get boilerplate VCL with the service's TTL from the settings.
+ *
+ * @param serviceId
+ * @param configVersionNumber
+ * @returns {string} - utf8 encoded text/html VCL string.
+ */
+FastlyPromise.prototype.getBoilerplateVcl = function getBoilerplateVcl(serviceId, configVersionNumber) {
+
+  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/boilerplate');
+
+}
+
+/**
+ *
+ * Get a list of service VCLs by config version.
+ *
+ * @param serviceId
+ * @param configVersionNumber
+ * @returns {array} - Array of VCL objects.
+ */
+FastlyPromise.prototype.getAllVcl = function getAllVcl(serviceId, configVersionNumber) {
+
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl').all();
+
+}
+
+/**
+ *
+ * Lazily iterate over the service VCLs of a config version, fetching pages as they are needed.
+ *
+ * @param serviceId
+ * @param configVersionNumber
+ * @returns {object} - Async iterator of VCL objects.
+ */
+FastlyPromise.prototype.iterateVcl = function iterateVcl(serviceId, configVersionNumber) {
+
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl').iterator();
+
+}
+
+/**
+ *
+ * Get a service VCL by config version and name.
+ *
+ * @param serviceId
+ * @param configVersionNumber
+ * @param vclName
+ * @returns {object} - VCL object.
+ */
+FastlyPromise.prototype.getVcl = function getVcl(serviceId, configVersionNumber, vclName) {
+
+  return this.request('GET', this.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName);
+
+}
+
+/**
+ *
+ * Get the uploaded VCL for a particular service and version with HTML syntax highlighting.
+ *
+ * @param {string} serviceId
+ * @param {string} vclName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @param {boolean} [lineNumbers=false] - Include line numbers in the highlighted HTML.
+ * @returns {object} - Object with the HTML encoded VCL as content.
+ */
+FastlyPromise.prototype.getVclHtml = function getVclHtml(serviceId, vclName, configVersionNumber, lineNumbers) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName + '/content' + (lineNumbers ? '?lineno=true' : ''));
+    });
+
+}
+
+/**
+ *
+ * Download the specified VCL.
+ *
+ * NOTE: This endpoint is for convenience to get VCL as a text/plain string instead of JSON as would be returned via FastlyPromise.getVcl().
+ *
+ * @param {string} serviceId
+ * @param {string} vclName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {string} - VCL content.
+ */
+FastlyPromise.prototype.getVclText = function getVclText(serviceId, vclName, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName + '/download');
+    });
+
+}
+
+/**
+ *
+ * Display the generated VCL for a particular service and version. This is the VCL fastly actually compiles.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Generated VCL object, the VCL is in content.
+ */
+FastlyPromise.prototype.getGeneratedVcl = function getGeneratedVcl(serviceId, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/generated_vcl');
+    });
+
+}
+
+/**
+ *
+ * Display the generated VCL for a particular service and version HTML encoded.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @param {boolean} [lineNumbers=false] - Include line numbers in the highlighted HTML.
+ * @returns {object} - Object with the HTML encoded generated VCL as content.
+ */
+FastlyPromise.prototype.getGeneratedVclHtml = function getGeneratedVclHtml(serviceId, configVersionNumber, lineNumbers) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/generated_vcl/content' + (lineNumbers ? '?lineno=true' : ''));
+    });
+
+}
+
+/**
+ *
+ * Get the current "main" VCL for a service.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - VCL object.
+ */
+FastlyPromise.prototype.getMainVcl = function getMainVcl(serviceId, configVersionNumber) {
+  var self = this;
+
+  //Set default config version number to active version if not explicitly defined.
+  var configVersionNumberPromise = configVersionNumber ? Promise.resolve(configVersionNumber) : self.getActiveConfigVersion(serviceId).then(function(version){ return version.number });
+
+  return configVersionNumberPromise
+    .then(function(configVersionNumber){
+      return self.getAllVcl(serviceId, configVersionNumber);
+    })
+    .then(function(vclList){
+
+      return vclList.find(function(vcl){
+        return vcl.main;
+      });
+
+    });
+
+}
+
+/**
+ *
+ * Set the specified VCL as main
+ *
+ * @param {string} serviceId
+ * @param {string} vclName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - VCL object.
+ */
+FastlyPromise.prototype.setMainVcl = function setMainVcl(serviceId, vclName, configVersionNumber) {
+  var self = this;
+
+  //Set default config version number to active version if not explicitly defined.
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'setMainVcl()')
+    .then(function(configVersionNumber){
+      return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName + '/main');
+    });
+
+}
+
+/**
+ *
+ * Upload new VCL to a service.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - Service config version number. Defaults to active config version.
+ * @param {string} vclName - Name of vcl file.
+ * @param {string} vclContent - The VCL content to be uploaded.
+ * @param {boolean} [setVclToMain=false] - Set the uploaded vcl to be the service's "main" vcl.
+ * @param {object} [options={}]
+ * @returns {object} - VCL object.
+ * @throws Will throw error if VCL with same name already exists.
+ * @throws Rejects with a ValidationError carrying the lint result (error.lint) if linting finds errors.
+ *
+ * The following options are available
+ * {boolean|object} options.lint - Lint the VCL offline before uploading it, true or options for vclLinter.lint(). Defaults to false.
+ *
+ */
+FastlyPromise.prototype.uploadNewVcl = function uploadNewVcl(serviceId, configVersionNumber, vclName, vclContent, setVclToMain, options) {
+  var self = this;
+
+  setVclToMain = setVclToMain || false;
+  options = ramda.merge({lint: false}, options || {});
+
+  var lintPromise = resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'uploadNewVcl()')
+    .then(function(writableVersionNumber){
+      configVersionNumber = writableVersionNumber;
+
+      return options.lint ? assertLintedVcl(self, serviceId, configVersionNumber, vclName, vclContent, options.lint) : null;
+    });
+
+  var validNamePromise = lintPromise
+    .then(function(){
+      return self.getVcl(serviceId, configVersionNumber, vclName)
+        .then(function(response){
+
+          return false; //Invalid if vcl with this name already exists
+
+        })
+        .catch(errors.NotFoundError, function(){
+
+          return true; //Valid if no vcl with this name exists yet
+
+        });
+    });
+
+  return validNamePromise
+    .then(function(validName){
+
+      if (!validName){
+        throw new Error('Error: ' + vclName + ' VCL file already exists.');
+      }
+      else{
+
+        //Upload the VCL
+        return self.request('POST', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl', {
+          form: {
+            name: vclName,
+            content: vclContent
+          }
+        });
+
+      }
+
+    })
+    .then(function(vclResponse){
+
+      //Set VCL to "main" if flagged.
+      if (setVclToMain){
+        return self.setMainVcl(serviceId, vclName, configVersionNumber);
+      }
+      else{
+        return vclResponse;
+      }
+
+    });
+
+}
+
+/**
+ *
+ * Update existing VCL file.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - Service config version number. Defaults to active config version.
+ * @param {string} vclName - Name of vcl file.
+ * @param {string} vclContent - The new VCL content.
+ * @param {boolean} [setVclToMain=false] - Set the updated vcl to be the service's "main" vcl.
+ * @param {object} [options={}]
+ * @returns {object} - VCL object.
+ * @throws Rejects with a ValidationError carrying the lint result (error.lint) if linting finds errors.
+ *
+ * The following options are available
+ * {boolean|object} options.lint - Lint the VCL offline before uploading it, true or options for vclLinter.lint(). Defaults to false.
+ *
+ */
+FastlyPromise.prototype.updateVcl = function updateVcl(serviceId, configVersionNumber, vclName, vclContent, setVclToMain, options) {
+  var self = this;
+
+  setVclToMain = setVclToMain || false;
+  options = ramda.merge({lint: false}, options || {});
+
+  var lintPromise = resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'updateVcl()')
+    .then(function(writableVersionNumber){
+      configVersionNumber = writableVersionNumber;
+
+      return options.lint ? assertLintedVcl(self, serviceId, configVersionNumber, vclName, vclContent, options.lint) : null;
+    });
+
+  return lintPromise
+    .then(function(){
+
+      //Upload the VCL
+      return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName, {
+        form: {
+          content: vclContent
+        }
+      });
+
+    })
+    .then(function(vclResponse){
+
+      //Set VCL to "main" if flagged.
+      if (setVclToMain){
+        return self.setMainVcl(serviceId, vclName, configVersionNumber);
+      }
+      else{
+        return vclResponse;
+      }
+
+    });
+
+}
+
+/**
+ *
+ * Delete the specified VCL file.
+ *
+ * @param {string} serviceId
+ * @param {string} vclName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Fastly VCL delete status object.
+ */
+FastlyPromise.prototype.deleteVcl = function deleteVcl(serviceId, vclName, configVersionNumber) {
+  var self = this;
+
+  //Set default config version number to active version if not explicitly defined.
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'deleteVcl()')
+    .then(function(configVersionNumber){
+      return self.request('DELETE', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName);
+    });
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Backend
+ |--------------------------------------------------------------------------
+ |
+ | Config backend related methods.
+ |
+ | https://docs.fastly.com/api/config#backend
+ |
+ */
+
+/**
+ *
+ * Validation rules for the backend fields we commonly set. Fields not listed here are passed through to fastly as is.
+ */
+var BACKEND_FIELD_RULES = {
+  name: 'string',
+  address: 'string',
+  port: 'port',
+  use_ssl: 'boolean',
+  ssl_check_cert: 'boolean',
+  ssl_cert_hostname: 'string',
+  ssl_sni_hostname: 'string',
+  ssl_ca_cert: 'string',
+  ssl_ciphers: 'string',
+  min_tls_version: 'tlsVersion',
+  max_tls_version: 'tlsVersion',
+  healthcheck: 'string',
+  connect_timeout: 'timeout',
+  first_byte_timeout: 'timeout',
+  between_bytes_timeout: 'timeout',
+  max_conn: 'integer',
+  weight: 'integer'
+};
+
+/**
+ *
+ * Validate backend fields before sending them to fastly.
+ *
+ * @param {object} backend - Backend fields.
+ * @param {boolean} isNew - New backends require name and address.
+ * @throws Will throw ValidationError describing every invalid field.
+ */
+function validateBackend(backend, isNew) {
+
+  if (!backend || typeof backend != 'object') {
+    throw new errors.ValidationError('Backend fields must be an object.');
+  }
+
+  var problems = [];
+
+  if (isNew && !backend.name) { problems.push('name is required'); }
+  if (isNew && !backend.address) { problems.push('address is required'); }
+
+  Object.keys(BACKEND_FIELD_RULES).forEach(function(field){
+    var value = backend[field];
+
+    if (typeof value == 'undefined' || value === null) {
+      return;
+    }
+
+    var valid = true;
+    var expected = BACKEND_FIELD_RULES[field];
+    var integer = /^\d+$/.test(String(value));
+
+    switch (expected) {
+      case 'string':
+        valid = typeof value == 'string' && value.length > 0;
+        expected = 'a non empty string';
+        break;
+      case 'boolean':
+        valid = typeof value == 'boolean' || value === 0 || value === 1;
+        expected = 'a boolean';
+        break;
+      case 'port':
+        valid = integer && Number(value) >= 1 && Number(value) <= 65535;
+        expected = 'a port number between 1 and 65535';
+        break;
+      case 'timeout':
+      case 'integer':
+        valid = integer;
+        expected = (expected == 'timeout') ? 'a non negative number of milliseconds' : 'a non negative integer';
+        break;
+      case 'tlsVersion':
+        valid = ['1.0', '1.1', '1.2', '1.3'].indexOf(String(value)) !== -1;
+        expected = 'one of 1.0, 1.1, 1.2, 1.3';
+        break;
+    }
+
+    if (!valid) {
+      problems.push(field + ' must be ' + expected);
+    }
+  });
+
+  if (problems.length) {
+    throw new errors.ValidationError('Invalid backend: ' + problems.join(', ') + '.');
+  }
+
+}
+
+/**
+ *
+ * Get a list of backends by config version.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {array} - Array of backend objects.
+ */
+FastlyPromise.prototype.getBackends = function getBackends(serviceId, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/backend');
+    });
+
+}
+
+/**
+ *
+ * Get a backend by name.
+ *
+ * @param {string} serviceId
+ * @param {string} backendName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Backend object.
+ */
+FastlyPromise.prototype.getBackend = function getBackend(serviceId, backendName, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/backend/' + encodeURIComponent(backendName));
+    });
+
+}
+
+/**
+ *
+ * Create a backend.
+ *
+ * @param {string} serviceId
+ * @param {object} backend - Backend fields. name and address are required.
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Backend object.
+ * @throws Will throw ValidationError if backend fields are invalid.
+ */
+FastlyPromise.prototype.createBackend = function createBackend(serviceId, backend, configVersionNumber) {
+  var self = this;
+
+  validateBackend(backend, true);
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'createBackend()')
+    .then(function(configVersionNumber){
+      return self.request('POST', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/backend', {
+        form: backend
+      });
+    });
+
+}
+
+/**
+ *
+ * Update a backend. Only the passed fields are changed, pass a new name to rename the backend.
+ *
+ * @param {string} serviceId
+ * @param {string} backendName - Current name of the backend.
+ * @param {object} backend - Backend fields to update.
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Backend object.
+ * @throws Will throw ValidationError if backend fields are invalid.
+ */
+FastlyPromise.prototype.updateBackend = function updateBackend(serviceId, backendName, backend, configVersionNumber) {
+  var self = this;
+
+  validateBackend(backend, false);
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'updateBackend()')
+    .then(function(configVersionNumber){
+      return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/backend/' + encodeURIComponent(backendName), {
+        form: backend
+      });
+    });
+
+}
+
+/**
+ *
+ * Delete a backend.
+ *
+ * @param {string} serviceId
+ * @param {string} backendName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Fastly backend delete status object.
+ */
+FastlyPromise.prototype.deleteBackend = function deleteBackend(serviceId, backendName, configVersionNumber) {
+  var self = this;
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'deleteBackend()')
+    .then(function(configVersionNumber){
+      return self.request('DELETE', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/backend/' + encodeURIComponent(backendName));
+    });
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Dictionary
+ |--------------------------------------------------------------------------
+ |
+ | Edge dictionary and dictionary item related methods. Dictionaries belong to a config version, their items are
+ | versionless and can be changed without cloning or activating a version.
+ |
+ | https://docs.fastly.com/api/config#dictionary
+ | https://docs.fastly.com/api/config#dictionary_item
+ |
+ */
+
+/**
+ *
+ * Max number of item operations fastly accepts in a single batch update request.
+ */
+var DICTIONARY_BATCH_LIMIT = 1000;
+
+/**
+ *
+ * Page size used when listing dictionary items.
+ */
+var DICTIONARY_ITEMS_PER_PAGE = 100;
+
+/**
+ *
+ * Get a list of dictionaries by config version.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {array} - Array of dictionary objects.
+ */
+FastlyPromise.prototype.getDictionaries = function getDictionaries(serviceId, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/dictionary');
+    });
+
+}
+
+/**
+ *
+ * Get a dictionary by name. Use the returned id with the dictionary item methods.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Dictionary object.
+ */
+FastlyPromise.prototype.getDictionary = function getDictionary(serviceId, dictionaryName, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/dictionary/' + encodeURIComponent(dictionaryName));
+    });
+
+}
+
+/**
+ *
+ * Create a dictionary.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Dictionary object.
+ */
+FastlyPromise.prototype.createDictionary = function createDictionary(serviceId, dictionaryName, configVersionNumber) {
+  var self = this;
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'createDictionary()')
+    .then(function(configVersionNumber){
+      return self.request('POST', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/dictionary', {
+        form: {
+          name: dictionaryName
+        }
+      });
+    });
+
+}
+
+/**
+ *
+ * Delete a dictionary.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Fastly dictionary delete status object.
+ */
+FastlyPromise.prototype.deleteDictionary = function deleteDictionary(serviceId, dictionaryName, configVersionNumber) {
+  var self = this;
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'deleteDictionary()')
+    .then(function(configVersionNumber){
+      return self.request('DELETE', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/dictionary/' + encodeURIComponent(dictionaryName));
+    });
+
+}
+
+/**
+ *
+ * Get a list of items in a dictionary. Fetches every page.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryId
+ * @returns {array} - Array of dictionary item objects.
+ */
+FastlyPromise.prototype.getDictionaryItems = function getDictionaryItems(serviceId, dictionaryId) {
+
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/dictionary/' + dictionaryId + '/items', {perPage: DICTIONARY_ITEMS_PER_PAGE}).all();
+
+}
+
+/**
+ *
+ * Lazily iterate over the items in a dictionary, fetching pages as they are needed.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryId
+ * @returns {object} - Async iterator of dictionary item objects.
+ */
+FastlyPromise.prototype.iterateDictionaryItems = function iterateDictionaryItems(serviceId, dictionaryId) {
+
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/dictionary/' + dictionaryId + '/items', {perPage: DICTIONARY_ITEMS_PER_PAGE}).iterator();
+
+}
+
+/**
+ *
+ * Get a dictionary item by key.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryId
+ * @param {string} itemKey
+ * @returns {object} - Dictionary item object.
+ */
+FastlyPromise.prototype.getDictionaryItem = function getDictionaryItem(serviceId, dictionaryId, itemKey) {
+
+  return this.request('GET', this.endpoint + '/service/' + serviceId + '/dictionary/' + dictionaryId + '/item/' + encodeURIComponent(itemKey));
+
+}
+
+/**
+ *
+ * Create or update a dictionary item.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryId
+ * @param {string} itemKey
+ * @param {string} itemValue
+ * @returns {object} - Dictionary item object.
+ */
+FastlyPromise.prototype.upsertDictionaryItem = function upsertDictionaryItem(serviceId, dictionaryId, itemKey, itemValue) {
+
+  return this.request('PUT', this.endpoint + '/service/' + serviceId + '/dictionary/' + dictionaryId + '/item/' + encodeURIComponent(itemKey), {
+    form: {
+      item_value: itemValue
+    }
+  });
+
+}
+
+/**
+ *
+ * Delete a dictionary item.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryId
+ * @param {string} itemKey
+ * @returns {object} - Fastly dictionary item delete status object.
+ */
+FastlyPromise.prototype.deleteDictionaryItem = function deleteDictionaryItem(serviceId, dictionaryId, itemKey) {
+
+  return this.request('DELETE', this.endpoint + '/service/' + serviceId + '/dictionary/' + dictionaryId + '/item/' + encodeURIComponent(itemKey));
+
+}
+
+/**
+ *
+ * Apply many dictionary item changes using fastly's batch PATCH format. Large change sets are sent as several
+ * sequential batches of at most options.batchSize operations.
+ *
+ * Changes can be passed in fastly's batch format, e.g. [{op: 'upsert', item_key: 'a', item_value: '1'}, {op: 'delete', item_key: 'b'}],
+ * or as a {key: value} map where a null value deletes the key.
+ *
+ * @param {string} serviceId
+ * @param {string} dictionaryId
+ * @param {array|object} changes
+ * @param {object} [options={}]
+ * @returns {array} - Array of fastly batch responses, one per batch.
+ * @throws Will throw ValidationError if a change is malformed.
+ * @throws Rejects with the failed batch's error. error.completedBatches holds the number of batches that were applied.
+ *
+ * The following options are available
+ * {number} options.batchSize - Operations per request, between 1 and 1000. Defaults to 1000.
+ *
+ */
+FastlyPromise.prototype.bulkUpdateDictionaryItems = function bulkUpdateDictionaryItems(serviceId, dictionaryId, changes, options) {
+  var self = this;
+
+  options = options || {};
+
+  var batchSize = options.batchSize || DICTIONARY_BATCH_LIMIT;
+
+  if (!/^\d+$/.test(String(batchSize)) || batchSize < 1 || batchSize > DICTIONARY_BATCH_LIMIT) {
+    throw new errors.ValidationError('batchSize must be between 1 and ' + DICTIONARY_BATCH_LIMIT + '.');
+  }
+
+  //Convert {key: value} maps to batch operations.
+  if (!Array.isArray(changes)) {
+    changes = Object.keys(changes || {}).map(function(itemKey){
+      var itemValue = changes[itemKey];
+      return (itemValue === null) ? {op: 'delete', item_key: itemKey} : {op: 'upsert', item_key: itemKey, item_value: String(itemValue)};
+    });
+  }
+
+  changes.forEach(function(change, index){
+    if (!change || ['create', 'update', 'upsert', 'delete'].indexOf(change.op) === -1 || !change.item_key) {
+      throw new errors.ValidationError('Invalid dictionary item change at index ' + index + ', expected {op, item_key, item_value}.');
+    }
+    if (change.op !== 'delete' && typeof change.item_value == 'undefined') {
+      throw new errors.ValidationError('Dictionary item change at index ' + index + ' (' + change.item_key + ') is missing item_value.');
+    }
+  });
+
+  var batches = ramda.splitEvery(batchSize, changes);
+  var completedBatches = 0;
+
+  return Promise.mapSeries(batches, function(batch){
+      return self.request('PATCH', self.endpoint + '/service/' + serviceId + '/dictionary/' + dictionaryId + '/items', {
+          json: {
+            items: batch
+          }
+        })
+        .tap(function(){
+          completedBatches++;
+        });
+    })
+    .catch(function(error){
+      error.completedBatches = completedBatches;
+      throw error;
+    });
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > ACL
+ |--------------------------------------------------------------------------
+ |
+ | ACL and ACL entry related methods. ACLs belong to a config version, their entries are versionless and can be
+ | changed without cloning or activating a version.
+ |
+ | https://docs.fastly.com/api/config#acl
+ | https://docs.fastly.com/api/config#acl_entry
+ |
+ */
+
+/**
+ *
+ * Max number of entry operations fastly accepts in a single batch update request.
+ */
+var ACL_BATCH_LIMIT = 1000;
+
+/**
+ *
+ * Page size used when listing ACL entries.
+ */
+var ACL_ENTRIES_PER_PAGE = 100;
+
+/**
+ *
+ * Normalize an ACL entry, see lib/cidr.js.
+ *
+ * @param {string|object} entry - CIDR string, e.g. "!192.0.2.0/24", or {ip, subnet, negated}.
+ * @param {string} description - Where the entry came from, for error messages.
+ * @returns {object} - Normalized entry {ip, subnet, negated, family, cidr}.
+ * @throws Will throw ValidationError if the entry is not a valid address or network.
+ */
+function normalizeAclEntry(entry, description) {
+
+  try {
+    return cidr.normalize(entry);
+  }
+  catch (error) {
+    throw new errors.ValidationError('Invalid ACL entry ' + description + ': ' + error.message);
+  }
+
+}
+
+/**
+ *
+ * Fastly fields for a normalized ACL entry. Single addresses are sent without a subnet.
+ *
+ * @param {object} entry - Normalized entry.
+ * @returns {object} - {ip, subnet, negated}
+ */
+function aclEntryFields(entry) {
+
+  var fields = {ip: entry.ip, negated: entry.negated ? 1 : 0};
+
+  if (entry.subnet !== (entry.family === 4 ? 32 : 128)) {
+    fields.subnet = entry.subnet;
+  }
+
+  return fields;
+
+}
+
+/**
+ *
+ * Get a list of ACLs by config version.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {array} - Array of ACL objects.
+ */
+FastlyPromise.prototype.getAcls = function getAcls(serviceId, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/acl');
+    });
+
+}
+
+/**
+ *
+ * Get an ACL by name. Use the returned id with the ACL entry methods.
+ *
+ * @param {string} serviceId
+ * @param {string} aclName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - ACL object.
+ */
+FastlyPromise.prototype.getAcl = function getAcl(serviceId, aclName, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/acl/' + encodeURIComponent(aclName));
+    });
+
+}
+
+/**
+ *
+ * Create an ACL.
+ *
+ * @param {string} serviceId
+ * @param {string} aclName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - ACL object.
+ */
+FastlyPromise.prototype.createAcl = function createAcl(serviceId, aclName, configVersionNumber) {
+  var self = this;
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'createAcl()')
+    .then(function(configVersionNumber){
+      return self.request('POST', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/acl', {
+        form: {
+          name: aclName
+        }
+      });
+    });
+
+}
+
+/**
+ *
+ * Delete an ACL.
+ *
+ * @param {string} serviceId
+ * @param {string} aclName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Fastly ACL delete status object.
+ */
+FastlyPromise.prototype.deleteAcl = function deleteAcl(serviceId, aclName, configVersionNumber) {
+  var self = this;
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'deleteAcl()')
+    .then(function(configVersionNumber){
+      return self.request('DELETE', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/acl/' + encodeURIComponent(aclName));
+    });
+
+}
+
+/**
+ *
+ * Get a list of entries in an ACL. Fetches every page.
+ *
+ * @param {string} serviceId
+ * @param {string} aclId
+ * @returns {array} - Array of ACL entry objects.
+ */
+FastlyPromise.prototype.getAclEntries = function getAclEntries(serviceId, aclId) {
+
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/acl/' + aclId + '/entries', {perPage: ACL_ENTRIES_PER_PAGE}).all();
+
+}
+
+/**
+ *
+ * Iterate the entries of an ACL page by page.
+ *
+ * @param {string} serviceId
+ * @param {string} aclId
+ * @returns {object} - Async iterator of ACL entry objects.
+ */
+FastlyPromise.prototype.iterateAclEntries = function iterateAclEntries(serviceId, aclId) {
+
+  return this.paginate(this.endpoint + '/service/' + serviceId + '/acl/' + aclId + '/entries', {perPage: ACL_ENTRIES_PER_PAGE}).iterator();
+
+}
+
+/**
+ *
+ * Get an ACL entry by id.
+ *
+ * @param {string} serviceId
+ * @param {string} aclId
+ * @param {string} entryId
+ * @returns {object} - ACL entry object.
+ */
+FastlyPromise.prototype.getAclEntry = function getAclEntry(serviceId, aclId, entryId) {
+
+  return this.request('GET', this.endpoint + '/service/' + serviceId + '/acl/' + aclId + '/entry/' + encodeURIComponent(entryId));
+
+}
+
+/**
+ *
+ * Add an entry to an ACL.
+ *
+ * @param {string} serviceId
+ * @param {string} aclId
+ * @param {string|object} entry - CIDR string, e.g. "192.0.2.0/24" or "!10.0.0.1", or {ip, subnet, negated}.
+ * @param {string} [comment]
+ * @returns {object} - ACL entry object.
+ * @throws Will throw ValidationError if the entry is not a valid address or network.
+ */
+FastlyPromise.prototype.createAclEntry = function createAclEntry(serviceId, aclId, entry, comment) {
+
+  var fields = aclEntryFields(normalizeAclEntry(entry, JSON.stringify(entry)));
+
+  if (comment) {
+    fields.comment = comment;
+  }
+
+  return this.request('POST', this.endpoint + '/service/' + serviceId + '/acl/' + aclId + '/entry', {
+    form: fields
+  });
+
+}
+
+/**
+ *
+ * Remove an entry from an ACL.
+ *
+ * @param {string} serviceId
+ * @param {string} aclId
+ * @param {string} entryId
+ * @returns {object} - Fastly ACL entry delete status object.
+ */
+FastlyPromise.prototype.deleteAclEntry = function deleteAclEntry(serviceId, aclId, entryId) {
+
+  return this.request('DELETE', this.endpoint + '/service/' + serviceId + '/acl/' + aclId + '/entry/' + encodeURIComponent(entryId));
+
+}
+
+/**
+ *
+ * Apply many ACL entry changes using fastly's batch PATCH format, e.g.
+ * [{op: 'create', ip: '192.0.2.0', subnet: 24}, {op: 'update', id: 'abc', negated: 1}, {op: 'delete', id: 'def'}].
+ * Large change sets are sent as several sequential batches of at most options.batchSize operations.
+ *
+ * @param {string} serviceId
+ * @param {string} aclId
+ * @param {array} changes
+ * @param {object} [options={}]
+ * @returns {array} - Array of fastly batch responses, one per batch.
+ * @throws Will throw ValidationError if a change is malformed.
+ * @throws Rejects with the failed batch's error. error.completedBatches holds the number of batches that were applied.
+ *
+ * The following options are available
+ * {number} options.batchSize - Operations per request, between 1 and 1000. Defaults to 1000.
+ *
+ */
+FastlyPromise.prototype.bulkUpdateAclEntries = function bulkUpdateAclEntries(serviceId, aclId, changes, options) {
+  var self = this;
+
+  options = options || {};
+
+  var batchSize = options.batchSize || ACL_BATCH_LIMIT;
+
+  if (!/^\d+$/.test(String(batchSize)) || batchSize < 1 || batchSize > ACL_BATCH_LIMIT) {
+    throw new errors.ValidationError('batchSize must be between 1 and ' + ACL_BATCH_LIMIT + '.');
+  }
+
+  (changes || []).forEach(function(change, index){
+    if (!change || ['create', 'update', 'delete'].indexOf(change.op) === -1) {
+      throw new errors.ValidationError('Invalid ACL entry change at index ' + index + ', expected {op, id} or {op: "create", ip}.');
+    }
+    if (change.op === 'create' && !change.ip) {
+      throw new errors.ValidationError('ACL entry change at index ' + index + ' is missing ip.');
+    }
+    if (change.op !== 'create' && !change.id) {
+      throw new errors.ValidationError('ACL entry change at index ' + index + ' (' + change.op + ') is missing id.');
+    }
+  });
+
+  var batches = ramda.splitEvery(batchSize, changes || []);
+  var completedBatches = 0;
+
+  return Promise.mapSeries(batches, function(batch){
+      return self.request('PATCH', self.endpoint + '/service/' + serviceId + '/acl/' + aclId + '/entries', {
+          json: {
+            entries: batch
+          }
+        })
+        .tap(function(){
+          completedBatches++;
+        });
+    })
+    .catch(function(error){
+      error.completedBatches = completedBatches;
+      throw error;
+    });
+
+}
+
+/**
+ *
+ * Make an ACL hold exactly the given networks. Entries are normalized first (see lib/cidr.js), so "10.1.2.3/8" matches
+ * an existing "10.0.0.0/8" entry and "2001:DB8:0::/32" matches "2001:db8::/32". Only the difference is sent, removals
+ * before additions, in batches of at most options.batchSize operations.
+ *
+ * @param {string} serviceId
+ * @param {string} aclId
+ * @param {array} cidrList - CIDR strings, e.g. ["192.0.2.0/24", "!192.0.2.1", "2001:db8::/32"], or {ip, subnet, negated} objects.
+ * @param {object} [options={}]
+ * @returns {object} - {added, removed, unchanged, batches}. added and removed hold canonical CIDR strings.
+ * @throws Will throw ValidationError if an entry is not a valid address or network.
+ *
+ * The following options are available
+ * {number} options.batchSize - Operations per request, between 1 and 1000. Defaults to 1000.
+ * {string} options.comment - Comment set on added entries.
+ * {boolean} options.dryRun - Work out the difference without changing the ACL. Defaults to false.
+ *
+ */
+FastlyPromise.prototype.syncAclEntries = function syncAclEntries(serviceId, aclId, cidrList, options) {
+  var self = this;
+
+  options = ramda.merge({batchSize: ACL_BATCH_LIMIT, comment: null, dryRun: false}, options || {});
+
+  if (!Array.isArray(cidrList)) {
+    throw new errors.ValidationError('syncAclEntries() requires an array of CIDRs.');
+  }
+
+  var wanted = ramda.uniqBy(ramda.prop('cidr'), cidrList.map(function(entry, index){
+    return normalizeAclEntry(entry, 'at index ' + index);
+  }));
+
+  return self.getAclEntries(serviceId, aclId)
+    .then(function(existingEntries){
+      var wantedCidrs = wanted.map(ramda.prop('cidr'));
+      var kept = {};
+      var removals = [];
+
+      existingEntries.forEach(function(existingEntry){
+        var entry = normalizeAclEntry(existingEntry, existingEntry.id);
+
+        //Duplicates of a kept entry go as well.
+        if (wantedCidrs.indexOf(entry.cidr) !== -1 && !kept[entry.cidr]) {
+          kept[entry.cidr] = true;
+          return;
+        }
+
+        removals.push({id: existingEntry.id, cidr: entry.cidr});
+      });
+
+      var additions = wanted.filter(function(entry){ return !kept[entry.cidr]; });
+
+      var changes = removals.map(function(removal){
+        return {op: 'delete', id: removal.id};
+      }).concat(additions.map(function(entry){
+        return ramda.merge({op: 'create'}, options.comment ? ramda.merge(aclEntryFields(entry), {comment: options.comment}) : aclEntryFields(entry));
+      }));
+
+      var result = {
+        added: additions.map(ramda.prop('cidr')),
+        removed: removals.map(ramda.prop('cidr')),
+        unchanged: Object.keys(kept).length,
+        batches: []
+      };
+
+      if (options.dryRun || !changes.length) {
+        return result;
+      }
+
+      return self.bulkUpdateAclEntries(serviceId, aclId, changes, {batchSize: options.batchSize})
+        .then(function(batches){
+          result.batches = batches;
+          return result;
+        });
+    });
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Versioned Resources
+ |--------------------------------------------------------------------------
+ |
+ | Conditions, header rules, cache settings, request settings, response objects, gzip settings, health checks and
+ | directors. They all live on a config version, are identified by name and share one implementation, the generic
+ | *VersionedResource* methods.
+ | Each type also gets named methods, e.g. getConditions(), getCondition(), createCondition(), updateCondition() and
+ | deleteCondition().
+ |
+ | https://docs.fastly.com/api/config#condition
+ | https://docs.fastly.com/api/config#header
+ | https://docs.fastly.com/api/config#cache_settings
+ | https://docs.fastly.com/api/config#request_settings
+ | https://docs.fastly.com/api/config#response_object
+ | https://docs.fastly.com/api/config#gzip
+ | https://docs.fastly.com/api/config#healthcheck
+ | https://docs.fastly.com/api/config#director
+ |
+ */
+
+/**
+ *
+ * Versioned resource types, keyed by the url segment fastly uses for them.
+ *
+ * Each type defines
+ * {string} singular - Name used in the named methods, e.g. "Condition" for getCondition().
+ * {string} plural - Name used in the named list method, e.g. "Conditions" for getConditions().
+ * {array} required - Fields required on create, besides name.
+ * {object} values - Allowed values of enumerated fields.
+ */
+var VERSIONED_RESOURCES = {
+  condition: {
+    singular: 'Condition',
+    plural: 'Conditions',
+    required: ['statement', 'type'],
+    values: {
+      type: ['REQUEST', 'CACHE', 'RESPONSE', 'PREFETCH']
+    }
+  },
+  header: {
+    singular: 'Header',
+    plural: 'Headers',
+    required: ['action', 'type', 'dst'],
+    values: {
+      action: ['set', 'append', 'delete', 'regex', 'regex_repeat'],
+      type: ['request', 'cache', 'response', 'fetch']
+    }
+  },
+  cache_settings: {
+    singular: 'CacheSetting',
+    plural: 'CacheSettings',
+    required: [],
+    values: {
+      action: ['cache', 'pass', 'restart']
+    }
+  },
+  request_settings: {
+    singular: 'RequestSetting',
+    plural: 'RequestSettings',
+    required: [],
+    values: {
+      action: ['lookup', 'pass'],
+      xff: ['clear', 'leave', 'append', 'append_all', 'overwrite']
+    }
+  },
+  response_object: {
+    singular: 'ResponseObject',
+    plural: 'ResponseObjects',
+    required: [],
+    values: {}
+  },
+  gzip: {
+    singular: 'Gzip',
+    plural: 'Gzips',
+    required: [],
+    values: {}
+  },
+  healthcheck: {
+    singular: 'Healthcheck',
+    plural: 'Healthchecks',
+    required: ['host', 'path'],
+    values: {
+      method: ['GET', 'HEAD', 'POST']
+    }
+  },
+  director: {
+    singular: 'Director',
+    plural: 'Directors',
+    required: [],
+    values: {
+      type: [1, 3, 4]
+    }
+  }
+};
+
+/**
+ *
+ * Look up a versioned resource type.
+ *
+ * @param {string} type - VERSIONED_RESOURCES key, e.g. "condition".
+ * @returns {object} - Resource type definition.
+ * @throws Will throw ValidationError for unknown types.
+ */
+function versionedResource(type) {
+
+  if (!Object.prototype.hasOwnProperty.call(VERSIONED_RESOURCES, type)) {
+    throw new errors.ValidationError('Unknown versioned resource type "' + type + '", expected one of ' + Object.keys(VERSIONED_RESOURCES).join(', ') + '.');
+  }
+
+  return VERSIONED_RESOURCES[type];
+
+}
+
+/**
+ *
+ * Validate versioned resource fields before sending them to fastly.
+ *
+ * @param {string} type - VERSIONED_RESOURCES key.
+ * @param {object} object - Resource fields.
+ * @param {boolean} isNew - New resources require name and the type's required fields.
+ * @throws Will throw ValidationError describing every invalid field.
+ */
+function validateVersionedResource(type, object, isNew) {
+  var resource = versionedResource(type);
+
+  if (!object || typeof object != 'object') {
+    throw new errors.ValidationError(resource.singular + ' fields must be an object.');
+  }
+
+  var problems = [];
+
+  if (isNew) {
+    ['name'].concat(resource.required).forEach(function(field){
+      if (typeof object[field] == 'undefined' || object[field] === null || object[field] === '') {
+        problems.push(field + ' is required');
+      }
+    });
+  }
+
+  Object.keys(resource.values).forEach(function(field){
+    var value = object[field];
+
+    //Form values arrive as strings, so compare e.g. director type 3 and "3" alike.
+    if (typeof value != 'undefined' && value !== null && resource.values[field].map(String).indexOf(String(value)) === -1) {
+      problems.push(field + ' must be one of ' + resource.values[field].join(', '));
+    }
+  });
+
+  if (problems.length) {
+    throw new errors.ValidationError('Invalid ' + type + ': ' + problems.join(', ') + '.');
+  }
+
+}
+
+/**
+ *
+ * Get a list of versioned resources by config version.
+ *
+ * @param {string} type - VERSIONED_RESOURCES key, e.g. "condition".
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {array} - Array of resource objects.
+ */
+FastlyPromise.prototype.getVersionedResources = function getVersionedResources(type, serviceId, configVersionNumber) {
+  var self = this;
+
+  versionedResource(type);
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/' + type);
+    });
+
+}
+
+/**
+ *
+ * Get a versioned resource by name.
+ *
+ * @param {string} type - VERSIONED_RESOURCES key, e.g. "condition".
+ * @param {string} serviceId
+ * @param {string} name
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Resource object.
+ */
+FastlyPromise.prototype.getVersionedResource = function getVersionedResource(type, serviceId, name, configVersionNumber) {
+  var self = this;
+
+  versionedResource(type);
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/' + type + '/' + encodeURIComponent(name));
+    });
+
+}
+
+/**
+ *
+ * Create a versioned resource.
+ *
+ * @param {string} type - VERSIONED_RESOURCES key, e.g. "condition".
+ * @param {string} serviceId
+ * @param {object} object - Resource fields. name and the type's required fields must be set.
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Resource object.
+ * @throws Will throw ValidationError if the type is unknown or fields are invalid.
+ */
+FastlyPromise.prototype.createVersionedResource = function createVersionedResource(type, serviceId, object, configVersionNumber) {
+  var self = this;
+
+  validateVersionedResource(type, object, true);
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'create' + VERSIONED_RESOURCES[type].singular + '()')
+    .then(function(configVersionNumber){
+      return self.request('POST', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/' + type, {
+        form: object
+      });
+    });
+
+}
+
+/**
+ *
+ * Update a versioned resource. Only the passed fields are changed, pass a new name to rename the resource.
+ *
+ * @param {string} type - VERSIONED_RESOURCES key, e.g. "condition".
+ * @param {string} serviceId
+ * @param {string} name - Current name of the resource.
+ * @param {object} object - Resource fields to update.
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Resource object.
+ * @throws Will throw ValidationError if the type is unknown or fields are invalid.
+ */
+FastlyPromise.prototype.updateVersionedResource = function updateVersionedResource(type, serviceId, name, object, configVersionNumber) {
+  var self = this;
+
+  validateVersionedResource(type, object, false);
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'update' + VERSIONED_RESOURCES[type].singular + '()')
+    .then(function(configVersionNumber){
+      return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/' + type + '/' + encodeURIComponent(name), {
+        form: object
+      });
+    });
+
+}
+
+/**
+ *
+ * Delete a versioned resource.
+ *
+ * @param {string} type - VERSIONED_RESOURCES key, e.g. "condition".
+ * @param {string} serviceId
+ * @param {string} name
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Fastly delete status object.
+ * @throws Will throw ValidationError if the type is unknown.
+ */
+FastlyPromise.prototype.deleteVersionedResource = function deleteVersionedResource(type, serviceId, name, configVersionNumber) {
+  var self = this;
+  var resource = versionedResource(type);
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'delete' + resource.singular + '()')
+    .then(function(configVersionNumber){
+      return self.request('DELETE', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/' + type + '/' + encodeURIComponent(name));
+    });
+
+}
+
+/**
+ *
+ * Named methods for every versioned resource type, e.g. for conditions
+ *
+ * getConditions(serviceId, [configVersionNumber])
+ * getCondition(serviceId, name, [configVersionNumber])
+ * createCondition(serviceId, object, [configVersionNumber])
+ * updateCondition(serviceId, name, object, [configVersionNumber])
+ * deleteCondition(serviceId, name, [configVersionNumber])
+ *
+ * Every type is also registered in VERSIONED_OBJECT_TYPES, so diffs, snapshots and desired state cover it.
+ */
+Object.keys(VERSIONED_RESOURCES).forEach(function(type){
+  var resource = VERSIONED_RESOURCES[type];
+
+  FastlyPromise.prototype['get' + resource.plural] = function(serviceId, configVersionNumber) {
+    return this.getVersionedResources(type, serviceId, configVersionNumber);
+  };
+
+  FastlyPromise.prototype['get' + resource.singular] = function(serviceId, name, configVersionNumber) {
+    return this.getVersionedResource(type, serviceId, name, configVersionNumber);
+  };
+
+  FastlyPromise.prototype['create' + resource.singular] = function(serviceId, object, configVersionNumber) {
+    return this.createVersionedResource(type, serviceId, object, configVersionNumber);
+  };
+
+  FastlyPromise.prototype['update' + resource.singular] = function(serviceId, name, object, configVersionNumber) {
+    return this.updateVersionedResource(type, serviceId, name, object, configVersionNumber);
+  };
+
+  FastlyPromise.prototype['delete' + resource.singular] = function(serviceId, name, configVersionNumber) {
+    return this.deleteVersionedResource(type, serviceId, name, configVersionNumber);
+  };
+
+  VERSIONED_OBJECT_TYPES[type] = {
+    list: 'get' + resource.plural,
+    create: function(client, serviceId, object, configVersionNumber){
+      return client.createVersionedResource(type, serviceId, object, configVersionNumber);
+    },
+    update: function(client, serviceId, name, object, configVersionNumber){
+      return client.updateVersionedResource(type, serviceId, name, object, configVersionNumber);
+    },
+    remove: function(client, serviceId, name, configVersionNumber){
+      return client.deleteVersionedResource(type, serviceId, name, configVersionNumber);
+    }
+  };
+});
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Load Balancing
+ |--------------------------------------------------------------------------
+ |
+ | Director backend relationships and a referential integrity check for directors, backends and health checks.
+ | Health checks and directors themselves are versioned resources, see getHealthchecks() and getDirectors().
+ |
+ | https://docs.fastly.com/api/config#director_backend
+ |
+ */
+
+/**
+ *
+ * Get the names of the backends a director balances between.
+ *
+ * @param {string} serviceId
+ * @param {string} directorName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {array} - Array of backend names.
+ */
+FastlyPromise.prototype.getDirectorBackends = function getDirectorBackends(serviceId, directorName, configVersionNumber) {
+
+  return this.getDirector(serviceId, directorName, configVersionNumber)
+    .then(function(director){
+      return director.backends || [];
+    });
+
+}
+
+/**
+ *
+ * Get the relationship between a director and a backend.
+ *
+ * @param {string} serviceId
+ * @param {string} directorName
+ * @param {string} backendName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Director backend object.
+ */
+FastlyPromise.prototype.getDirectorBackend = function getDirectorBackend(serviceId, directorName, backendName, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/director/' + encodeURIComponent(directorName) + '/backend/' + encodeURIComponent(backendName));
+    });
+
+}
+
+/**
+ *
+ * Add a backend to a director.
+ *
+ * @param {string} serviceId
+ * @param {string} directorName
+ * @param {string} backendName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Director backend object.
+ */
+FastlyPromise.prototype.createDirectorBackend = function createDirectorBackend(serviceId, directorName, backendName, configVersionNumber) {
+  var self = this;
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'createDirectorBackend()')
+    .then(function(configVersionNumber){
+      return self.request('POST', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/director/' + encodeURIComponent(directorName) + '/backend/' + encodeURIComponent(backendName));
+    });
+
+}
+
+/**
+ *
+ * Remove a backend from a director. The backend itself is kept.
+ *
+ * @param {string} serviceId
+ * @param {string} directorName
+ * @param {string} backendName
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Fastly director backend delete status object.
+ */
+FastlyPromise.prototype.deleteDirectorBackend = function deleteDirectorBackend(serviceId, directorName, backendName, configVersionNumber) {
+  var self = this;
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'deleteDirectorBackend()')
+    .then(function(configVersionNumber){
+      return self.request('DELETE', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/director/' + encodeURIComponent(directorName) + '/backend/' + encodeURIComponent(backendName));
+    });
+
+}
+
+/**
+ *
+ * Add and remove director backends until the director balances between exactly the given backends.
+ *
+ * @param {FastlyPromise} client
+ * @param {string} serviceId
+ * @param {string} directorName
+ * @param {array} backendNames
+ * @param {string} configVersionNumber
+ * @returns {Promise}
+ */
+function syncDirectorBackends(client, serviceId, directorName, backendNames, configVersionNumber) {
+
+  return client.getDirectorBackends(serviceId, directorName, configVersionNumber)
+    .then(function(existingNames){
+      return Promise.mapSeries(ramda.difference(backendNames, existingNames), function(backendName){
+          return client.createDirectorBackend(serviceId, directorName, backendName, configVersionNumber);
+        })
+        .then(function(){
+          return Promise.mapSeries(ramda.difference(existingNames, backendNames), function(backendName){
+            return client.deleteDirectorBackend(serviceId, directorName, backendName, configVersionNumber);
+          });
+        });
+    });
+
+}
+
+//Directors list their backends, which fastly manages through director backend relationships rather than director fields.
+VERSIONED_OBJECT_TYPES.director = ramda.merge(VERSIONED_OBJECT_TYPES.director, {
+  create: function(client, serviceId, object, configVersionNumber){
+    return client.createDirector(serviceId, ramda.omit(['backends'], object), configVersionNumber)
+      .tap(function(){
+        return object.backends ? syncDirectorBackends(client, serviceId, object.name, object.backends, configVersionNumber) : null;
+      });
+  },
+  update: function(client, serviceId, name, object, configVersionNumber){
+    var fields = ramda.omit(['backends'], object);
+    var updated = Object.keys(fields).length ? client.updateDirector(serviceId, name, fields, configVersionNumber) : Promise.resolve(null);
+
+    return updated
+      .tap(function(){
+        return object.backends ? syncDirectorBackends(client, serviceId, object.name || name, object.backends, configVersionNumber) : null;
+      });
+  }
+});
+
+/**
+ *
+ * Check that the load balancing setup of a config version only references objects that exist: every director's
+ * backends exist, and every backend's healthcheck names an existing health check. Run it before activating a version,
+ * fastly only reports broken references once activation fails.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - {valid, problems}
+ *
+ * Problems have the following shape
+ * {string} type - Type of the object holding the reference, "director" or "backend".
+ * {string} name - Name of the object holding the reference.
+ * {string} field - Referencing field, "backends" or "healthcheck".
+ * {string} reference - Name of the missing object.
+ * {string} message
+ *
+ */
+FastlyPromise.prototype.checkReferentialIntegrity = function checkReferentialIntegrity(serviceId, configVersionNumber) {
+  var self = this;
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return Promise.props({
+        backends: self.getBackends(serviceId, configVersionNumber),
+        directors: self.getDirectors(serviceId, configVersionNumber),
+        healthchecks: self.getHealthchecks(serviceId, configVersionNumber)
+      });
+    })
+    .then(function(config){
+      var backendNames = config.backends.map(ramda.prop('name'));
+      var healthcheckNames = config.healthchecks.map(ramda.prop('name'));
+      var problems = [];
+
+      config.directors.forEach(function(director){
+        (director.backends || []).forEach(function(backendName){
+          if (backendNames.indexOf(backendName) === -1) {
+            problems.push({type: 'director', name: director.name, field: 'backends', reference: backendName, message: 'Director "' + director.name + '" references undefined backend "' + backendName + '".'});
+          }
+        });
+      });
+
+      config.backends.forEach(function(backend){
+        if (backend.healthcheck && healthcheckNames.indexOf(backend.healthcheck) === -1) {
+          problems.push({type: 'backend', name: backend.name, field: 'healthcheck', reference: backend.healthcheck, message: 'Backend "' + backend.name + '" references undefined health check "' + backend.healthcheck + '".'});
+        }
+      });
+
+      return {
+        valid: problems.length === 0,
+        problems: problems
+      };
+    });
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Logging
+ |--------------------------------------------------------------------------
+ |
+ | Log streaming endpoints. Every provider has its own url segment and field set, the methods here put them behind one
+ | interface with the provider as the endpoint's "type", e.g. {type: 's3', name: 'archive', bucket_name: 'logs', ...}.
+ |
+ | https://docs.fastly.com/api/logging
+ |
+ */
+
+/**
+ *
+ * Logging endpoint types, keyed by the url segment fastly uses for them (/logging/:type).
+ *
+ * Each type defines
+ * {array} required - Fields required on create, besides name.
+ * {array} credentials - Alternative sets of credential fields, one of which must be complete on create. Empty if the
+ *                       type's credentials are among its required fields.
+ */
+var LOGGING_ENDPOINT_TYPES = {
+  s3: {required: ['bucket_name'], credentials: [['access_key', 'secret_key'], ['iam_role']]},
+  gcs: {required: ['bucket_name'], credentials: [['user', 'secret_key'], ['account_name']]},
+  azureblob: {required: ['account_name', 'container', 'sas_token'], credentials: []},
+  bigquery: {required: ['project_id', 'dataset', 'table'], credentials: [['user', 'secret_key'], ['account_name']]},
+  syslog: {required: ['address'], credentials: []},
+  https: {required: ['url'], credentials: []},
+  splunk: {required: ['url', 'token'], credentials: []},
+  datadog: {required: ['token'], credentials: []},
+  newrelic: {required: ['token'], credentials: []},
+  loggly: {required: ['token'], credentials: []},
+  sumologic: {required: ['url'], credentials: []},
+  papertrail: {required: ['address', 'port'], credentials: []},
+  elasticsearch: {required: ['url', 'index'], credentials: []},
+  kafka: {required: ['brokers', 'topic'], credentials: []},
+  sftp: {required: ['address', 'user', 'path', 'ssh_known_hosts'], credentials: [['password'], ['secret_key']]}
+};
+
+/**
+ *
+ * Look up a logging endpoint type.
+ *
+ * @param {string} type - LOGGING_ENDPOINT_TYPES key, e.g. "s3".
+ * @returns {object} - Logging endpoint type definition.
+ * @throws Will throw ValidationError for unknown types.
+ */
+function loggingEndpointType(type) {
+
+  if (!Object.prototype.hasOwnProperty.call(LOGGING_ENDPOINT_TYPES, type)) {
+    throw new errors.ValidationError('Unknown logging endpoint type "' + type + '", expected one of ' + Object.keys(LOGGING_ENDPOINT_TYPES).join(', ') + '.');
+  }
+
+  return LOGGING_ENDPOINT_TYPES[type];
+
+}
+
+/**
+ *
+ * Validate logging endpoint fields before sending them to fastly.
+ *
+ * @param {string} type - LOGGING_ENDPOINT_TYPES key.
+ * @param {object} endpoint - Endpoint fields.
+ * @param {boolean} isNew - New endpoints require name, the type's required fields and a complete set of credentials.
+ * @throws Will throw ValidationError describing every missing field.
+ */
+function validateLoggingEndpoint(type, endpoint, isNew) {
+  var endpointType = loggingEndpointType(type);
+
+  if (!endpoint || typeof endpoint != 'object') {
+    throw new errors.ValidationError('Logging endpoint fields must be an object.');
+  }
+
+  if (!isNew) {
+    return;
+  }
+
+  var isSet = function(field) {
+    return typeof endpoint[field] != 'undefined' && endpoint[field] !== null && endpoint[field] !== '';
+  };
+
+  var problems = ['name'].concat(endpointType.required).filter(ramda.complement(isSet)).map(function(field){
+    return field + ' is required';
+  });
+
+  var hasCredentials = !endpointType.credentials.length || endpointType.credentials.some(function(fields){
+    return fields.every(isSet);
+  });
+
+  if (!hasCredentials) {
+    problems.push('credentials are required, set ' + endpointType.credentials.map(function(fields){ return fields.join(' and '); }).join(' or '));
+  }
+
+  if (problems.length) {
+    throw new errors.ValidationError('Invalid ' + type + ' logging endpoint: ' + problems.join(', ') + '.');
+  }
+
+}
+
+/**
+ *
+ * Tag logging endpoints returned by fastly with their type.
+ *
+ * @param {string} type
+ * @returns {function} - Maps an endpoint object or array of endpoint objects.
+ */
+function tagLoggingEndpoints(type) {
+
+  var tag = function(endpoint){
+    return ramda.merge(endpoint, {type: type});
+  };
+
+  return function(result) {
+    return Array.isArray(result) ? result.map(tag) : tag(result);
+  };
+
+}
+
+/**
+ *
+ * Get the logging endpoints of a config version.
+ *
+ * @param {string} serviceId
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @param {object} [options={}]
+ * @returns {array} - Array of logging endpoint objects, each with its type.
+ * @throws Will throw ValidationError if options.types holds an unknown type.
+ *
+ * The following options are available
+ * {array} options.types - Only list these types. Defaults to every type in LOGGING_ENDPOINT_TYPES, one request each.
+ *
+ */
+FastlyPromise.prototype.getLoggingEndpoints = function getLoggingEndpoints(serviceId, configVersionNumber, options) {
+  var self = this;
+
+  options = options || {};
+
+  var types = options.types || Object.keys(LOGGING_ENDPOINT_TYPES);
+
+  types.forEach(loggingEndpointType);
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return Promise.mapSeries(types, function(type){
+        return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/logging/' + type)
+          .then(tagLoggingEndpoints(type));
+      });
+    })
+    .then(ramda.unnest);
+
+}
+
+/**
+ *
+ * Get a logging endpoint by type and name.
+ *
+ * @param {string} serviceId
+ * @param {string} type - Logging endpoint type, e.g. "s3".
+ * @param {string} name
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Logging endpoint object with its type.
+ * @throws Will throw ValidationError if the type is unknown.
+ */
+FastlyPromise.prototype.getLoggingEndpoint = function getLoggingEndpoint(serviceId, type, name, configVersionNumber) {
+  var self = this;
+
+  loggingEndpointType(type);
+
+  return resolveConfigVersionNumber(self, serviceId, configVersionNumber)
+    .then(function(configVersionNumber){
+      return self.request('GET', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/logging/' + type + '/' + encodeURIComponent(name));
+    })
+    .then(tagLoggingEndpoints(type));
+
+}
+
+/**
+ *
+ * Create a logging endpoint.
+ *
+ * @param {string} serviceId
+ * @param {object} endpoint - Endpoint fields including its type, e.g. {type: 'https', name: 'collector', url: 'https://logs.example.com'}.
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Logging endpoint object with its type.
+ * @throws Will throw ValidationError if the type is unknown or fields are missing.
+ */
+FastlyPromise.prototype.createLoggingEndpoint = function createLoggingEndpoint(serviceId, endpoint, configVersionNumber) {
+  var self = this;
+  var type = endpoint && endpoint.type;
+
+  if (!type) {
+    throw new errors.ValidationError('createLoggingEndpoint() requires the endpoint\'s type, e.g. {type: \'s3\', name: \'archive\', ...}.');
+  }
+
+  validateLoggingEndpoint(type, endpoint, true);
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'createLoggingEndpoint()')
+    .then(function(configVersionNumber){
+      return self.request('POST', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/logging/' + type, {
+        form: ramda.omit(['type'], endpoint)
+      });
+    })
+    .then(tagLoggingEndpoints(type));
+
+}
+
+/**
+ *
+ * Update a logging endpoint, e.g. to rotate its credentials. Only the passed fields are changed, pass a new name to
+ * rename the endpoint. Changing the type means deleting the endpoint and creating a new one.
+ *
+ * @param {string} serviceId
+ * @param {string} type - Logging endpoint type, e.g. "s3".
+ * @param {string} name - Current name of the endpoint.
+ * @param {object} endpoint - Endpoint fields to update.
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Logging endpoint object with its type.
+ * @throws Will throw ValidationError if the type is unknown or fields are not an object.
+ */
+FastlyPromise.prototype.updateLoggingEndpoint = function updateLoggingEndpoint(serviceId, type, name, endpoint, configVersionNumber) {
+  var self = this;
+
+  validateLoggingEndpoint(type, endpoint, false);
+
+  if (endpoint.type && endpoint.type !== type) {
+    throw new errors.ValidationError('updateLoggingEndpoint() can\'t change the type of ' + type + ' logging endpoint ' + name + ' to ' + endpoint.type + ', delete and recreate it instead.');
+  }
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'updateLoggingEndpoint()')
+    .then(function(configVersionNumber){
+      return self.request('PUT', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/logging/' + type + '/' + encodeURIComponent(name), {
+        form: ramda.omit(['type'], endpoint)
+      });
+    })
+    .then(tagLoggingEndpoints(type));
+
+}
+
+/**
+ *
+ * Delete a logging endpoint.
+ *
+ * @param {string} serviceId
+ * @param {string} type - Logging endpoint type, e.g. "s3".
+ * @param {string} name
+ * @param {string} [configVersionNumber] - If no config version number is passed, defaults to active config version.
+ * @returns {object} - Fastly logging endpoint delete status object.
+ * @throws Will throw ValidationError if the type is unknown.
+ */
+FastlyPromise.prototype.deleteLoggingEndpoint = function deleteLoggingEndpoint(serviceId, type, name, configVersionNumber) {
+  var self = this;
+
+  loggingEndpointType(type);
+
+  return resolveWritableConfigVersion(self, serviceId, configVersionNumber, 'deleteLoggingEndpoint()')
+    .then(function(configVersionNumber){
+      return self.request('DELETE', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/logging/' + type + '/' + encodeURIComponent(name));
+    });
+
+}
+
+/**
+ *
+ * Copy logging endpoints from one service version to another, e.g. from a template service to a new service's draft.
+ * Endpoints are matched by type and name. Writes to the target go through the regular logging endpoint methods, so
+ * safe mode and copy-on-write apply.
+ *
+ * @param {object} from - {serviceId, version} to copy from. version defaults to the active config version.
+ * @param {object} to - {serviceId, version} to copy to. version defaults to the active config version.
+ * @param {object} [options={}]
+ * @returns {object} - {created, updated, skipped}, arrays of "type/name" strings.
+ *
+ * The following options are available
+ * {array} options.types - Only copy these types. Defaults to every type in LOGGING_ENDPOINT_TYPES.
+ * {array} options.names - Only copy endpoints with these names.
+ * {boolean} options.overwrite - Update endpoints that already exist in the target. Defaults to false, which skips them.
+ *
+ */
+FastlyPromise.prototype.copyLoggingEndpoints = function copyLoggingEndpoints(from, to, options) {
+  var self = this;
+
+  options = ramda.merge({types: null, names: null, overwrite: false}, options || {});
+
+  var listOptions = options.types ? {types: options.types} : {};
+  var clean = ramda.omit(configDiff.IGNORED_FIELDS);
+  var result = {created: [], updated: [], skipped: []};
+
+  var key = function(endpoint) {
+    return endpoint.type + '/' + endpoint.name;
+  };
+
+  return Promise.all([
+      self.getLoggingEndpoints(from.serviceId, from.version, listOptions),
+      self.getLoggingEndpoints(to.serviceId, to.version, listOptions)
+    ])
+    .spread(function(sourceEndpoints, targetEndpoints){
+      var existing = targetEndpoints.map(key);
+
+      var endpoints = sourceEndpoints.filter(function(endpoint){
+        return !options.names || options.names.indexOf(endpoint.name) !== -1;
+      });
+
+      return Promise.mapSeries(endpoints, function(endpoint){
+        var fields = clean(endpoint);
+
+        if (existing.indexOf(key(endpoint)) === -1) {
+          return self.createLoggingEndpoint(to.serviceId, fields, to.version)
+            .then(function(){
+              result.created.push(key(endpoint));
+            });
+        }
+
+        if (!options.overwrite) {
+          result.skipped.push(key(endpoint));
+          return null;
+        }
+
+        return self.updateLoggingEndpoint(to.serviceId, endpoint.type, endpoint.name, ramda.omit(['type'], fields), to.version)
+          .then(function(){
+            result.updated.push(key(endpoint));
+          });
+      });
+    })
+    .then(function(){
+      return result;
+    });
+
+}
+
+/**
+ *
+ * Every logging endpoint type is registered in VERSIONED_OBJECT_TYPES as "logging/:type", e.g. "logging/s3", so diffs,
+ * snapshots and desired state cover log streaming. Objects are listed without their type tag, the key carries it.
+ */
+Object.keys(LOGGING_ENDPOINT_TYPES).forEach(function(type){
+  VERSIONED_OBJECT_TYPES['logging/' + type] = {
+    list: function(client, serviceId, configVersionNumber){
+      return client.getLoggingEndpoints(serviceId, configVersionNumber, {types: [type]})
+        .then(ramda.map(ramda.omit(['type'])));
+    },
+    create: function(client, serviceId, object, configVersionNumber){
+      return client.createLoggingEndpoint(serviceId, ramda.merge(object, {type: type}), configVersionNumber);
+    },
+    update: function(client, serviceId, name, object, configVersionNumber){
+      return client.updateLoggingEndpoint(serviceId, type, name, ramda.omit(['type'], object), configVersionNumber);
+    },
+    remove: function(client, serviceId, name, configVersionNumber){
+      return client.deleteLoggingEndpoint(serviceId, type, name, configVersionNumber);
+    }
+  };
+});
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Diff
+ |--------------------------------------------------------------------------
+ |
+ | Methods comparing service config versions.
+ |
+ */
+
+/**
+ *
+ * Compare two config versions of a service: VCL files as unified diffs, the main VCL designation, the generated VCL
+ * and every versioned object type in VERSIONED_OBJECT_TYPES.
+ *
+ * @param {string} serviceId
+ * @param {string} fromVersion - Config version number to compare from, e.g. the active version.
+ * @param {string} toVersion - Config version number to compare to, e.g. a cloned draft.
+ * @param {object} [options={}]
+ * @returns {object} - Structured diff, see lib/configDiff.js. diff.text holds a human readable rendering.
+ *
+ * The following options are available
+ * {boolean} options.generatedVcl - Include the generated VCL in the diff. Defaults to true.
+ * {number} options.concurrency - Max number of object list requests in flight. Defaults to 4.
+ *
+ */
+FastlyPromise.prototype.diffConfigVersions = function diffConfigVersions(serviceId, fromVersion, toVersion, options) {
+  var self = this;
+
+  options = ramda.merge({generatedVcl: true, concurrency: 4}, options || {});
+
+  var fromLabel = 'version ' + fromVersion;
+  var toLabel = 'version ' + toVersion;
+
+  var generatedVcl = function(configVersionNumber) {
+    return self.getGeneratedVcl(serviceId, configVersionNumber)
+      .then(function(generated){
+        return generated.content;
+      });
+  };
+
+  return Promise.props({
+      vcl: Promise.all([self.getAllVcl(serviceId, fromVersion), self.getAllVcl(serviceId, toVersion)]),
+      generatedVcl: options.generatedVcl ? Promise.all([generatedVcl(fromVersion), generatedVcl(toVersion)]) : null,
+      objects: listAllVersionedObjects(self, serviceId, [fromVersion, toVersion], options.concurrency)
+    })
+    .then(function(fetched){
+
+      var diff = {
+        serviceId: serviceId,
+        fromVersion: fromVersion,
+        toVersion: toVersion,
+        vcl: configDiff.diffVcl(fetched.vcl[0], fetched.vcl[1], fromLabel, toLabel),
+        generatedVcl: null,
+        objects: ramda.map(function(lists){
+          return configDiff.diffObjects(lists[0], lists[1]);
+        }, fetched.objects)
+      };
+
+      if (fetched.generatedVcl) {
+        var patch = configDiff.unifiedDiff('generated.vcl', fetched.generatedVcl[0], fetched.generatedVcl[1], fromLabel, toLabel);
+        diff.generatedVcl = {changed: patch.length > 0, patch: patch};
+      }
+
+      diff.hasChanges = configDiff.hasChanges(diff);
+      diff.text = configDiff.render(diff);
+
+      return diff;
+
+    });
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Snapshot
+ |--------------------------------------------------------------------------
+ |
+ | Methods exporting a config version to a single JSON serializable document and replaying it on a service.
+ |
+ */
+
+/**
+ *
+ * Snapshot document format identifier and version.
+ */
+var SNAPSHOT_FORMAT = 'fastly-promise/snapshot';
+var SNAPSHOT_FORMAT_VERSION = 1;
+
+/**
+ *
+ * Fields left out of snapshot objects because they are set by fastly, or differ between services.
+ */
+var SNAPSHOT_OMITTED_FIELDS = configDiff.IGNORED_FIELDS.concat(['id']);
+
+/**
+ *
+ * Export a config version as a snapshot document: version metadata, VCL files with the main designation, and every
+ * object type in VERSIONED_OBJECT_TYPES. The snapshot is a plain object, serialize it with JSON.stringify() (or any
+ * YAML library) to store it.
+ *
+ * @param {string} serviceId
+ * @param {string} configVersionNumber
+ * @param {object} [options={}]
+ * @returns {object} - Snapshot document.
+ *
+ * The following options are available
+ * {boolean} options.dictionaryItems - Include dictionary items. Defaults to true.
+ * {boolean} options.includeSecrets - Keep the values of secret fields, e.g. logging endpoint credentials. Defaults to
+ *                                    false, which replaces them with "[REDACTED]". Redacted fields are left alone on
+ *                                    import, so objects needing them to be created can't be imported from the snapshot.
+ * {number} options.concurrency - Max number of object and dictionary item list requests in flight. Defaults to 4.
+ *
+ */
+FastlyPromise.prototype.exportConfigVersion = function exportConfigVersion(serviceId, configVersionNumber, options) {
+  var self = this;
+
+  options = ramda.merge({dictionaryItems: true, includeSecrets: false, concurrency: 4}, options || {});
+
+  //Dictionary items are added after cleaning, so item keys are never mistaken for secret fields.
+  var clean = ramda.compose(options.includeSecrets ? ramda.identity : errors.redactFields, ramda.omit(SNAPSHOT_OMITTED_FIELDS));
+
+  return Promise.props({
+      service: self.getService(serviceId),
+      version: self.getConfigVersion(serviceId, configVersionNumber),
+      vcl: self.getAllVcl(serviceId, configVersionNumber),
+      objects: listAllVersionedObjects(self, serviceId, [configVersionNumber], options.concurrency).then(ramda.map(ramda.head))
+    })
+    .then(function(fetched){
+
+      //Dictionary items are looked up by dictionary id, which is dropped from the snapshot.
+      var dictionaries = Promise.map(fetched.objects.dictionary, function(dictionary){
+        if (!options.dictionaryItems) {
+          return clean(dictionary);
+        }
+
+        return self.getDictionaryItems(serviceId, dictionary.id)
+          .then(function(dictionaryItems){
+            var items = {};
+            dictionaryItems.forEach(function(item){ items[item.item_key] = item.item_value; });
+            return ramda.merge(clean(dictionary), {items: items});
+          });
+      }, {concurrency: options.concurrency});
+
+      return dictionaries.then(function(dictionaries){
+        return {
+          format: SNAPSHOT_FORMAT,
+          formatVersion: SNAPSHOT_FORMAT_VERSION,
+          exportedAt: new Date().toISOString(),
+          service: {id: fetched.service.id, name: fetched.service.name},
+          version: {number: fetched.version.number, comment: fetched.version.comment || ''},
+          vcl: fetched.vcl.map(function(vcl){
+            return {name: vcl.name, content: vcl.content, main: !!vcl.main};
+          }),
+          objects: ramda.merge(ramda.map(function(objects){ return objects.map(clean); }, fetched.objects), {dictionary: dictionaries})
+        };
+      });
+
+    });
+
+}
+
+/**
+ *
+ * Replay a snapshot from exportConfigVersion() on a service as a new config version. The new version is cloned from
+ * the active version (so settings the snapshot doesn't cover, like domains, are kept) or created empty, then VCL files
+ * and objects are created, updated and (optionally) pruned to match the snapshot. The new version is not activated.
+ *
+ * NOTE: Dictionary items are versionless. Items of a dictionary that already exists in the cloned version change on
+ * the live dictionary, so they are replayed last, only once the new version passed validation. Pass
+ * dictionaryItems: false to leave live items alone.
+ *
+ * @param {string} serviceId
+ * @param {object} snapshot
+ * @param {object} [options={}]
+ * @returns {object} - Import report {status, serviceId, version, steps}.
+ * @throws Will throw ValidationError if the snapshot is not a snapshot document.
+ * @throws Rejects with an ImportError carrying the import report (error.report) if any step fails.
+ *
+ * The following options are available
+ * {string} options.mode - "clone" to clone options.baseVersion, "create" to start from an empty version. Defaults to "clone".
+ * {string} options.baseVersion - Config version to clone. Defaults to active config version.
+ * {boolean} options.prune - Delete VCL files and objects missing from the snapshot. Defaults to true.
+ * {boolean} options.dictionaryItems - Replay dictionary items. Defaults to true.
+ * {boolean} options.validate - Validate the new version once the snapshot is replayed. Defaults to true.
+ *
+ */
+FastlyPromise.prototype.importConfigVersion = function importConfigVersion(serviceId, snapshot, options) {
+  var self = this;
+
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT || !Array.isArray(snapshot.vcl) || typeof snapshot.objects != 'object') {
+    throw new errors.ValidationError('importConfigVersion() requires a snapshot created by exportConfigVersion().');
+  }
+
+  if (snapshot.formatVersion > SNAPSHOT_FORMAT_VERSION) {
+    throw new errors.ValidationError('Snapshot format version ' + snapshot.formatVersion + ' is newer than this client supports.');
+  }
+
+  options = ramda.merge({mode: 'clone', baseVersion: null, prune: true, dictionaryItems: true, validate: true}, options || {});
+
+  var report = {serviceId: serviceId, status: 'pending', version: null, steps: []};
+  var configVersionNumber = null;
+
+  var step = function(name, fn) {
+    return reportStep(report, name, fn);
+  };
+
+  var fail = function(status, message) {
+    report.status = status;
+    var error = new errors.ImportError(message);
+    error.report = report;
+    throw error;
+  };
+
+  var mainVcl = snapshot.vcl.find(function(vcl){ return vcl.main; });
+
+  var versionPromise = (options.mode === 'create')
+    ? step('create', function(){ return self.createConfigVersion(serviceId); })
+    : step('clone', function(){ return self.cloneConfigVersion(serviceId, options.baseVersion); });
+
+  return versionPromise
+    .then(function(version){
+      configVersionNumber = report.version = version.number;
+
+      return self.getAllVcl(serviceId, configVersionNumber);
+    })
+    .then(function(existingVcl){
+      var existingNames = existingVcl.map(function(vcl){ return vcl.name; });
+      var snapshotNames = snapshot.vcl.map(function(vcl){ return vcl.name; });
+
+      return Promise.mapSeries(snapshot.vcl, function(vcl){
+          if (existingNames.indexOf(vcl.name) !== -1) {
+            return step('vcl:update:' + vcl.name, function(){
+              return self.updateVcl(serviceId, configVersionNumber, vcl.name, vcl.content);
+            });
+          }
+
+          return step('vcl:create:' + vcl.name, function(){
+            return self.uploadNewVcl(serviceId, configVersionNumber, vcl.name, vcl.content);
+          });
+        })
+        .then(function(){
+          if (!options.prune) {
+            return;
+          }
+
+          return Promise.mapSeries(ramda.difference(existingNames, snapshotNames), function(vclName){
+            return step('vcl:delete:' + vclName, function(){
+              return self.deleteVcl(serviceId, vclName, configVersionNumber);
+            });
+          });
+        });
+    })
+    .then(function(){
+      if (mainVcl) {
+        return step('vcl:main:' + mainVcl.name, function(){
+          return self.setMainVcl(serviceId, mainVcl.name, configVersionNumber);
+        });
+      }
+    })
+    .then(function(){
+      var types = sortObjectTypes(Object.keys(VERSIONED_OBJECT_TYPES));
+      var existingNames = {};
+
+      return Promise.mapSeries(types, function(type){
+          var objectType = VERSIONED_OBJECT_TYPES[type];
+
+          return listVersionedObjects(self, objectType, serviceId, configVersionNumber)
+            .then(function(existingObjects){
+              existingNames[type] = existingObjects.map(function(object){ return object.name; });
+
+              return Promise.mapSeries(snapshot.objects[type] || [], function(object){
+                //Secrets redacted on export are left as they are.
+                var fields = ramda.reject(ramda.equals(errors.REDACTED), ramda.omit(['items'], object));
+
+                if (existingNames[type].indexOf(object.name) !== -1) {
+                  return step(type + ':update:' + object.name, function(){
+                    return objectType.update(self, serviceId, object.name, fields, configVersionNumber);
+                  });
+                }
+
+                return step(type + ':create:' + object.name, function(){
+                  return objectType.create(self, serviceId, fields, configVersionNumber);
+                });
+              });
+            });
+        })
+        .then(function(){
+          if (!options.prune) {
+            return;
+          }
+
+          //Objects are deleted in reverse order, after the objects referencing them.
+          return Promise.mapSeries(types.slice().reverse(), function(type){
+            var snapshotNames = (snapshot.objects[type] || []).map(function(object){ return object.name; });
+
+            return Promise.mapSeries(ramda.difference(existingNames[type], snapshotNames), function(name){
+              return step(type + ':delete:' + name, function(){
+                return VERSIONED_OBJECT_TYPES[type].remove(self, serviceId, name, configVersionNumber);
+              });
+            });
+          });
+        });
+    })
+    .then(function(){
+      if (!options.validate) {
+        return;
+      }
+
+      return step('validate', function(){
+        return assertValidConfigVersion(self, serviceId, configVersionNumber);
+      });
+    })
+    .then(function(){
+      //Items are versionless, they are only touched once the new version passed validation.
+      if (!options.dictionaryItems) {
+        return;
+      }
+
+      var dictionaries = (snapshot.objects.dictionary || []).filter(function(dictionary){ return dictionary.items; });
+
+      return Promise.mapSeries(dictionaries, function(dictionary){
+        return step('dictionary:items:' + dictionary.name, function(){
+          return self.getDictionary(serviceId, dictionary.name, configVersionNumber)
+            .then(function(existingDictionary){
+              return self.getDictionaryItems(serviceId, existingDictionary.id)
+                .then(function(existingItems){
+                  var changes = dictionaryItemChanges(existingItems, dictionary.items);
+
+                  return Object.keys(changes).length ? self.bulkUpdateDictionaryItems(serviceId, existingDictionary.id, changes) : [];
+                });
+            });
+        });
+      });
+    })
+    .then(function(){
+      report.status = 'imported';
+      return report;
+    })
+    .catch(function(error){
+
+      if (error instanceof errors.ImportError) {
+        throw error;
+      }
+
+      fail(error.validation ? 'validation_failed' : 'failed', 'Import stopped' + (configVersionNumber ? ' on config version ' + configVersionNumber : '') + ': ' + error.message);
+
+    });
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Configuration > Desired State
+ |--------------------------------------------------------------------------
+ |
+ | Methods reconciling a service with a spec describing its wanted configuration.
+ |
+ | A spec has the following shape
+ | {array} vcl - Array of {name, content, main} VCL files. Files missing from the spec are deleted.
+ | {string} main - Name of the main VCL file, instead of flagging it in the vcl array.
+ | {object} objects - Objects keyed by VERSIONED_OBJECT_TYPES type, e.g. {backend: [{name, address, port}]}. Types
+ |                    left out of the spec are not managed, objects missing from a listed type are deleted.
+ |                    Dictionaries may carry their items as {name, items: {key: value}}.
+ |
+ */
+
+/**
+ *
+ * Check a desired state spec and normalize it to {vcl, main, objects}.
+ *
+ * @param {object} spec
+ * @returns {object} - Normalized spec.
+ * @throws Will throw ValidationError if the spec is malformed.
+ */
+function normalizeSpec(spec) {
+
+  if (!spec || typeof spec != 'object') {
+    throw new errors.ValidationError('Desired state spec must be an object.');
+  }
+
+  var vcl = spec.vcl || null;
+  var objects = spec.objects || {};
+
+  if (vcl !== null && (!Array.isArray(vcl) || !vcl.every(function(file){ return file && file.name && typeof file.content == 'string'; }))) {
+    throw new errors.ValidationError('Desired state spec vcl must be an array of {name, content} VCL files.');
+  }
+
+  var mainFiles = (vcl || []).filter(function(file){ return file.main; }).map(function(file){ return file.name; });
+  var main = spec.main || mainFiles[0] || null;
+
+  if (mainFiles.length > 1 || (spec.main && mainFiles.length && mainFiles[0] !== spec.main)) {
+    throw new errors.ValidationError('Desired state spec can only have one main VCL file.');
+  }
+
+  if (main && vcl && !vcl.some(function(file){ return file.name === main; })) {
+    throw new errors.ValidationError('Desired state spec main VCL "' + main + '" is not in the vcl array.');
+  }
+
+  Object.keys(objects).forEach(function(type){
+    if (!VERSIONED_OBJECT_TYPES[type]) {
+      throw new errors.ValidationError('Desired state spec has unsupported object type "' + type + '".');
+    }
+
+    if (!Array.isArray(objects[type]) || !objects[type].every(function(object){ return object && object.name; })) {
+      throw new errors.ValidationError('Desired state spec objects.' + type + ' must be an array of named objects.');
+    }
+  });
+
+  return {vcl: vcl, main: main, objects: objects};
+
+}
+
+/**
+ *
+ * Render plan operations as plain text, one line per operation.
+ *
+ * @param {array} operations
+ * @returns {string}
+ */
+function renderPlan(operations) {
+
+  if (!operations.length) {
+    return 'No changes.\n';
+  }
+
+  var symbols = {create: '+', update: '~', delete: '-', setMain: '*', items: '~'};
+
+  return operations.map(function(operation){
+    var line = symbols[operation.action] + ' ' + operation.type + ' ' + operation.name;
+
+    if (operation.action === 'setMain') {
+      line += ' (main)';
+    }
+    else if (operation.action === 'items') {
+      line += ' (' + Object.keys(operation.changes).length + ' item changes)';
+    }
+    else if (operation.action === 'update' && operation.changes) {
+      line += Object.keys(operation.changes).map(function(field){
+        return '\n    ' + field + ': ' + JSON.stringify(operation.changes[field].from) + ' -> ' + JSON.stringify(operation.changes[field].to);
+      }).join('');
+    }
+
+    return line;
+  }).join('\n') + '\n';
+
+}
+
+/**
+ *
+ * Work out the operations turning a config version into the desired state described by a spec, without running them.
+ *
+ * Objects are compared on the fields the spec sets, so fields left to fastly's defaults never show up as changes.
+ * Objects are created and updated in dependency order, e.g. conditions and healthchecks before the backends using
+ * them, and deleted in reverse order. Dictionary item operations come last.
+ *
+ * @param {string} serviceId
+ * @param {object} spec - Desired state spec, see above.
+ * @param {object} [options={}]
+ * @returns {object} - Plan {serviceId, baseVersion, operations, hasChanges, text}.
+ * @throws Will throw ValidationError if the spec is malformed.
+ *
+ * The following options are available
+ * {string} options.baseVersion - Config version to compare against. Defaults to active config version.
+ * {boolean} options.prune - Delete VCL files and objects missing from the spec. Defaults to true.
+ *
+ * Operations have the following shape
+ * {string} action - create|update|delete|setMain|items
+ * {string} type - "vcl" or a VERSIONED_OBJECT_TYPES type.
+ * {string} name - VCL file or object name.
+ * {string} content - VCL content for VCL create and update operations.
+ * {object} object - Spec object for object create and update operations.
+ * {object} changes - {field: {from, to}} for object updates, secret fields redacted. {key: value|null} dictionary
+ *                     item changes for items operations.
+ *
+ */
+FastlyPromise.prototype.plan = function plan(serviceId, spec, options) {
+  var self = this;
+
+  spec = normalizeSpec(spec);
+  options = ramda.merge({baseVersion: null, prune: true}, options || {});
+
+  var operations = [];
+  var baseVersion = null;
+
+  var types = sortObjectTypes(Object.keys(spec.objects));
+
+  return resolveConfigVersionNumber(self, serviceId, options.baseVersion)
+    .then(function(configVersionNumber){
+      baseVersion = configVersionNumber;
+
+      return Promise.props({
+        vcl: spec.vcl ? self.getAllVcl(serviceId, baseVersion) : [],
+        objects: Promise.props(ramda.fromPairs(types.map(function(type){
+          return [type, listVersionedObjects(self, VERSIONED_OBJECT_TYPES[type], serviceId, baseVersion)];
+        })))
+      });
+    })
+    .then(function(existing){
+
+      if (spec.vcl) {
+        var existingVcl = ramda.indexBy(ramda.prop('name'), existing.vcl);
+
+        spec.vcl.forEach(function(file){
+          if (!existingVcl[file.name]) {
+            operations.push({action: 'create', type: 'vcl', name: file.name, content: file.content});
+          }
+          else if (existingVcl[file.name].content !== file.content) {
+            operations.push({action: 'update', type: 'vcl', name: file.name, content: file.content});
+          }
+        });
+
+        //The main designation moves before deletes run, so it never points at a deleted file.
+        var currentMain = existing.vcl.find(function(vcl){ return vcl.main; });
+        if (spec.main && (!currentMain || currentMain.name !== spec.main)) {
+          operations.push({action: 'setMain', type: 'vcl', name: spec.main});
+        }
+
+        if (options.prune) {
+          existing.vcl.forEach(function(vcl){
+            if (!spec.vcl.some(function(file){ return file.name === vcl.name; })) {
+              operations.push({action: 'delete', type: 'vcl', name: vcl.name});
+            }
+          });
+        }
+      }
+
+      var newItems = [];
+      var itemDiffs = [];
+
+      types.forEach(function(type){
+        var existingObjects = ramda.indexBy(ramda.prop('name'), existing.objects[type]);
+
+        spec.objects[type].forEach(function(object){
+          var fields = ramda.omit(['items'], object);
+          var current = existingObjects[object.name];
+
+          if (!current) {
+            operations.push({action: 'create', type: type, name: object.name, object: fields});
+
+            if (type === 'dictionary' && object.items && Object.keys(object.items).length) {
+              newItems.push({action: 'items', type: type, name: object.name, changes: ramda.map(String, object.items)});
+            }
+
+            return;
+          }
+
+          var changes = {};
+          Object.keys(fields).forEach(function(field){
+            if (!ramda.equals(fields[field], current[field])) {
+              changes[field] = {from: current[field], to: fields[field]};
+            }
+          });
+
+          if (Object.keys(changes).length) {
+            operations.push({action: 'update', type: type, name: object.name, object: fields, changes: configDiff.redactChanges(changes)});
+          }
+
+          if (type === 'dictionary' && object.items) {
+            itemDiffs.push({name: object.name, id: current.id, items: object.items});
+          }
+        });
+      });
+
+      //Objects are deleted in reverse order, after the objects referencing them.
+      if (options.prune) {
+        types.slice().reverse().forEach(function(type){
+          existing.objects[type].forEach(function(object){
+            if (!spec.objects[type].some(function(specObject){ return specObject.name === object.name; })) {
+              operations.push({action: 'delete', type: type, name: object.name});
+            }
+          });
+        });
+      }
+
+      operations.push.apply(operations, newItems);
+
+      //Items of existing dictionaries are compared against the live dictionary, they are versionless.
+      return Promise.mapSeries(itemDiffs, function(itemDiff){
+        return self.getDictionaryItems(serviceId, itemDiff.id)
+          .then(function(existingItems){
+            var changes = dictionaryItemChanges(existingItems, itemDiff.items);
+
+            if (Object.keys(changes).length) {
+              operations.push({action: 'items', type: 'dictionary', name: itemDiff.name, changes: changes});
+            }
+          });
+      });
+
+    })
+    .then(function(){
+      return {
+        serviceId: serviceId,
+        baseVersion: baseVersion,
+        operations: operations,
+        hasChanges: operations.length > 0,
+        text: renderPlan(operations)
+      };
+    });
+
+}
+
+/**
+ *
+ * Reconcile a service with a desired state spec: plan the changes against the base version, clone it, run the
+ * operations in plan order, validate, and optionally activate. Nothing is cloned when the plan has no changes.
+ *
+ * NOTE: Dictionary items are versionless. Item changes of dictionaries that already exist apply to the live
+ * dictionary, so item operations run last, once the new version is validated and, with options.activate, activated.
+ * Items of new dictionaries only go live once the new version is activated.
+ *
+ * @param {string} serviceId
+ * @param {object} spec - Desired state spec, see above.
+ * @param {object} [options={}]
+ * @returns {object} - Apply report {status, serviceId, baseVersion, version, plan, steps}.
+ * @throws Will throw ValidationError if the spec is malformed.
+ * @throws Rejects with an ApplyError carrying the apply report (error.report) if any step fails.
+ *
+ * The following options are available
+ * {string} options.baseVersion - Config version to plan against and clone. Defaults to active config version.
+ * {boolean} options.prune - Delete VCL files and objects missing from the spec. Defaults to true.
+ * {boolean} options.activate - Activate the new version once validated. Defaults to false.
+ *
+ * The report status is one of unchanged|applied|activated|validation_failed|failed.
+ *
+ */
+FastlyPromise.prototype.apply = function apply(serviceId, spec, options) {
+  var self = this;
+
+  options = ramda.merge({baseVersion: null, prune: true, activate: false}, options || {});
+
+  var report = {serviceId: serviceId, status: 'pending', baseVersion: null, version: null, plan: null, steps: []};
+
+  var step = function(name, fn) {
+    return reportStep(report, name, fn);
+  };
+
+  var fail = function(status, message) {
+    report.status = status;
+    var error = new errors.ApplyError(message);
+    error.report = report;
+    throw error;
+  };
+
+  var runOperation = function(operation) {
+    var configVersionNumber = report.version;
+    var objectType = VERSIONED_OBJECT_TYPES[operation.type];
+
+    return step(operation.type + ':' + operation.action + ':' + operation.name, function(){
+
+      if (operation.type === 'vcl') {
+        switch (operation.action) {
+          case 'create':
+            return self.uploadNewVcl(serviceId, configVersionNumber, operation.name, operation.content);
+          case 'update':
+            return self.updateVcl(serviceId, configVersionNumber, operation.name, operation.content);
+          case 'delete':
+            return self.deleteVcl(serviceId, operation.name, configVersionNumber);
+          case 'setMain':
+            return self.setMainVcl(serviceId, operation.name, configVersionNumber);
+        }
+      }
+
+      switch (operation.action) {
+        case 'create':
+          return objectType.create(self, serviceId, operation.object, configVersionNumber);
+        case 'update':
+          return objectType.update(self, serviceId, operation.name, operation.object, configVersionNumber);
+        case 'delete':
+          return objectType.remove(self, serviceId, operation.name, configVersionNumber);
+        case 'items':
+          return self.getDictionary(serviceId, operation.name, configVersionNumber)
+            .then(function(dictionary){
+              return self.bulkUpdateDictionaryItems(serviceId, dictionary.id, operation.changes);
+            });
+      }
+
+    });
+  };
+
+  return self.plan(serviceId, spec, {baseVersion: options.baseVersion, prune: options.prune})
+    .then(function(plan){
+      report.plan = plan;
+      report.baseVersion = plan.baseVersion;
+
+      if (!plan.hasChanges) {
+        report.status = 'unchanged';
+        return report;
+      }
+
+      return step('clone', function(){
+          return self.cloneConfigVersion(serviceId, plan.baseVersion);
+        })
+        .then(function(version){
+          report.version = version.number;
+
+          return Promise.mapSeries(plan.operations.filter(function(operation){ return operation.action !== 'items'; }), runOperation);
+        })
+        .then(function(){
+          return step('validate', function(){
+            return assertValidConfigVersion(self, serviceId, report.version);
+          });
+        })
+        .then(function(){
+          if (options.activate) {
+            return step('activate', function(){
+              return self.activateConfigVersion(serviceId, report.version);
+            });
+          }
+        })
+        .then(function(){
+          //Items are versionless, they are only touched once the new version is validated (and activated if asked to).
+          return Promise.mapSeries(plan.operations.filter(function(operation){ return operation.action === 'items'; }), runOperation);
+        })
+        .then(function(){
+          report.status = options.activate ? 'activated' : 'applied';
+          return report;
+        });
+    })
+    .catch(function(error){
+
+      if (error instanceof errors.ApplyError) {
+        throw error;
+      }
+
+      fail(error.validation ? 'validation_failed' : 'failed', 'Apply stopped' + (report.version ? ' on config version ' + report.version : '') + ': ' + error.message);
+
+    });
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Propagation
+ |--------------------------------------------------------------------------
+ |
+ | Methods waiting for activations and purges to reach the edge.
+ |
+ */
+
+/**
+ *
+ * Default settings used by waitForPropagation().
+ *
+ * {number} interval - Delay between polls in milliseconds.
+ * {number} timeout - Give up after this many milliseconds.
+ * {number} consecutive - Number of consecutive matching url checks required. Consecutive requests tend to be served
+ *                        by different cache nodes, so a few in a row give more confidence than one.
+ */
+var DEFAULT_PROPAGATION_OPTIONS = {
+  interval: 2000,
+  timeout: 120000,
+  consecutive: 1
+};
+
+/**
+ *
+ * Check a url response against the expectations of waitForPropagation().
+ *
+ * @param {object} response - {statusCode, headers, body}
+ * @param {object} options - waitForPropagation() options.
+ * @returns {array} - Reasons the response doesn't show the change yet, empty if it does.
+ */
+function propagationMismatches(response, options) {
+  var reasons = [];
+  var headers = response.headers || {};
+
+  if (response.statusCode < 200 || response.statusCode >= 400) {
+    reasons.push('status ' + response.statusCode);
+  }
+
+  Object.keys(options.headers || {}).forEach(function(name){
+    var expected = options.headers[name];
+    var actual = headers[name.toLowerCase()];
+    var matches = (expected instanceof RegExp) ? expected.test(actual || '') : String(expected) === actual;
+
+    if (!matches) {
+      reasons.push(name + ' is ' + (typeof actual == 'undefined' ? 'missing' : JSON.stringify(actual)) + ', expected ' + (expected instanceof RegExp ? String(expected) : JSON.stringify(String(expected))));
+    }
+  });
+
+  //Age is whole seconds, so a second of slack keeps objects fetched right after the purge from looking stale.
+  if (options.fetchedAfter && /^\d+$/.test(headers.age || '')) {
+    var fetchedAt = Date.now() - parseInt(headers.age, 10) * 1000;
+
+    if (fetchedAt < new Date(options.fetchedAfter).getTime() - 1000) {
+      reasons.push('Age ' + headers.age + 's is older than the purge');
+    }
+  }
+
+  if (options.check && !options.check(response)) {
+    reasons.push('check() returned false');
+  }
+
+  return reasons;
+}
+
+/**
+ *
+ * Wait until an activation or purge has propagated: poll the config version's deployed status, a url served by the
+ * service, or both, until the change is observed.
+ *
+ * e.g. after activating version 12, whose VCL sets an X-Config-Version response header
+ * fastly.waitForPropagation({serviceId: serviceId, version: 12, url: 'https://www.example.com/', headers: {'X-Config-Version': '12'}})
+ *
+ * e.g. after purging a url
+ * fastly.waitForPropagation({url: 'https://www.example.com/article', fetchedAfter: purgedAt, consecutive: 3})
+ *
+ * @param {object} options - Overrides for DEFAULT_PROPAGATION_OPTIONS and the checks to run.
+ * @returns {object} - Report {status, elapsedMs, attempts, checks}.
+ * @throws Will throw error if no check is configured.
+ * @throws Rejects with a PropagationTimeoutError carrying the report (error.report) if the change isn't observed in time.
+ *
+ * The following options are available
+ * {string} options.serviceId - Service of options.version.
+ * {string} options.version - Config version to wait for, until fastly reports it deployed.
+ * {string} options.url - Url to poll. The API key is never sent to urls outside the API endpoint.
+ * {object} options.headers - Expected response headers of options.url, {name: string|RegExp}, e.g. a version marker.
+ * {Date|number} options.fetchedAfter - Expect options.url to be served from cache entries fetched after this time
+ *                                      (judged by the Age header), e.g. the time of a purge.
+ * {function} options.check - Called with the {statusCode, headers, body} url response, return false while the change isn't visible.
+ * {object} options.requestHeaders - Headers sent with url requests, e.g. {'Fastly-Debug': 1}.
+ *
+ * Each entry in report.checks has the following shape
+ * {number} attempt - One based poll number.
+ * {string} at - ISO time of the poll.
+ * {object|null} version - {deployed, active} config version state, null when options.version is not set.
+ * {object|null} url - {statusCode, servedBy, age, matched, reasons}, null when options.url is not set.
+ * {boolean} matched - The change was observed on this poll.
+ *
+ */
+FastlyPromise.prototype.waitForPropagation = function waitForPropagation(options) {
+  var self = this;
+
+  options = ramda.merge(DEFAULT_PROPAGATION_OPTIONS, options || {});
+
+  if (!options.version && !options.url) {
+    throw new Error('waitForPropagation() requires a version or url to check.');
+  }
+
+  if (options.version && !options.serviceId) {
+    throw new Error('waitForPropagation() requires the serviceId of the version to check.');
+  }
+
+  var startedAt = Date.now();
+  var report = {status: 'pending', elapsedMs: 0, attempts: 0, checks: []};
+  var urlMatches = 0;
+
+  var checkVersion = function() {
+    if (!options.version) {
+      return Promise.resolve(null);
+    }
+
+    return self.getConfigVersion(options.serviceId, options.version)
+      .then(function(version){
+        return {deployed: !!version.deployed, active: !!version.active, matched: !!(version.deployed && version.active)};
+      });
+  };
+
+  var checkUrl = function() {
+    if (!options.url) {
+      return Promise.resolve(null);
+    }
+
+    return self.request('GET', options.url, {fullResponse: true, retry: false, headers: options.requestHeaders || {}})
+      .catch(errors.FastlyError, function(error){
+        //Error responses and unreachable urls are recorded as failed checks rather than ending the wait.
+        var response = error.cause && error.cause.response;
+        return {statusCode: error.statusCode, headers: response ? response.headers : {}, body: error.body};
+      })
+      .then(function(response){
+        var reasons = propagationMismatches(response, options);
+        var headers = response.headers || {};
+
+        return {
+          statusCode: response.statusCode,
+          servedBy: headers['x-served-by'] || null,
+          age: headers.age || null,
+          matched: reasons.length === 0,
+          reasons: reasons
+        };
+      });
+  };
+
+  var poll = function() {
+    report.attempts++;
+
+    return Promise.props({version: checkVersion(), url: checkUrl()})
+      .then(function(result){
+        urlMatches = (result.url && result.url.matched) ? urlMatches + 1 : 0;
+
+        var matched = (!result.version || result.version.matched) && (!result.url || urlMatches >= options.consecutive);
+
+        report.checks.push({attempt: report.attempts, at: new Date().toISOString(), version: result.version, url: result.url, matched: matched});
+        report.elapsedMs = Date.now() - startedAt;
+
+        if (matched) {
+          report.status = 'propagated';
+          return report;
+        }
+
+        if (report.elapsedMs + options.interval > options.timeout) {
+          report.status = 'timed_out';
+
+          var last = report.checks[report.checks.length - 1];
+          var pending = [];
+          if (last.version && !last.version.matched) { pending.push('config version ' + options.version + ' is not deployed'); }
+          if (last.url && !last.url.matched) { pending.push(options.url + ': ' + last.url.reasons.join(', ')); }
+          if (last.url && last.url.matched) { pending.push(options.url + ' matched ' + urlMatches + ' of ' + options.consecutive + ' consecutive checks'); }
+
+          var error = new errors.PropagationTimeoutError('Change not observed after ' + report.attempts + ' checks in ' + report.elapsedMs + 'ms: ' + pending.join('; '));
+          error.report = report;
+          throw error;
+        }
+
+        return Promise.delay(options.interval).then(poll);
+      });
+  };
+
+  return poll();
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Stats
+ |--------------------------------------------------------------------------
+ |
+ | Historical stats (e.g. hit_ratio, bandwidth, status_5xx) and the real-time analytics feed.
+ |
+ | https://docs.fastly.com/api/stats
+ | https://docs.fastly.com/api/analytics
+ |
+ */
+
+/**
+ *
+ * Granularities the historical stats endpoints group by.
+ */
+var STATS_GRANULARITIES = ['minute', 'hour', 'day'];
+
+/**
+ *
+ * Build the query string of a historical stats request.
+ *
+ * @param {object} [options={}]
+ * @returns {string} - Query string including the leading "?", empty without options.
+ * @throws Will throw ValidationError if an option is invalid.
+ *
+ * The following options are available
+ * {Date|number|string} options.from - Start of the time range, as a Date, unix timestamp in seconds or a string
+ *                                     fastly understands, e.g. "2 days ago".
+ * {Date|number|string} options.to - End of the time range, see options.from.
+ * {string} options.by - Granularity, one of minute, hour or day.
+ * {string} options.region - Limit to a region, see getStatsRegions().
+ */
+function statsQuery(options) {
+
+  options = options || {};
+
+  if (options.by && STATS_GRANULARITIES.indexOf(options.by) === -1) {
+    throw new errors.ValidationError('Stats granularity must be one of ' + STATS_GRANULARITIES.join(', ') + ', got "' + options.by + '".');
+  }
+
+  var query = {};
+
+  ['from', 'to'].forEach(function(field){
+    var value = options[field];
+
+    if (value instanceof Date) {
+      if (isNaN(value.getTime())) {
+        throw new errors.ValidationError('Stats option ' + field + ' is an invalid date.');
+      }
+
+      value = Math.floor(value.getTime() / 1000);
+    }
+
+    if (typeof value != 'undefined' && value !== null && value !== '') {
+      query[field] = value;
+    }
+  });
+
+  if (options.by) { query.by = options.by; }
+  if (options.region) { query.region = options.region; }
+
+  var encoded = querystring.stringify(query);
+
+  return encoded ? '?' + encoded : '';
+
+}
+
+/**
+ *
+ * Get historical stats of every service, grouped by service.
+ *
+ * @param {object} [options={}] - {from, to, by, region}, see statsQuery().
+ * @returns {object} - Fastly stats response {status, meta, msg, data}.
+ * @throws Will throw ValidationError if an option is invalid.
+ */
+FastlyPromise.prototype.getStats = function getStats(options) {
+
+  return this.request('GET', this.endpoint + '/stats' + statsQuery(options));
+
+}
+
+/**
+ *
+ * Get historical stats of a service.
+ *
+ * @param {string} serviceId
+ * @param {object} [options={}] - {from, to, by, region}, see statsQuery().
+ * @returns {object} - Fastly stats response {status, meta, msg, data}.
+ * @throws Will throw ValidationError if an option is invalid.
+ */
+FastlyPromise.prototype.getServiceStats = function getServiceStats(serviceId, options) {
+
+  return this.request('GET', this.endpoint + '/stats/service/' + serviceId + statsQuery(options));
+
+}
+
+/**
+ *
+ * Get a single stats field, e.g. "hit_ratio", of every service.
+ *
+ * @param {string} field
+ * @param {object} [options={}] - {from, to, by, region}, see statsQuery().
+ * @returns {object} - Fastly stats response {status, meta, msg, data}.
+ * @throws Will throw ValidationError if an option is invalid.
+ */
+FastlyPromise.prototype.getFieldStats = function getFieldStats(field, options) {
+
+  return this.request('GET', this.endpoint + '/stats/field/' + encodeURIComponent(field) + statsQuery(options));
+
+}
+
+/**
+ *
+ * Get a single stats field, e.g. "bandwidth", of a service.
+ *
+ * @param {string} serviceId
+ * @param {string} field
+ * @param {object} [options={}] - {from, to, by, region}, see statsQuery().
+ * @returns {object} - Fastly stats response {status, meta, msg, data}.
+ * @throws Will throw ValidationError if an option is invalid.
+ */
+FastlyPromise.prototype.getServiceFieldStats = function getServiceFieldStats(serviceId, field, options) {
+
+  return this.request('GET', this.endpoint + '/stats/service/' + serviceId + '/field/' + encodeURIComponent(field) + statsQuery(options));
+
+}
+
+/**
+ *
+ * Get historical stats aggregated across every service.
+ *
+ * @param {object} [options={}] - {from, to, by, region}, see statsQuery().
+ * @returns {object} - Fastly stats response {status, meta, msg, data}.
+ * @throws Will throw ValidationError if an option is invalid.
+ */
+FastlyPromise.prototype.getAggregateStats = function getAggregateStats(options) {
+
+  return this.request('GET', this.endpoint + '/stats/aggregate' + statsQuery(options));
+
+}
+
+/**
+ *
+ * Get the regions stats can be limited to.
+ *
+ * @returns {object} - Fastly regions response {status, meta, msg, data}.
+ */
+FastlyPromise.prototype.getStatsRegions = function getStatsRegions() {
+
+  return this.request('GET', this.endpoint + '/stats/regions');
+
+}
+
+/**
+ *
+ * Follow a service's real-time analytics, e.g. for await (var update of fastly.realtimeStats(serviceId)).
+ *
+ * Every step long-polls the real-time endpoint with the timestamp of the previous response, so each response holds
+ * the seconds of data that arrived since. Polling is lazy: the next request is only sent once the previous response is
+ * used, and breaking out of the loop stops polling.
+ *
+ * @param {string} serviceId
+ * @param {object} [options={}]
+ * @returns {object} - Async iterator of real-time responses {Timestamp, Data, AggregateDelay}.
+ *
+ * The following options are available
+ * {number} options.timestamp - Timestamp to start from. Defaults to 0, which returns the most recent data.
+ * {number} options.timeout - Request timeout in milliseconds, should exceed fastly's long-poll time. Defaults to the client timeout.
+ *
+ */
+FastlyPromise.prototype.realtimeStats = function realtimeStats(serviceId, options) {
+  var self = this;
+
+  options = ramda.merge({timestamp: 0, timeout: null}, options || {});
+
+  var timestamp = options.timestamp;
+  var done = false;
+
+  var next = function() {
+
+    if (done) {
+      return Promise.resolve({value: undefined, done: true});
+    }
+
+    return self.request('GET', self.realtimeEndpoint + '/v1/channel/' + serviceId + '/ts/' + encodeURIComponent(timestamp), {timeout: options.timeout})
+      .then(function(response){
+        //Keep the last timestamp if fastly leaves it out, so the feed doesn't start over.
+        if (response && typeof response.Timestamp != 'undefined') {
+          timestamp = response.Timestamp;
+        }
+
+        return done ? {value: undefined, done: true} : {value: response, done: false};
+      });
+
+  };
+
+  var asyncIterator = {
+    next: next,
+    return: function(value) {
+      done = true;
+      return Promise.resolve({value: value, done: true});
+    }
+  };
+
+  if (typeof Symbol != 'undefined' && Symbol.asyncIterator) {
+    asyncIterator[Symbol.asyncIterator] = function() {
+      return asyncIterator;
+    };
+  }
+
+  return asyncIterator;
+
+}
+
+/*
+ |--------------------------------------------------------------------------
+ | Workflows
+ |--------------------------------------------------------------------------
+ |
+ | High level methods that chain several API calls together.
+ |
+ */
+
+/**
+ *
+ * Deploy VCL files as a new config version: clone, upload, set main, validate, optionally lock, activate, and
+ * reactivate the previous version if activation or the health check fails.
+ *
+ * @param {string} serviceId
+ * @param {array} files - Array of {name, content, main} VCL file objects. Existing files are updated, new files are uploaded.
+ * @param {object} [options={}]
+ * @returns {object} - Deploy report.
+ * @throws Will throw error if files param is not a non empty array of named VCL files.
+ * @throws Rejects with a DeployError carrying the deploy report (error.report) if any step fails.
+ *
+ * The following options are available
+ * {string} options.baseVersion - Config version to clone. Defaults to active config version, required for services
+ *                               without one.
+ * {boolean} options.lock - Lock the new version before activating it. Defaults to false.
+ * {boolean} options.activate - Activate the new version once validated. Defaults to true.
+ * {function} options.healthCheck - Called with (configVersionNumber, report) after activation. Return false or reject to roll back.
+ *
+ * The report has the following shape
+ * {string} status - deployed|validated|validation_failed|rolled_back|rollback_failed|failed
+ * {number|null} previousVersion - The version that was active before the deploy.
+ * {number|null} version - The cloned version the files were deployed to.
+ * {array} steps - Array of {step, status, result, error} objects in the order they ran.
+ *
+ */
+FastlyPromise.prototype.deployVcl = function deployVcl(serviceId, files, options) {
+  var self = this;
+
+  if (!Array.isArray(files) || !files.length || !files.every(function(file){ return file && file.name && typeof file.content == 'string'; })) {
+    throw new Error('deployVcl() requires a non empty array of {name, content} VCL files.');
+  }
+
+  options = ramda.merge({baseVersion: null, lock: false, activate: true, healthCheck: null}, options || {});
+
+  var report = {serviceId: serviceId, status: 'pending', previousVersion: null, version: null, steps: []};
+  var activationAttempted = false;
+
+  var step = function(name, fn) {
+    return reportStep(report, name, fn);
+  };
+
+  var fail = function(status, message) {
+    report.status = status;
+    var error = new errors.DeployError(message);
+    error.report = report;
+    throw error;
+  };
+
+  var mainFile = files.find(function(file){ return file.main; });
+
+  return step('getActiveVersion', function(){
+      return self.getActiveConfigVersion(serviceId);
+    })
+    .then(function(activeVersion){
+      report.previousVersion = activeVersion ? activeVersion.number : null;
+
+      if (!options.baseVersion && !report.previousVersion) {
+        fail('failed', 'Deploy stopped, service ' + serviceId + ' has no active config version to clone. Pass options.baseVersion to deploy from another version.');
+      }
+
+      return step('clone', function(){
+        return self.cloneConfigVersion(serviceId, options.baseVersion || report.previousVersion);
+      });
+    })
+    .then(function(clonedVersion){
+      report.version = clonedVersion.number;
+
+      return step('getVcl', function(){
+        return self.getAllVcl(serviceId, report.version);
+      });
+    })
+    .then(function(existingVcl){
+      var existingNames = existingVcl.map(function(vcl){ return vcl.name; });
+
+      return Promise.mapSeries(files, function(file){
+        if (existingNames.indexOf(file.name) !== -1) {
+          return step('update:' + file.name, function(){
+            return self.updateVcl(serviceId, report.version, file.name, file.content);
+          });
+        }
+
+        return step('upload:' + file.name, function(){
+          return self.uploadNewVcl(serviceId, report.version, file.name, file.content);
+        });
+      });
+    })
+    .then(function(){
+      if (mainFile) {
+        return step('setMain', function(){
+          return self.setMainVcl(serviceId, mainFile.name, report.version);
+        });
+      }
+    })
+    .then(function(){
+      return step('validate', function(){
+        return assertValidConfigVersion(self, serviceId, report.version);
+      })
+      .catch(function(error){
+        if (!error.validation) {
+          throw error;
+        }
+
+        fail('validation_failed', 'Deploy stopped, config version ' + report.version + ' failed validation.');
+      });
+    })
+    .then(function(){
+      if (options.lock) {
+        return step('lock', function(){
+          return self.lockConfigVersion(serviceId, report.version);
+        });
+      }
+    })
+    .then(function(){
+      if (!options.activate) {
+        report.status = 'validated';
+        return report;
+      }
+
+      activationAttempted = true;
+
+      return step('activate', function(){
+          return self.activateConfigVersion(serviceId, report.version);
+        })
+        .then(function(){
+          if (options.healthCheck) {
+            return step('healthCheck', function(){
+              return Promise.resolve(options.healthCheck(report.version, report))
+                .then(function(healthy){
+                  if (healthy === false) {
+                    throw new Error('Health check failed for config version ' + report.version + '.');
+                  }
+
+                  return healthy;
+                });
+            });
+          }
+        })
+        .then(function(){
+          report.status = 'deployed';
+          return report;
+        });
+    })
+    .catch(function(error){
+
+      if (error instanceof errors.DeployError) {
+        throw error;
+      }
+
+      //Nothing was activated, so there is nothing to roll back.
+      if (!activationAttempted || !report.previousVersion) {
+        fail('failed', 'Deploy failed: ' + error.message);
+      }
+
+      return step('rollback', function(){
+          return self.activateConfigVersion(serviceId, report.previousVersion);
+        })
+        .then(function(){
+          fail('rolled_back', 'Deploy failed and config version ' + report.previousVersion + ' was reactivated: ' + error.message);
+        }, function(rollbackError){
+          fail('rollback_failed', 'Deploy failed and reactivating config version ' + report.previousVersion + ' also failed: ' + rollbackError.message);
+        });
 
-  return configVersionNumberPromise
-    .then(function(configVersionNumber){
-      return self.request('DELETE', self.endpoint + '/service/' + serviceId + '/version/' + configVersionNumber + '/vcl/' + vclName);
     });
 
 }
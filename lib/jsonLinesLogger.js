@@ -0,0 +1,102 @@
+/**
+ *
+ * JSON lines logger for FastlyPromise request lifecycle events, e.g. to ship an audit trail of purges, activations
+ * and VCL uploads to a log pipeline.
+ *
+ * Every event is written as one JSON object per line: {time, event, sequence, attempt, method, url, form, json,
+ * statusCode, durationMs, requestId, delayMs, error}. Secrets are already redacted by the client.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var ramda = require('ramda');
+
+/**
+ *
+ * Default logger settings.
+ *
+ * {object} stream - Writable the lines are written to. Defaults to process.stderr.
+ * {array} events - Lifecycle events to log.
+ * {boolean} writesOnly - Only log requests that change state, i.e. anything but GET and HEAD.
+ * {boolean} headers - Include the (redacted) request headers.
+ * {function} filter - Called with (eventName, event), return false to skip the event.
+ */
+var DEFAULT_LOGGER_OPTIONS = {
+  stream: null,
+  events: ['request', 'response', 'retry', 'error'],
+  writesOnly: false,
+  headers: false,
+  filter: null
+};
+
+/**
+ *
+ * Turn a lifecycle event into a log record.
+ *
+ * @param {string} eventName
+ * @param {object} event
+ * @param {object} options
+ * @returns {object}
+ */
+function toRecord(eventName, event, options) {
+
+  var record = ramda.merge({time: new Date().toISOString(), event: eventName}, options.headers ? event : ramda.omit(['headers'], event));
+
+  if (event.error) {
+    record.error = {name: event.error.name, message: event.error.message};
+  }
+
+  return record;
+
+}
+
+/**
+ *
+ * Log a client's request lifecycle events as JSON lines.
+ *
+ * @param {FastlyPromise} client
+ * @param {object} [options={}] - Overrides for DEFAULT_LOGGER_OPTIONS.
+ * @returns {function} - Call to stop logging.
+ */
+function jsonLinesLogger(client, options) {
+
+  options = ramda.merge(DEFAULT_LOGGER_OPTIONS, options || {});
+
+  var stream = options.stream || process.stderr;
+
+  var listeners = options.events.map(function(eventName){
+    var listener = function(event) {
+
+      if (options.writesOnly && /^(GET|HEAD)$/i.test(event.method)) {
+        return;
+      }
+
+      if (options.filter && options.filter(eventName, event) === false) {
+        return;
+      }
+
+      stream.write(JSON.stringify(toRecord(eventName, event, options)) + '\n');
+
+    };
+
+    client.on(eventName, listener);
+
+    return {eventName: eventName, listener: listener};
+  });
+
+  return function detach() {
+    listeners.forEach(function(entry){
+      client.removeListener(entry.eventName, entry.listener);
+    });
+  };
+
+}
+
+jsonLinesLogger.DEFAULT_LOGGER_OPTIONS = DEFAULT_LOGGER_OPTIONS;
+
+module.exports = jsonLinesLogger;
@@ -0,0 +1,1037 @@
+/**
+ *
+ * In-memory stand-in for the Fastly API, for running code built on FastlyPromise offline and deterministically.
+ *
+ * Models services, config versions, VCL, backends, dictionaries and dictionary items, ACLs and ACL entries,
+ * activation, locking and purging. Use it as a transport:
+ *
+ *   var mock = new MockFastly({apiKey: 'test-key'});
+ *   var service = mock.createService('my-service', {vcl: [{name: 'main', content: '...', main: true}], activate: true});
+ *   var fastly = new FastlyPromise('test-key', {transport: mock.transport});
+ *
+ * or over http with mock.listen() for code that doesn't use FastlyPromise.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var http = require('http');
+var url = require('url');
+var querystring = require('querystring');
+var ramda = require('ramda');
+var Promise = require('bluebird');
+
+/**
+ *
+ * Versioned object collections, keyed by the url segment fastly uses for them. Objects are identified by name.
+ */
+var VERSIONED_COLLECTIONS = ['vcl', 'backend', 'dictionary', 'condition', 'header', 'cache_settings', 'request_settings', 'response_object', 'gzip', 'healthcheck', 'director', 'acl'];
+
+/**
+ *
+ * Fields referencing other objects of the same version, mapped to the collection they point into. Fastly refuses to
+ * create or update objects referencing missing objects, and to delete objects that are still referenced.
+ */
+var OBJECT_REFERENCES = {
+  request_condition: 'condition',
+  cache_condition: 'condition',
+  response_condition: 'condition',
+  healthcheck: 'healthcheck'
+};
+
+/**
+ *
+ * Constructor
+ *
+ * @param {object} [options={}]
+ * @returns {MockFastly}
+ * @constructor
+ *
+ * The following options are available
+ * {string} options.apiKey - If set, requests to the API must send this key as the Fastly-Key header.
+ * {string} options.customerId - Customer id set on created services. Defaults to 'mock-customer'.
+ *
+ */
+var MockFastly = function MockFastly(options) {
+  if(!(this instanceof MockFastly)) {
+    return new MockFastly(options);
+  }
+
+  options = options || {};
+
+  this.apiKey = options.apiKey || null;
+  this.customerId = options.customerId || 'mock-customer';
+  this.services = {};
+  this.purges = [];
+  this.requests = [];
+  this.sequence = 0;
+
+  //Bound so it can be handed straight to the FastlyPromise constructor.
+  this.transport = this.transport.bind(this);
+
+}
+
+/**
+ *
+ * Generate a fastly style alphanumeric id.
+ *
+ * @returns {string}
+ */
+MockFastly.prototype.nextId = function nextId() {
+
+  this.sequence++;
+
+  return ('mock' + this.sequence + 'a1b2c3d4e5f6g7h8i9j0').substring(0, 22);
+
+}
+
+/**
+ *
+ * Seed a service.
+ *
+ * @param {string} name
+ * @param {object} [options={}]
+ * @returns {object} - Service record.
+ *
+ * The following options are available
+ * {string} options.id - Service id. Generated if omitted.
+ * {array} options.vcl - VCL objects ({name, content, main}) for version 1.
+ * {array} options.backends - Backend objects for version 1.
+ * {object} options.objects - Other versioned objects for version 1, keyed by collection, e.g. {condition: [...]}.
+ *                           Logging endpoints are keyed by their path, e.g. {'logging/s3': [...]}.
+ * {boolean} options.activate - Activate (and so lock) version 1.
+ *
+ */
+MockFastly.prototype.createService = function createService(name, options) {
+
+  options = options || {};
+
+  var now = new Date().toISOString();
+
+  var service = {
+    id: options.id || this.nextId(),
+    name: name,
+    customer_id: this.customerId,
+    comment: options.comment || '',
+    created_at: now,
+    updated_at: now,
+    versions: [],
+    dictionaryItems: {},
+    aclEntries: {}
+  };
+
+  this.services[service.id] = service;
+
+  var version = this.addVersion(service, null);
+
+  (options.vcl || []).forEach(function(vcl){
+    version.objects.vcl.push(ramda.merge({content: '', main: false}, vcl));
+  });
+
+  (options.backends || []).forEach(function(backend){
+    version.objects.backend.push(ramda.clone(backend));
+  });
+
+  ramda.keys(options.objects || {}).forEach(function(collection){
+    version.objects[collection] = (version.objects[collection] || []).concat(ramda.clone(options.objects[collection]));
+  });
+
+  if (options.activate) {
+    this.activate(service, version);
+  }
+
+  return service;
+
+}
+
+/**
+ *
+ * Add a config version to a service, optionally copying another version's objects.
+ *
+ * @param {object} service
+ * @param {object|null} fromVersion
+ * @returns {object} - Version record.
+ */
+MockFastly.prototype.addVersion = function addVersion(service, fromVersion) {
+
+  var now = new Date().toISOString();
+  var number = service.versions.length + 1;
+  var objects = {};
+
+  VERSIONED_COLLECTIONS.forEach(function(collection){
+    objects[collection] = [];
+  });
+
+  //Clones also copy collections created on demand, e.g. logging endpoints.
+  if (fromVersion) {
+    ramda.keys(fromVersion.objects).forEach(function(collection){
+      objects[collection] = ramda.clone(fromVersion.objects[collection]);
+    });
+  }
+
+  var version = {
+    number: number,
+    service_id: service.id,
+    active: false,
+    locked: false,
+    deployed: false,
+    staging: false,
+    testing: false,
+    comment: '',
+    created_at: now,
+    updated_at: now,
+    objects: objects
+  };
+
+  service.versions.push(version);
+
+  return version;
+
+}
+
+/**
+ *
+ * Activate a version, deactivating every other version of the service. Activation locks the version like fastly does.
+ *
+ * @param {object} service
+ * @param {object} version
+ */
+MockFastly.prototype.activate = function activate(service, version) {
+
+  service.versions.forEach(function(otherVersion){
+    otherVersion.active = false;
+  });
+
+  version.active = true;
+  version.locked = true;
+  version.deployed = true;
+
+}
+
+/**
+ *
+ * Public representation of a version record.
+ *
+ * @param {object} version
+ * @returns {object}
+ */
+function versionView(version) {
+
+  return ramda.omit(['objects'], version);
+
+}
+
+/**
+ *
+ * Public representation of a service record, as returned by the service list and get endpoints.
+ *
+ * @param {object} service
+ * @returns {object}
+ */
+function serviceView(service) {
+
+  var activeVersion = service.versions.find(function(version){ return version.active; });
+
+  return {
+    id: service.id,
+    name: service.name,
+    customer_id: service.customer_id,
+    comment: service.comment,
+    created_at: service.created_at,
+    updated_at: service.updated_at,
+    version: activeVersion ? activeVersion.number : service.versions.length,
+    versions: service.versions.map(versionView)
+  };
+
+}
+
+/**
+ *
+ * Public representation of a versioned object.
+ *
+ * @param {object} service
+ * @param {object} version
+ * @param {object} object
+ * @returns {object}
+ */
+function objectView(service, version, object) {
+
+  return ramda.merge(object, {service_id: service.id, version: version.number});
+
+}
+
+/**
+ *
+ * Build a response.
+ *
+ * @param {number} statusCode
+ * @param {object|string} body - Objects are sent as JSON, strings as text/plain.
+ * @returns {object} - {statusCode, headers, body}
+ */
+function respond(statusCode, body) {
+
+  var isText = typeof body == 'string';
+
+  return {
+    statusCode: statusCode,
+    headers: {'content-type': isText ? 'text/plain' : 'application/json', 'fastly-request-id': 'mock-' + Date.now()},
+    body: isText ? body : JSON.stringify(body)
+  };
+
+}
+
+/**
+ *
+ * Respond with one page of a list, linking to the next page through the Link header like fastly does.
+ *
+ * @param {array} items - The full list.
+ * @param {string} path - Path of the list endpoint.
+ * @param {object} query - Parsed query string with page and per_page.
+ * @param {number} defaultPerPage
+ * @returns {object} - Response.
+ */
+function respondPage(items, path, query, defaultPerPage) {
+
+  var perPage = Number(query.per_page) || defaultPerPage;
+  var page = Number(query.page) || 1;
+  var response = respond(200, items.slice((page - 1) * perPage, page * perPage));
+
+  if (page * perPage < items.length) {
+    response.headers.link = '<' + path + '?page=' + (page + 1) + '&per_page=' + perPage + '>; rel="next"';
+  }
+
+  return response;
+
+}
+
+function notFound(detail) {
+
+  return respond(404, {msg: 'Record not found', detail: detail});
+
+}
+
+function badRequest(detail) {
+
+  return respond(400, {msg: 'Bad request', detail: detail});
+
+}
+
+/**
+ *
+ * Find a reference to an object missing from the version.
+ *
+ * @param {object} version
+ * @param {object} fields - Fields of the object being created or updated.
+ * @returns {string|null} - Error message, null if every reference resolves.
+ */
+function missingReference(version, fields) {
+
+  var field = Object.keys(OBJECT_REFERENCES).find(function(field){
+    return fields[field] && !(version.objects[OBJECT_REFERENCES[field]] || []).some(function(object){ return object.name === fields[field]; });
+  });
+
+  return field ? field + ' \'' + fields[field] + '\' does not exist' : null;
+
+}
+
+/**
+ *
+ * Find an object of the version referencing the object about to be deleted.
+ *
+ * @param {object} version
+ * @param {string} collection
+ * @param {string} name
+ * @returns {string|null} - Error message, null if nothing references the object.
+ */
+function referencedBy(version, collection, name) {
+
+  var fields = Object.keys(OBJECT_REFERENCES).filter(function(field){ return OBJECT_REFERENCES[field] === collection; });
+  var message = null;
+
+  Object.keys(version.objects).some(function(otherCollection){
+    var object = version.objects[otherCollection].find(function(other){
+      return fields.some(function(field){ return other[field] === name; });
+    });
+
+    message = object ? collection + ' \'' + name + '\' is used by ' + otherCollection + ' \'' + object.name + '\'' : null;
+    return !!object;
+  });
+
+  return message;
+
+}
+
+/**
+ *
+ * Check VCL files the way fastly's validate endpoint would, as far as an in-memory model can.
+ *
+ * @param {object} version
+ * @returns {array} - Array of error messages.
+ */
+function validateVersion(version) {
+  var problems = [];
+  var vclList = version.objects.vcl;
+
+  if (vclList.length && !vclList.some(function(vcl){ return vcl.main; })) {
+    problems.push('No main VCL file set');
+  }
+
+  vclList.forEach(function(vcl){
+    var depth = 0;
+
+    String(vcl.content).split('').forEach(function(character){
+      if (character === '{') { depth++; }
+      if (character === '}') { depth--; }
+    });
+
+    if (depth !== 0) {
+      problems.push('Syntax error in ' + vcl.name + ': unbalanced braces');
+    }
+  });
+
+  return problems;
+
+}
+
+/**
+ *
+ * Approximate fastly's generated VCL: backend declarations followed by the main VCL file.
+ *
+ * @param {object} version
+ * @returns {string}
+ */
+function generateVcl(version) {
+  var main = version.objects.vcl.find(function(vcl){ return vcl.main; });
+
+  var backends = version.objects.backend.map(function(backend){
+    return 'backend F_' + backend.name + ' {\n  .host = "' + backend.address + '";\n  .port = "' + (backend.port || 80) + '";\n}\n';
+  });
+
+  return '# Generated VCL\n' + backends.join('') + (main ? main.content : '');
+
+}
+
+/**
+ *
+ * Approximate fastly's HTML syntax highlighting: escaped VCL in a pre block, optionally with line numbers.
+ *
+ * @param {string} vcl
+ * @param {boolean} lineNumbers
+ * @returns {string}
+ */
+function highlightVcl(vcl, lineNumbers) {
+
+  var escape = function(text){
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  };
+
+  var lines = String(vcl).split('\n').map(function(line, index){
+    return (lineNumbers ? '<span class="lineno">' + (index + 1) + '</span>' : '') + escape(line);
+  });
+
+  return '<pre class="vcl">' + lines.join('\n') + '</pre>';
+
+}
+
+/**
+ *
+ * Handle an API request.
+ *
+ * @param {string} method
+ * @param {string} requestUrl - Absolute or relative url.
+ * @param {object} [headers={}]
+ * @param {object} [body={}] - Parsed form or JSON body.
+ * @returns {object} - {statusCode, headers, body}
+ */
+MockFastly.prototype.handle = function handle(method, requestUrl, headers, body) {
+  var self = this;
+
+  method = method.toUpperCase();
+  headers = ramda.fromPairs(ramda.toPairs(headers || {}).map(function(pair){ return [pair[0].toLowerCase(), pair[1]]; }));
+  body = body || {};
+
+  var parsedUrl = url.parse(requestUrl, true);
+  var path = parsedUrl.pathname.replace(/\/$/, '');
+  var segments = path.split('/').slice(1).map(decodeURIComponent);
+
+  this.requests.push({method: method, url: requestUrl, headers: headers, body: body});
+
+  //Url purges are sent straight to the cached url, not the API.
+  if (method === 'PURGE') {
+    return this.recordPurge({url: requestUrl, soft: !!headers['fastly-soft-purge']});
+  }
+
+  if (this.apiKey && headers['fastly-key'] !== this.apiKey) {
+    return respond(401, {msg: 'Provided credentials are missing or invalid'});
+  }
+
+  if (segments[0] !== 'service') {
+    return notFound('Unknown route ' + method + ' ' + path);
+  }
+
+  if (!segments[1] || segments[1] === 'search') {
+    return this.handleServices(method, segments[1], body, parsedUrl.query);
+  }
+
+  var service = this.services[segments[1]];
+  if (!service) {
+    return notFound('Couldn\'t find Service \'' + segments[1] + '\'');
+  }
+
+  var rest = segments.slice(2);
+
+  if (!rest.length || rest[0] === 'details') {
+    return this.handleService(method, service, rest[0], body);
+  }
+
+  if (rest[0] === 'purge_all' && method === 'POST') {
+    return this.recordPurge({serviceId: service.id, all: true});
+  }
+
+  if (rest[0] === 'purge' && method === 'POST') {
+    var keys = rest[1] ? [rest[1]] : String(headers['surrogate-key'] || '').split(/\s+/).filter(Boolean);
+    var soft = !!headers['fastly-soft-purge'];
+
+    if (rest[1]) {
+      return this.recordPurge({serviceId: service.id, key: rest[1], soft: soft});
+    }
+
+    var purgeIds = {};
+    keys.forEach(function(key){
+      purgeIds[key] = JSON.parse(self.recordPurge({serviceId: service.id, key: key, soft: soft}).body).id;
+    });
+
+    return respond(200, purgeIds);
+  }
+
+  if (rest[0] === 'dictionary') {
+    return this.handleDictionaryItems(method, service, rest.slice(1), body, parsedUrl.query);
+  }
+
+  if (rest[0] === 'acl') {
+    return this.handleAclEntries(method, service, rest.slice(1), body, parsedUrl.query);
+  }
+
+  if (rest[0] === 'version') {
+    return this.handleVersion(method, service, rest.slice(1), body, parsedUrl.query);
+  }
+
+  return notFound('Unknown route ' + method + ' ' + path);
+
+}
+
+/**
+ *
+ * Handle the account level /service and /service/search routes.
+ *
+ * @param {string} method
+ * @param {string} [action] - "search" or undefined.
+ * @param {object} body
+ * @param {object} query - Parsed query string.
+ * @returns {object} - Response.
+ */
+MockFastly.prototype.handleServices = function handleServices(method, action, body, query) {
+  var self = this;
+  var services = Object.keys(this.services).map(function(serviceId){ return self.services[serviceId]; });
+
+  if (action === 'search') {
+    var match = services.find(function(service){ return service.name === query.name; });
+    return match ? respond(200, serviceView(match)) : notFound('Couldn\'t find Service \'' + query.name + '\'');
+  }
+
+  if (method === 'GET') {
+    return respondPage(services.map(serviceView), '/service', query, 20);
+  }
+
+  if (method === 'POST') {
+    if (!body.name) { return badRequest('Missing name'); }
+    return respond(200, serviceView(this.createService(body.name, {comment: body.comment})));
+  }
+
+  return badRequest('Unsupported method');
+
+}
+
+/**
+ *
+ * Handle /service/:id and /service/:id/details routes.
+ *
+ * @param {string} method
+ * @param {object} service
+ * @param {string} [action] - "details" or undefined.
+ * @param {object} body
+ * @returns {object} - Response.
+ */
+MockFastly.prototype.handleService = function handleService(method, service, action, body) {
+
+  if (action === 'details') {
+    var activeVersion = service.versions.find(function(version){ return version.active; });
+    var latestVersion = service.versions[service.versions.length - 1];
+
+    return respond(200, ramda.merge(serviceView(service), {
+      active_version: activeVersion ? versionView(activeVersion) : null,
+      version: versionView(latestVersion)
+    }));
+  }
+
+  switch (method) {
+    case 'GET':
+      return respond(200, serviceView(service));
+    case 'PUT':
+      if (body.name) { service.name = body.name; }
+      if (typeof body.comment != 'undefined') { service.comment = body.comment; }
+      service.updated_at = new Date().toISOString();
+      return respond(200, serviceView(service));
+    case 'DELETE':
+      if (service.versions.some(function(version){ return version.active; })) {
+        return badRequest('Service ' + service.id + ' has an active version, deactivate it before deleting the service');
+      }
+      delete this.services[service.id];
+      return respond(200, {status: 'ok'});
+  }
+
+  return badRequest('Unsupported method');
+
+}
+
+/**
+ *
+ * Record a purge and return fastly's purge response.
+ *
+ * @param {object} purge
+ * @returns {object} - Response.
+ */
+MockFastly.prototype.recordPurge = function recordPurge(purge) {
+
+  purge = ramda.merge(purge, {id: 'purge-' + this.nextId()});
+  this.purges.push(purge);
+
+  return respond(200, {status: 'ok', id: purge.id});
+
+}
+
+/**
+ *
+ * Handle /service/:id/version routes.
+ *
+ * @param {string} method
+ * @param {object} service
+ * @param {array} segments - Path segments after /version.
+ * @param {object} body
+ * @param {object} query - Parsed query string.
+ * @returns {object} - Response.
+ */
+MockFastly.prototype.handleVersion = function handleVersion(method, service, segments, body, query) {
+
+  if (!segments.length) {
+    if (method === 'GET') { return respond(200, service.versions.map(versionView)); }
+    if (method === 'POST') { return respond(200, versionView(this.addVersion(service, null))); }
+    return badRequest('Unsupported method');
+  }
+
+  var version = service.versions[Number(segments[0]) - 1];
+  if (!version) {
+    return notFound('Couldn\'t find Version \'' + segments[0] + '\'');
+  }
+
+  var action = segments[1];
+
+  if (!action) {
+    if (method === 'GET') { return respond(200, versionView(version)); }
+    if (method === 'PUT') {
+      if (version.locked) { return badRequest('Version ' + version.number + ' is locked'); }
+      if (typeof body.comment != 'undefined') { version.comment = body.comment; }
+      return respond(200, versionView(version));
+    }
+    return badRequest('Unsupported method');
+  }
+
+  switch (action) {
+    case 'clone':
+      return respond(200, versionView(this.addVersion(service, version)));
+    case 'activate':
+      this.activate(service, version);
+      return respond(200, versionView(version));
+    case 'deactivate':
+      version.active = false;
+      return respond(200, versionView(version));
+    case 'lock':
+      version.locked = true;
+      return respond(200, versionView(version));
+    case 'validate':
+      var problems = validateVersion(version);
+      return respond(200, {status: problems.length ? 'error' : 'ok', errors: problems, warnings: [], msg: null});
+    case 'generated_vcl':
+      var generated = generateVcl(version);
+      return respond(200, {service_id: service.id, version: version.number, content: (segments[2] === 'content') ? highlightVcl(generated, query.lineno === 'true') : generated});
+    case 'boilerplate':
+      return respond(200, '# Boilerplate VCL for ' + service.name + ' version ' + version.number + '\nsub vcl_recv {\n#FASTLY recv\n  return(lookup);\n}\n');
+  }
+
+  if (VERSIONED_COLLECTIONS.indexOf(action) !== -1) {
+    return this.handleCollection(method, service, version, action, segments.slice(2), body, query);
+  }
+
+  //Logging endpoints of any provider, e.g. /logging/s3.
+  if (action === 'logging' && segments[2]) {
+    var collection = 'logging/' + segments[2];
+    version.objects[collection] = version.objects[collection] || [];
+    return this.handleCollection(method, service, version, collection, segments.slice(3), body, query);
+  }
+
+  return notFound('Unknown version route ' + action);
+
+}
+
+/**
+ *
+ * Handle CRUD routes for versioned objects, plus /vcl/:name/main and /director/:name/backend/:backendName.
+ *
+ * @param {string} method
+ * @param {object} service
+ * @param {object} version
+ * @param {string} collection
+ * @param {array} segments - Path segments after the collection name.
+ * @param {object} body
+ * @param {object} query - Parsed query string.
+ * @returns {object} - Response.
+ */
+MockFastly.prototype.handleCollection = function handleCollection(method, service, version, collection, segments, body, query) {
+  var self = this;
+  var objects = version.objects[collection];
+  var name = segments[0];
+  var object = name ? objects.find(function(item){ return item.name === name; }) : null;
+
+  if (method !== 'GET' && version.locked) {
+    return badRequest('Version ' + version.number + ' is locked');
+  }
+
+  if (!name) {
+    if (method === 'GET') {
+      return respond(200, objects.map(function(item){ return objectView(service, version, item); }));
+    }
+
+    if (method === 'POST') {
+      if (!body.name) { return badRequest('Missing name'); }
+      if (objects.some(function(item){ return item.name === body.name; })) {
+        return respond(409, {msg: 'Duplicate record', detail: collection + ' ' + body.name + ' already exists'});
+      }
+      if (missingReference(version, body)) { return badRequest(missingReference(version, body)); }
+
+      object = ramda.merge(body, {});
+      if (collection === 'vcl') { object.main = false; }
+      if (collection === 'dictionary' || collection === 'acl') { object.id = self.nextId(); }
+      if (collection === 'director') { object.backends = []; }
+      objects.push(object);
+
+      return respond(200, objectView(service, version, object));
+    }
+
+    return badRequest('Unsupported method');
+  }
+
+  if (!object) {
+    return notFound('Couldn\'t find ' + collection + ' \'' + name + '\'');
+  }
+
+  if (collection === 'vcl' && segments[1] === 'content' && method === 'GET') {
+    return respond(200, {content: highlightVcl(object.content, query.lineno === 'true')});
+  }
+
+  if (collection === 'vcl' && segments[1] === 'download' && method === 'GET') {
+    return respond(200, String(object.content));
+  }
+
+  if (collection === 'vcl' && segments[1] === 'main' && method === 'PUT') {
+    objects.forEach(function(item){ item.main = false; });
+    object.main = true;
+    return respond(200, objectView(service, version, object));
+  }
+
+  if (collection === 'director' && segments[1] === 'backend' && segments[2]) {
+    return this.handleDirectorBackend(method, service, version, object, segments[2]);
+  }
+
+  switch (method) {
+    case 'GET':
+      return respond(200, objectView(service, version, object));
+    case 'PUT':
+      if (missingReference(version, body)) { return badRequest(missingReference(version, body)); }
+      ramda.keys(body).forEach(function(field){ object[field] = body[field]; });
+      return respond(200, objectView(service, version, object));
+    case 'DELETE':
+      if (referencedBy(version, collection, name)) { return badRequest(referencedBy(version, collection, name)); }
+      objects.splice(objects.indexOf(object), 1);
+      return respond(200, {status: 'ok'});
+  }
+
+  return badRequest('Unsupported method');
+
+}
+
+/**
+ *
+ * Handle /director/:name/backend/:backendName routes.
+ *
+ * @param {string} method
+ * @param {object} service
+ * @param {object} version
+ * @param {object} director
+ * @param {string} backendName
+ * @returns {object} - Response.
+ */
+MockFastly.prototype.handleDirectorBackend = function handleDirectorBackend(method, service, version, director, backendName) {
+  var linked = director.backends.indexOf(backendName) !== -1;
+  var view = {service_id: service.id, version: version.number, director: director.name, backend_name: backendName};
+
+  switch (method) {
+    case 'GET':
+      return linked ? respond(200, view) : notFound('Couldn\'t find director backend \'' + backendName + '\'');
+    case 'POST':
+      if (!version.objects.backend.some(function(backend){ return backend.name === backendName; })) {
+        return notFound('Couldn\'t find backend \'' + backendName + '\'');
+      }
+      if (linked) {
+        return respond(409, {msg: 'Duplicate record', detail: 'Backend ' + backendName + ' already belongs to director ' + director.name});
+      }
+      director.backends.push(backendName);
+      return respond(200, view);
+    case 'DELETE':
+      if (!linked) {
+        return notFound('Couldn\'t find director backend \'' + backendName + '\'');
+      }
+      director.backends.splice(director.backends.indexOf(backendName), 1);
+      return respond(200, {status: 'ok'});
+  }
+
+  return badRequest('Unsupported method');
+
+}
+
+/**
+ *
+ * Handle versionless /service/:id/dictionary/:dictionaryId/item(s) routes.
+ *
+ * @param {string} method
+ * @param {object} service
+ * @param {array} segments - Path segments after /dictionary.
+ * @param {object} body
+ * @param {object} query - Parsed query string.
+ * @returns {object} - Response.
+ */
+MockFastly.prototype.handleDictionaryItems = function handleDictionaryItems(method, service, segments, body, query) {
+  var dictionaryId = segments[0];
+  var items = service.dictionaryItems[dictionaryId] = service.dictionaryItems[dictionaryId] || {};
+
+  var itemView = function(itemKey){
+    return {dictionary_id: dictionaryId, service_id: service.id, item_key: itemKey, item_value: items[itemKey]};
+  };
+
+  if (segments[1] === 'items') {
+    if (method === 'GET') { return respondPage(Object.keys(items).map(itemView), '/service/' + service.id + '/dictionary/' + dictionaryId + '/items', query, 100); }
+
+    if (method === 'PATCH') {
+      var changes = body.items || [];
+
+      for (var i = 0; i < changes.length; i++) {
+        var change = changes[i];
+        var exists = Object.prototype.hasOwnProperty.call(items, change.item_key);
+
+        if ((change.op === 'create' && exists) || ((change.op === 'update' || change.op === 'delete') && !exists)) {
+          return badRequest('Cannot ' + change.op + ' item ' + change.item_key);
+        }
+
+        if (change.op === 'delete') { delete items[change.item_key]; }
+        else { items[change.item_key] = change.item_value; }
+      }
+
+      return respond(200, {status: 'ok'});
+    }
+
+    return badRequest('Unsupported method');
+  }
+
+  var itemKey = segments[2];
+
+  if (segments[1] !== 'item' || !itemKey) {
+    return notFound('Unknown dictionary route');
+  }
+
+  if (method === 'PUT') {
+    items[itemKey] = body.item_value;
+    return respond(200, itemView(itemKey));
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(items, itemKey)) {
+    return notFound('Couldn\'t find dictionary item \'' + itemKey + '\'');
+  }
+
+  if (method === 'GET') { return respond(200, itemView(itemKey)); }
+
+  if (method === 'DELETE') {
+    delete items[itemKey];
+    return respond(200, {status: 'ok'});
+  }
+
+  return badRequest('Unsupported method');
+
+}
+
+/**
+ *
+ * Handle versionless /service/:id/acl/:aclId/entry and /entries routes.
+ *
+ * @param {string} method
+ * @param {object} service
+ * @param {array} segments - Path segments after /acl.
+ * @param {object} body
+ * @param {object} query - Parsed query string.
+ * @returns {object} - Response.
+ */
+MockFastly.prototype.handleAclEntries = function handleAclEntries(method, service, segments, body, query) {
+  var self = this;
+  var aclId = segments[0];
+  var entries = service.aclEntries[aclId] = service.aclEntries[aclId] || [];
+
+  var entryView = function(entry){
+    return ramda.merge(entry, {acl_id: aclId, service_id: service.id});
+  };
+
+  var findEntry = function(entryId){
+    return entries.find(function(entry){ return entry.id === entryId; });
+  };
+
+  var createEntry = function(fields){
+    var entry = {
+      id: self.nextId(),
+      ip: fields.ip,
+      subnet: (typeof fields.subnet == 'undefined' || fields.subnet === '') ? null : Number(fields.subnet),
+      negated: String(fields.negated) === '1' ? '1' : '0',
+      comment: fields.comment || ''
+    };
+
+    entries.push(entry);
+
+    return entry;
+  };
+
+  if (segments[1] === 'entries') {
+    if (method === 'GET') { return respondPage(entries.map(entryView), '/service/' + service.id + '/acl/' + aclId + '/entries', query, 100); }
+
+    if (method === 'PATCH') {
+      var changes = body.entries || [];
+
+      for (var i = 0; i < changes.length; i++) {
+        var change = changes[i];
+        var existing = change.id ? findEntry(change.id) : null;
+
+        if (change.op === 'create') {
+          if (!change.ip) { return badRequest('Missing ip'); }
+          createEntry(change);
+          continue;
+        }
+
+        if (!existing) {
+          return badRequest('Cannot ' + change.op + ' entry ' + change.id);
+        }
+
+        if (change.op === 'delete') { entries.splice(entries.indexOf(existing), 1); }
+        else { ramda.keys(ramda.omit(['op', 'id'], change)).forEach(function(field){ existing[field] = change[field]; }); }
+      }
+
+      return respond(200, {status: 'ok'});
+    }
+
+    return badRequest('Unsupported method');
+  }
+
+  if (segments[1] !== 'entry') {
+    return notFound('Unknown ACL route');
+  }
+
+  if (!segments[2]) {
+    if (method !== 'POST') { return badRequest('Unsupported method'); }
+    if (!body.ip) { return badRequest('Missing ip'); }
+    return respond(200, entryView(createEntry(body)));
+  }
+
+  var entry = findEntry(segments[2]);
+
+  if (!entry) {
+    return notFound('Couldn\'t find ACL entry \'' + segments[2] + '\'');
+  }
+
+  if (method === 'GET') { return respond(200, entryView(entry)); }
+
+  if (method === 'DELETE') {
+    entries.splice(entries.indexOf(entry), 1);
+    return respond(200, {status: 'ok'});
+  }
+
+  return badRequest('Unsupported method');
+
+}
+
+/**
+ *
+ * FastlyPromise transport that answers requests from memory. Bound to the instance in the constructor.
+ *
+ * @param {object} options - request-promise style options.
+ * @returns {object} - Full http response.
+ */
+MockFastly.prototype.transport = function transport(options) {
+
+  var body = options.form || {};
+
+  if (typeof options.body == 'string' && options.body.length) {
+    body = JSON.parse(options.body);
+  }
+
+  return Promise.resolve(this.handle(options.method, options.uri || options.url, options.headers, body));
+
+}
+
+/**
+ *
+ * Serve the mock over http.
+ *
+ * @param {number} [port=0] - Defaults to a random free port.
+ * @param {string} [host='127.0.0.1']
+ * @returns {object} - Promise for the listening http.Server. Use server.address().port to build the endpoint url.
+ */
+MockFastly.prototype.listen = function listen(port, host) {
+  var self = this;
+
+  var server = http.createServer(function(req, res){
+    var rawBody = '';
+
+    req.on('data', function(chunk){ rawBody += chunk; });
+    req.on('end', function(){
+      var body = {};
+
+      if (rawBody.length) {
+        body = /json/.test(req.headers['content-type'] || '') ? JSON.parse(rawBody) : ramda.merge({}, querystring.parse(rawBody));
+      }
+
+      var response = self.handle(req.method, req.url, req.headers, body);
+
+      res.writeHead(response.statusCode, response.headers);
+      res.end(response.body);
+    });
+  });
+
+  return new Promise(function(resolve){
+    server.listen(port || 0, host || '127.0.0.1', function(){
+      resolve(server);
+    });
+  });
+
+}
+
+MockFastly.VERSIONED_COLLECTIONS = VERSIONED_COLLECTIONS;
+
+module.exports = MockFastly;
@@ -0,0 +1,244 @@
+/**
+ *
+ * Pagination over fastly list endpoints.
+ *
+ * Pages are followed through the Link header (rel="next") when fastly sends one, otherwise through the page and
+ * per_page query parameters while full pages keep coming back. Endpoints that return everything at once are fetched
+ * with a single request.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var url = require('url');
+var ramda = require('ramda');
+var Promise = require('bluebird');
+
+/**
+ *
+ * Add page and per_page query parameters to a url.
+ *
+ * @param {string} listUrl
+ * @param {number} page
+ * @param {number|null} perPage - Without perPage the url is returned untouched so the endpoint's defaults apply.
+ * @returns {string}
+ */
+function pageUrl(listUrl, page, perPage) {
+
+  if (!perPage) {
+    return listUrl;
+  }
+
+  return listUrl + (listUrl.indexOf('?') === -1 ? '?' : '&') + 'page=' + page + '&per_page=' + perPage;
+
+}
+
+/**
+ *
+ * Extract the rel="next" url from a Link header.
+ *
+ * @param {string} [linkHeader]
+ * @returns {string|null}
+ */
+function nextLink(linkHeader) {
+
+  var links = String(linkHeader || '').split(',');
+
+  for (var i = 0; i < links.length; i++) {
+    var match = links[i].match(/<([^>]+)>\s*;(.*)/);
+
+    if (match && /rel="?([^"]*\s)?next(\s[^"]*)?"?/.test(match[2])) {
+      return match[1];
+    }
+  }
+
+  return null;
+
+}
+
+/**
+ *
+ * Constructor
+ *
+ * @param {FastlyPromise} client
+ * @param {string} listUrl - Url of the list endpoint, relative urls point to the client endpoint.
+ * @param {object} [options={}]
+ * @returns {Paginator}
+ * @constructor
+ *
+ * The following options are available
+ * {number} options.perPage - Items per page. Without it the endpoint's own page size applies and pages are only
+ *                            followed through Link headers.
+ * {number} options.page - Page to start from. Defaults to 1.
+ * {object} options.requestOptions - Options passed to FastlyPromise.request() for every page.
+ *
+ */
+var Paginator = function Paginator(client, listUrl, options) {
+
+  this.client = client;
+  this.listUrl = listUrl;
+  this.options = ramda.merge({perPage: null, page: 1, requestOptions: {}}, options || {});
+
+}
+
+/**
+ *
+ * Create a cursor that fetches one page at a time. Every cursor starts over from the first page.
+ *
+ * @returns {object} - Cursor with a nextPage() method resolving to an array of items, or null when there are no more pages.
+ */
+Paginator.prototype.cursor = function cursor() {
+  var self = this;
+  var perPage = this.options.perPage;
+  var page = this.options.page;
+  var nextUrl = pageUrl(this.listUrl, page, perPage);
+
+  return {
+    nextPage: function nextPage() {
+
+      if (!nextUrl) {
+        return Promise.resolve(null);
+      }
+
+      var currentUrl = nextUrl;
+
+      return self.client.request('GET', currentUrl, ramda.merge(self.options.requestOptions, {fullResponse: true}))
+        .then(function(response){
+          var body = response.body;
+          var items = Array.isArray(body) ? body : ((body && Array.isArray(body.data)) ? body.data : []);
+          var link = nextLink(response.headers.link);
+
+          if (link) {
+            nextUrl = url.resolve(/^https?:\/\//.test(currentUrl) ? currentUrl : self.client.endpoint + currentUrl, link);
+          }
+          else if (perPage && items.length === perPage) {
+            page++;
+            nextUrl = pageUrl(self.listUrl, page, perPage);
+          }
+          else {
+            nextUrl = null;
+          }
+
+          return items;
+        });
+
+    }
+  };
+
+}
+
+/**
+ *
+ * Fetch every page.
+ *
+ * @returns {array} - All items.
+ */
+Paginator.prototype.all = function all() {
+  var cursor = this.cursor();
+
+  var collect = function(items) {
+    return cursor.nextPage()
+      .then(function(pageItems){
+        return (pageItems === null) ? items : collect(items.concat(pageItems));
+      });
+  };
+
+  return collect([]);
+
+}
+
+/**
+ *
+ * Find the first item matching a predicate, without fetching the pages after it.
+ *
+ * @param {function} predicate
+ * @returns {object|undefined} - Matching item.
+ */
+Paginator.prototype.find = function find(predicate) {
+  var cursor = this.cursor();
+
+  var search = function() {
+    return cursor.nextPage()
+      .then(function(pageItems){
+        if (pageItems === null) {
+          return undefined;
+        }
+
+        var match = pageItems.find(predicate);
+
+        return (typeof match != 'undefined') ? match : search();
+      });
+  };
+
+  return search();
+
+}
+
+/**
+ *
+ * Lazy async iteration over every item, e.g. for await (var version of fastly.iterateConfigVersions(serviceId)).
+ * Pages are only fetched when the previous one is used up, so breaking out of the loop stops fetching.
+ *
+ * @returns {object} - Async iterator.
+ */
+Paginator.prototype.iterator = function iterator() {
+  var cursor = this.cursor();
+  var buffer = [];
+  var done = false;
+
+  var next = function() {
+
+    if (buffer.length) {
+      return Promise.resolve({value: buffer.shift(), done: false});
+    }
+
+    if (done) {
+      return Promise.resolve({value: undefined, done: true});
+    }
+
+    return cursor.nextPage()
+      .then(function(pageItems){
+        if (pageItems === null) {
+          done = true;
+        }
+        else {
+          buffer = pageItems.slice();
+        }
+
+        return next();
+      });
+
+  };
+
+  var asyncIterator = {
+    next: next,
+    return: function(value) {
+      done = true;
+      buffer = [];
+      return Promise.resolve({value: value, done: true});
+    }
+  };
+
+  //Iterators are iterable themselves so they can be used directly in for await loops.
+  if (typeof Symbol != 'undefined' && Symbol.asyncIterator) {
+    asyncIterator[Symbol.asyncIterator] = function() {
+      return asyncIterator;
+    };
+  }
+
+  return asyncIterator;
+
+}
+
+if (typeof Symbol != 'undefined' && Symbol.asyncIterator) {
+  Paginator.prototype[Symbol.asyncIterator] = Paginator.prototype.iterator;
+}
+
+Paginator.pageUrl = pageUrl;
+Paginator.nextLink = nextLink;
+
+module.exports = Paginator;
@@ -0,0 +1,300 @@
+/**
+ *
+ * Purge queue on top of the FastlyPromise purge methods, for callers (e.g. a CMS) that fire bursts of duplicate purges.
+ *
+ * Purges are collected for a short window, duplicates within the window are coalesced into one purge, surrogate keys
+ * of the same service are sent together as multi key purges, and outgoing requests are rate limited. Every enqueued
+ * purge gets a promise that settles when its batch went out, and sent purges are recorded with their purge ids.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var ramda = require('ramda');
+var Promise = require('bluebird');
+
+/**
+ *
+ * Default queue settings.
+ *
+ * {number} window - Milliseconds purges are collected, and duplicates coalesced, before a batch goes out.
+ * {number} maxRequests - Max purge requests sent per rateInterval. Surrogate keys go out in multi key purges of up to
+ *                        256 keys, each counting as one request.
+ * {number} rateInterval - Rate limit interval in milliseconds.
+ * {number} historyLimit - Number of sent purges kept in queue.history.
+ */
+var DEFAULT_QUEUE_OPTIONS = {
+  window: 1000,
+  maxRequests: 10,
+  rateInterval: 1000,
+  historyLimit: 1000
+};
+
+/**
+ *
+ * Constructor
+ *
+ * @param {FastlyPromise} client
+ * @param {object} [options={}] - Overrides for DEFAULT_QUEUE_OPTIONS.
+ * @returns {PurgeQueue}
+ * @constructor
+ */
+var PurgeQueue = function PurgeQueue(client, options) {
+
+  this.client = client;
+  this.options = ramda.merge(DEFAULT_QUEUE_OPTIONS, options || {});
+
+  //Purges waiting for the next batch, keyed by identity so duplicates coalesce.
+  this.pending = {};
+  this.timer = null;
+
+  //Send times of recent requests, for rate limiting.
+  this.sentAt = [];
+
+  //Batches on their way out, oldest first.
+  this.sending = Promise.resolve();
+
+  //Sent purges, newest last: {type, serviceId, target, soft, purgeId, status, error, requested, sentAt}
+  this.history = [];
+
+}
+
+/**
+ *
+ * Add a purge to the pending batch, or join the pending duplicate.
+ *
+ * @param {object} item - {type, serviceId, target, soft}
+ * @returns {object} - Purge record once sent.
+ */
+PurgeQueue.prototype.enqueue = function enqueue(item) {
+  var self = this;
+  var identity = [item.type, item.serviceId || '', item.target || '', item.soft ? 'soft' : 'hard'].join('|');
+  var entry = this.pending[identity];
+
+  if (entry) {
+    entry.record.requested++;
+    return entry.promise;
+  }
+
+  entry = this.pending[identity] = {record: ramda.merge(item, {purgeId: null, status: 'pending', error: null, requested: 1, sentAt: null})};
+
+  entry.promise = new Promise(function(resolve, reject){
+    entry.resolve = resolve;
+    entry.reject = reject;
+  });
+
+  if (!this.timer) {
+    this.timer = setTimeout(function(){
+      self.flush();
+    }, this.options.window);
+  }
+
+  return entry.promise;
+}
+
+/**
+ *
+ * Queue a url purge.
+ *
+ * @param {string} url - Fully qualified url of resource you want to purge.
+ * @param {object} [options={}] - {soft}
+ * @returns {object} - Purge record once sent, see queue.history.
+ * @throws Will throw error if url param is not absolute.
+ */
+PurgeQueue.prototype.purge = function purge(url, options) {
+
+  if (!/^https?:\/\//.test(url)) {
+    throw new Error('Standard purge requests should be absolute urls.');
+  }
+
+  return this.enqueue({type: 'url', serviceId: null, target: url, soft: !!(options && options.soft)});
+
+}
+
+/**
+ *
+ * Queue a surrogate key purge. Keys of the same service are sent together with purgeKeys().
+ *
+ * Keys are validated here rather than when the batch goes out, so one bad key can't fail the other keys of its batch.
+ *
+ * @param {string} serviceId
+ * @param {string} surrogateKey
+ * @param {object} [options={}] - {soft}
+ * @returns {object} - Purge record once sent, see queue.history. Rejects with a ValidationError for invalid keys,
+ *                     which are never queued.
+ */
+PurgeQueue.prototype.purgeKey = function purgeKey(serviceId, surrogateKey, options) {
+
+  try {
+    this.client.validateSurrogateKey(surrogateKey);
+  }
+  catch (error) {
+    return Promise.reject(error);
+  }
+
+  return this.enqueue({type: 'key', serviceId: serviceId, target: surrogateKey, soft: !!(options && options.soft)});
+
+}
+
+/**
+ *
+ * Queue a purge of all content of a service.
+ *
+ * @param {string} serviceId
+ * @returns {object} - Purge record once sent, see queue.history.
+ */
+PurgeQueue.prototype.purgeAll = function purgeAll(serviceId) {
+
+  return this.enqueue({type: 'all', serviceId: serviceId, target: null, soft: false});
+
+}
+
+/**
+ *
+ * Wait until the rate limit allows another request.
+ *
+ * @returns {Promise}
+ */
+PurgeQueue.prototype.throttle = function throttle() {
+  var self = this;
+  var now = Date.now();
+
+  this.sentAt = this.sentAt.filter(function(time){ return now - time < self.options.rateInterval; });
+
+  if (this.sentAt.length < this.options.maxRequests) {
+    this.sentAt.push(now);
+    return Promise.resolve();
+  }
+
+  return Promise.delay(this.sentAt[0] + this.options.rateInterval - now).then(function(){
+    return self.throttle();
+  });
+}
+
+/**
+ *
+ * Settle a pending purge and record it.
+ *
+ * @param {object} entry - Pending entry.
+ * @param {string|null} purgeId
+ * @param {Error|null} error
+ */
+PurgeQueue.prototype.settle = function settle(entry, purgeId, error) {
+  var record = entry.record;
+
+  record.purgeId = purgeId;
+  record.status = error ? 'failed' : 'sent';
+  record.error = error;
+
+  this.history.push(record);
+  if (this.history.length > this.options.historyLimit) {
+    this.history.splice(0, this.history.length - this.options.historyLimit);
+  }
+
+  if (error) {
+    entry.reject(error);
+  }
+  else {
+    entry.resolve(record);
+  }
+}
+
+/**
+ *
+ * Send the pending batch now instead of waiting for the window to end.
+ *
+ * @returns {array} - Records of the batch's purges.
+ */
+PurgeQueue.prototype.flush = function flush() {
+  var self = this;
+  var client = this.client;
+  var entries = ramda.values(this.pending);
+
+  clearTimeout(this.timer);
+  this.timer = null;
+  this.pending = {};
+
+  //Surrogate keys go out together per service and purge type.
+  var keyGroups = ramda.groupBy(function(entry){
+    return entry.record.serviceId + '|' + entry.record.soft;
+  }, entries.filter(function(entry){ return entry.record.type === 'key'; }));
+
+  var requests = entries.filter(function(entry){ return entry.record.type !== 'key'; }).map(function(entry){
+    return function() {
+      var record = entry.record;
+
+      record.sentAt = new Date().toISOString();
+
+      return Promise.try(function(){
+          return (record.type === 'url') ? client.purge(record.target, record.soft) : client.purgeAll(record.serviceId);
+        })
+        .then(function(response){
+          self.settle(entry, (response && response.id) || null, null);
+        }, function(error){
+          self.settle(entry, null, error);
+        });
+    };
+  }).concat(ramda.unnest(ramda.values(keyGroups).map(function(group){
+    var entries = ramda.indexBy(function(entry){ return entry.record.target; }, group);
+
+    //Every chunk is a request of its own, so each one waits for the rate limit.
+    return client.splitSurrogateKeys(ramda.keys(entries)).map(function(keys){
+      return function() {
+        var serviceId = group[0].record.serviceId;
+        var sentAt = new Date().toISOString();
+
+        keys.forEach(function(key){ entries[key].record.sentAt = sentAt; });
+
+        return Promise.try(function(){
+            return client.purgeKeys(serviceId, keys, {soft: group[0].record.soft, concurrency: 1});
+          })
+          .then(function(result){
+            keys.forEach(function(key){
+              self.settle(entries[key], result.purged[key] || null, result.failed[key] || null);
+            });
+          }, function(error){
+            keys.forEach(function(key){
+              self.settle(entries[key], null, error);
+            });
+          });
+      };
+    });
+  })));
+
+  //Batches go out one after the other so the rate limit holds across flushes.
+  var batch = this.sending.then(function(){
+    return Promise.mapSeries(requests, function(send){
+      return self.throttle().then(send);
+    });
+  });
+
+  this.sending = batch;
+
+  return batch.then(function(){
+    return entries.map(ramda.prop('record'));
+  });
+}
+
+/**
+ *
+ * Send everything pending and wait until every batch went out.
+ *
+ * @returns {Promise}
+ */
+PurgeQueue.prototype.drain = function drain() {
+  var self = this;
+
+  var flushed = Object.keys(this.pending).length ? this.flush() : this.sending;
+
+  return flushed.then(function(){
+    return Object.keys(self.pending).length ? self.drain() : undefined;
+  });
+}
+
+PurgeQueue.DEFAULT_QUEUE_OPTIONS = DEFAULT_QUEUE_OPTIONS;
+
+module.exports = PurgeQueue;
@@ -0,0 +1,75 @@
+/**
+ *
+ * HTTP transports used by FastlyPromise.request().
+ *
+ * A transport is a function that takes request-promise style options ({method, uri, headers, form, body, ...}) and
+ * returns a promise for the full response ({statusCode, headers, body}) whatever its status code. It should only
+ * reject when no response was received, e.g. on socket errors. Status code handling, retries and error mapping are
+ * left to FastlyPromise.request() so every transport behaves the same.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var requestP = require('request-promise');
+var requestErrors = require('request-promise/errors');
+var ramda = require('ramda');
+var Promise = require('bluebird');
+
+/**
+ *
+ * Default transport, sends requests over the network with request-promise.
+ *
+ * @param {object} options - request-promise options.
+ * @returns {object} - Full http response.
+ */
+function requestTransport(options) {
+
+  //Status codes are checked by send() and the body is picked by FastlyPromise.request(), both need the full response.
+  return requestP(ramda.merge(options, {simple: false, resolveWithFullResponse: true}));
+
+}
+
+/**
+ *
+ * Send a request through a transport, rejecting with request-promise's StatusCodeError for non 2xx responses and
+ * RequestError for failures without a response, whatever the transport. Like request-promise, options.simple set to
+ * false resolves with non 2xx responses instead, so callers can inspect them.
+ *
+ * @param {function} transport
+ * @param {object} options - request-promise options.
+ * @returns {object} - Full http response.
+ */
+function send(transport, options) {
+
+  return Promise.try(function(){
+      return transport(options);
+    })
+    .then(function(response){
+
+      if (options.simple !== false && (response.statusCode < 200 || response.statusCode >= 300)) {
+        throw new requestErrors.StatusCodeError(response.statusCode, response.body, options, response);
+      }
+
+      return response;
+
+    }, function(error){
+
+      if (error instanceof requestErrors.RequestError || error.response) {
+        throw error;
+      }
+
+      throw new requestErrors.RequestError(error, options, null);
+
+    });
+
+}
+
+module.exports = {
+  requestTransport: requestTransport,
+  send: send
+};
@@ -0,0 +1,343 @@
+/**
+ *
+ * Offline VCL checks, run before VCL is uploaded to catch mistakes without a round trip to fastly.
+ *
+ * This is not a full VCL parser. It looks for the mistakes fastly's validation most often reports: unbalanced
+ * braces, unknown or duplicate subroutines, missing #FASTLY macros, and references to undefined backends and ACLs.
+ *
+ * @package fastly-promise
+ * @author Reid Mayo <reidmayo@gmail.com>
+ *
+ */
+
+'use strict';
+
+//Dependencies
+var ramda = require('ramda');
+
+/**
+ *
+ * Builtin subroutines and the #FASTLY macro fastly expects in each of them.
+ */
+var BUILTIN_SUBROUTINES = {
+  vcl_recv: 'recv',
+  vcl_hash: 'hash',
+  vcl_hit: 'hit',
+  vcl_miss: 'miss',
+  vcl_pass: 'pass',
+  vcl_fetch: 'fetch',
+  vcl_error: 'error',
+  vcl_deliver: 'deliver',
+  vcl_log: 'log'
+};
+
+/**
+ *
+ * Default lint settings.
+ *
+ * {array|null} backends - Names of backends (and directors) defined outside the VCL, e.g. through the API. References
+ *                         to backends are only checked when this is set, because the VCL alone can't know them.
+ * {array|null} acls - Names of ACLs defined outside the VCL. References to ACLs are only checked when this is set.
+ * {array} subroutines - Names of custom subroutines defined in other VCL files. Calls are not checked in files
+ *                       with include statements.
+ * {boolean} fastlyMacros - Warn about builtin subroutines missing their #FASTLY macro.
+ */
+var DEFAULT_LINT_OPTIONS = {
+  backends: null,
+  acls: null,
+  subroutines: [],
+  fastlyMacros: true
+};
+
+/**
+ *
+ * Blank out comments and string contents, keeping offsets and line breaks, so braces and keywords inside them are
+ * ignored. Strings keep their quotes so they still read as values.
+ *
+ * @param {string} content
+ * @param {boolean} keepMacros - Keep #FASTLY macro lines, which would otherwise be blanked as # comments.
+ * @returns {string}
+ */
+function stripCommentsAndStrings(content, keepMacros) {
+  var result = '';
+  var i = 0;
+
+  var blank = function(text) {
+    return text.replace(/[^\n]/g, ' ');
+  };
+
+  while (i < content.length) {
+    var rest = content.slice(i, i + 2);
+    var end = -1;
+
+    if (rest === '{"') {
+      end = content.indexOf('"}', i + 2);
+      end = (end === -1) ? content.length : end + 2;
+      result += '"' + blank(content.slice(i + 1, end - 1)) + '"';
+    }
+    else if (content[i] === '"') {
+      end = i + 1;
+
+      while (end < content.length && content[end] !== '"' && content[end] !== '\n') {
+        end++;
+      }
+
+      //Unterminated strings end at the line break.
+      result += '"' + blank(content.slice(i + 1, end)) + (content[end] === '"' ? '"' : '');
+      end += (content[end] === '"') ? 1 : 0;
+    }
+    else if (content[i] === '#' || rest === '//') {
+      end = content.indexOf('\n', i);
+      end = (end === -1) ? content.length : end;
+      result += (keepMacros && /^#FASTLY\s/.test(content.slice(i, end))) ? content.slice(i, end) : blank(content.slice(i, end));
+    }
+    else if (rest === '/*') {
+      end = content.indexOf('*/', i + 2);
+      end = (end === -1) ? content.length : end + 2;
+      result += blank(content.slice(i, end));
+    }
+    else {
+      result += content[i];
+      end = i + 1;
+    }
+
+    i = end;
+  }
+
+  return result;
+}
+
+/**
+ *
+ * Create a function mapping a character offset to its {line, column}, both one based.
+ *
+ * @param {string} content
+ * @returns {function}
+ */
+function positionFinder(content) {
+  var lineStarts = [0];
+
+  for (var i = 0; i < content.length; i++) {
+    if (content[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  return function(offset) {
+    var line = 0;
+
+    while (line + 1 < lineStarts.length && lineStarts[line + 1] <= offset) {
+      line++;
+    }
+
+    return {line: line + 1, column: offset - lineStarts[line] + 1};
+  };
+}
+
+/**
+ *
+ * Fastly's VCL identifier for a backend defined through the API, e.g. "my-origin" becomes "F_my_origin".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function backendIdentifier(name) {
+  return 'F_' + String(name).replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+/**
+ *
+ * Collect every match of a global regex as {name, offset}, offset pointing at the capture group.
+ *
+ * @param {RegExp} regex - Global regex with one capture group, which nothing but punctuation may follow.
+ * @param {string} code
+ * @returns {array}
+ */
+function matchAll(regex, code) {
+  var matches = [];
+  var match = null;
+
+  regex.lastIndex = 0;
+
+  while ((match = regex.exec(code))) {
+    matches.push({name: match[1], offset: match.index + match[0].lastIndexOf(match[1])});
+  }
+
+  return matches;
+}
+
+/**
+ *
+ * Lint VCL content.
+ *
+ * @param {string} content - VCL source.
+ * @param {object} [options={}] - Overrides for DEFAULT_LINT_OPTIONS.
+ * @returns {object} - {valid, errors, warnings}. valid is false when there are errors, warnings don't count.
+ *
+ * Errors and warnings have the following shape
+ * {string} rule - unbalanced-braces|unknown-subroutine|duplicate-subroutine|missing-fastly-macro|undefined-backend|undefined-acl
+ * {string} severity - error|warning
+ * {number} line - One based line number.
+ * {number} column - One based column number.
+ * {string} message
+ *
+ */
+function lint(content, options) {
+
+  options = ramda.merge(DEFAULT_LINT_OPTIONS, options || {});
+  content = String(content || '');
+
+  var code = stripCommentsAndStrings(content);
+  var position = positionFinder(content);
+  var problems = [];
+
+  var report = function(rule, severity, offset, message) {
+    var at = position(offset);
+    problems.push({rule: rule, severity: severity, line: at.line, column: at.column, message: message});
+  };
+
+  //Braces, remembering where each top level block starts and ends.
+  var open = [];
+  var blocks = [];
+
+  for (var i = 0; i < code.length; i++) {
+    if (code[i] === '{') {
+      open.push(i);
+    }
+    else if (code[i] === '}') {
+      if (!open.length) {
+        report('unbalanced-braces', 'error', i, 'Unexpected closing brace.');
+        continue;
+      }
+
+      var start = open.pop();
+      if (!open.length) {
+        blocks.push({start: start, end: i});
+      }
+    }
+  }
+
+  open.forEach(function(offset){
+    report('unbalanced-braces', 'error', offset, 'Opening brace is never closed.');
+  });
+
+  var topLevel = function(offset) {
+    return !blocks.some(function(block){ return offset > block.start && offset < block.end; }) &&
+      !open.some(function(openOffset){ return offset > openOffset; });
+  };
+
+  var blockAt = function(offset) {
+    return blocks.find(function(block){ return block.start >= offset; }) || {start: offset, end: code.length};
+  };
+
+  //Subroutines.
+  var subroutines = {};
+
+  matchAll(/\bsub\s+([A-Za-z_][\w.-]*)\s*\{/g, code).forEach(function(sub){
+    if (!topLevel(sub.offset)) {
+      return;
+    }
+
+    if (/^vcl_/.test(sub.name) && !BUILTIN_SUBROUTINES[sub.name]) {
+      report('unknown-subroutine', 'error', sub.offset, 'Unknown builtin subroutine "' + sub.name + '".');
+    }
+
+    if (subroutines[sub.name]) {
+      report('duplicate-subroutine', 'error', sub.offset, 'Subroutine "' + sub.name + '" is already defined on line ' + position(subroutines[sub.name].offset).line + '.');
+      return;
+    }
+
+    subroutines[sub.name] = ramda.merge(sub, {block: blockAt(sub.offset)});
+  });
+
+  if (options.fastlyMacros) {
+    //Fastly only expands macros outside comments and strings.
+    var macros = matchAll(/#FASTLY\s+(\w+)/g, stripCommentsAndStrings(content, true));
+
+    Object.keys(subroutines).forEach(function(name){
+      var sub = subroutines[name];
+      var macro = BUILTIN_SUBROUTINES[name];
+
+      var hasMacro = macro && macros.some(function(found){
+        return found.name.toLowerCase() === macro && found.offset > sub.block.start && found.offset < sub.block.end;
+      });
+
+      if (macro && !hasMacro) {
+        report('missing-fastly-macro', 'warning', sub.offset, 'Subroutine "' + name + '" is missing the #FASTLY ' + macro + ' macro.');
+      }
+    });
+  }
+
+  //Calls into other files can't be checked once the file includes them.
+  if (!/\binclude\s+"/.test(code)) {
+    matchAll(/\bcall\s+([A-Za-z_][\w.-]*)\s*;/g, code).forEach(function(call){
+      if (!subroutines[call.name] && options.subroutines.indexOf(call.name) === -1) {
+        report('unknown-subroutine', 'error', call.offset, 'Call to undefined subroutine "' + call.name + '".');
+      }
+    });
+  }
+
+  //Backends and ACLs declared in the VCL itself are always known.
+  var declared = function(keyword) {
+    return matchAll(new RegExp('\\b' + keyword + '\\s+([A-Za-z_][\\w.-]*)\\s*\\{', 'g'), code)
+      .filter(function(declaration){ return topLevel(declaration.offset); })
+      .map(ramda.prop('name'));
+  };
+
+  if (options.backends) {
+    var backends = declared('backend').concat(declared('director'), ramda.chain(function(name){ return [name, backendIdentifier(name)]; }, options.backends));
+
+    matchAll(/\b(?:req|bereq)\.backend\s*=\s*([A-Za-z_][\w.-]*)/g, code).forEach(function(reference){
+      if (backends.indexOf(reference.name) === -1) {
+        report('undefined-backend', 'error', reference.offset, 'Reference to undefined backend "' + reference.name + '".');
+      }
+    });
+  }
+
+  if (options.acls) {
+    var acls = declared('acl').concat(options.acls);
+
+    matchAll(/~\s*([A-Za-z_][\w-]*)/g, code).forEach(function(reference){
+      if (acls.indexOf(reference.name) === -1) {
+        report('undefined-acl', 'error', reference.offset, 'Reference to undefined ACL "' + reference.name + '".');
+      }
+    });
+  }
+
+  problems.sort(function(a, b){
+    return (a.line - b.line) || (a.column - b.column);
+  });
+
+  var errors = problems.filter(function(problem){ return problem.severity === 'error'; });
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+    warnings: problems.filter(function(problem){ return problem.severity === 'warning'; })
+  };
+
+}
+
+/**
+ *
+ * Render lint problems one per line, e.g. "main.vcl:12:3 error Opening brace is never closed. (unbalanced-braces)".
+ *
+ * @param {array} problems - Errors and/or warnings from lint().
+ * @param {string} [fileName='vcl']
+ * @returns {string}
+ */
+function format(problems, fileName) {
+
+  return problems.map(function(problem){
+    return (fileName || 'vcl') + ':' + problem.line + ':' + problem.column + ' ' + problem.severity + ' ' + problem.message + ' (' + problem.rule + ')';
+  }).join('\n');
+
+}
+
+module.exports = {
+  BUILTIN_SUBROUTINES: BUILTIN_SUBROUTINES,
+  DEFAULT_LINT_OPTIONS: DEFAULT_LINT_OPTIONS,
+  backendIdentifier: backendIdentifier,
+  lint: lint,
+  format: format
+};
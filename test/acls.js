@@ -0,0 +1,234 @@
+var should = require('should');
+var ramda = require('ramda');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise ACLs', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+  var acl = null;
+
+  var methods = function(fromIndex) {
+    return mock.requests.slice(fromIndex || 0).map(function(request){ return request.method; });
+  };
+
+  var seedEntries = function(entries) {
+    entries.forEach(function(entry){
+      mock.services[service.id].aclEntries[acl.id] = (mock.services[service.id].aclEntries[acl.id] || []).concat(ramda.merge({id: mock.nextId(), subnet: null, negated: '0', comment: ''}, entry));
+    });
+  };
+
+  beforeEach(function(){
+    mock = new MockFastly();
+    service = mock.createService('www', {
+      vcl: [{name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n}\n', main: true}],
+      objects: {acl: [{name: 'blocklist', id: 'acl1'}]},
+      activate: true
+    });
+    acl = {id: 'acl1', name: 'blocklist'};
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+  });
+
+  describe('FastlyPromise.cidr.normalize', function() {
+
+    it('should canonicalize IPv4 and IPv6 networks and negations', function() {
+      var normalize = FastlyPromise.cidr.normalize;
+
+      normalize('10.1.2.3/8').cidr.should.equal('10.0.0.0/8');
+      normalize(' ! 192.0.2.1 ').should.eql({ip: '192.0.2.1', subnet: 32, negated: true, family: 4, cidr: '!192.0.2.1'});
+      normalize('192.0.2.1/32').cidr.should.equal('192.0.2.1');
+      normalize('2001:DB8:0:0:0:0:0:1/128').cidr.should.equal('2001:db8::1');
+      normalize('2001:db8:abcd:12::/40').cidr.should.equal('2001:db8:ab00::/40');
+      normalize('2001:0:0:1:0:0:0:1').cidr.should.equal('2001:0:0:1::1');
+      normalize('::ffff:192.0.2.1').cidr.should.equal('::ffff:c000:201');
+      normalize({ip: '10.0.0.0', subnet: '8', negated: '1'}).cidr.should.equal('!10.0.0.0/8');
+    });
+
+    it('should reject invalid addresses and prefixes', function() {
+      ['192.0.2.256', '192.0.2.0/33', '2001:db8::1::1', '2001:db8::/129', 'fe80::1%eth0', 'example.com', ''].forEach(function(value){
+        (function(){
+          FastlyPromise.cidr.normalize(value);
+        }).should.throw();
+      });
+    });
+
+  });
+
+  describe('ACLs', function() {
+
+    it('should create, get, list and delete ACLs on a config version', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.createAcl(service.id, 'allowlist', draft.number)
+            .then(function(created){
+              created.id.should.be.a.String();
+
+              return fastly.getAcl(service.id, 'allowlist', draft.number);
+            })
+            .then(function(found){
+              found.name.should.equal('allowlist');
+
+              return fastly.deleteAcl(service.id, 'blocklist', draft.number);
+            })
+            .then(function(){
+              return Promise.all([fastly.getAcls(service.id, draft.number), fastly.getAcls(service.id)]);
+            });
+        })
+        .then(function(lists){
+          lists[0].map(function(item){ return item.name; }).should.eql(['allowlist']);
+          lists[1].map(function(item){ return item.name; }).should.eql(['blocklist']);
+        });
+    });
+
+  });
+
+  describe('ACL entries', function() {
+
+    it('should add, get and remove entries without a new version', function() {
+      return fastly.createAclEntry(service.id, acl.id, '!203.0.113.7/24', 'office')
+        .then(function(entry){
+          entry.should.containEql({ip: '203.0.113.0', subnet: 24, negated: '1', comment: 'office'});
+          mock.requests[mock.requests.length - 1].url.should.match(/\/service\/\w+\/acl\/acl1\/entry$/);
+
+          return fastly.getAclEntry(service.id, acl.id, entry.id)
+            .then(function(found){
+              found.ip.should.equal('203.0.113.0');
+
+              return fastly.deleteAclEntry(service.id, acl.id, entry.id);
+            });
+        })
+        .then(function(){
+          return fastly.getAclEntries(service.id, acl.id);
+        })
+        .then(function(entries){
+          entries.should.eql([]);
+          service.versions.should.have.length(1);
+        });
+    });
+
+    it('should send single addresses without a subnet and reject invalid entries', function() {
+      (function(){
+        fastly.createAclEntry(service.id, acl.id, '198.51.100.300');
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Invalid ACL entry "198.51.100.300": "198.51.100.300" is not an IPv4 or IPv6 address.'});
+
+      return fastly.createAclEntry(service.id, acl.id, '2001:db8::1')
+        .then(function(entry){
+          should(entry.subnet).be.null();
+          mock.requests[mock.requests.length - 1].body.should.eql({ip: '2001:db8::1', negated: 0});
+        });
+    });
+
+    it('should list every page of entries', function() {
+      var entries = [];
+
+      for (var i = 0; i < 150; i++) {
+        entries.push({ip: '10.0.' + Math.floor(i / 100) + '.' + (i % 100)});
+      }
+
+      seedEntries(entries);
+
+      return fastly.getAclEntries(service.id, acl.id)
+        .then(function(found){
+          found.should.have.length(150);
+          methods().should.eql(['GET', 'GET']);
+        });
+    });
+
+    it('should validate and batch bulk updates', function() {
+      (function(){
+        fastly.bulkUpdateAclEntries(service.id, acl.id, [{op: 'delete'}]);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'ACL entry change at index 0 (delete) is missing id.'});
+
+      (function(){
+        fastly.bulkUpdateAclEntries(service.id, acl.id, [{op: 'create', ip: '192.0.2.1'}], {batchSize: 1001});
+      }).should.throw(FastlyPromise.ValidationError, {message: 'batchSize must be between 1 and 1000.'});
+
+      return fastly.bulkUpdateAclEntries(service.id, acl.id, [{op: 'create', ip: '192.0.2.1'}, {op: 'create', ip: '192.0.2.2'}, {op: 'create', ip: '192.0.2.3'}], {batchSize: 2})
+        .then(function(batches){
+          batches.should.have.length(2);
+          mock.requests.filter(function(request){ return request.method === 'PATCH'; }).map(function(request){ return request.body.entries.length; }).should.eql([2, 1]);
+        });
+    });
+
+  });
+
+  describe('#syncAclEntries', function() {
+
+    beforeEach(function(){
+      seedEntries([
+        {ip: '10.0.0.0', subnet: 8},
+        {ip: '192.0.2.1'},
+        {ip: '192.0.2.1', subnet: 32},
+        {ip: '198.51.100.0', subnet: 24, negated: '1'},
+        {ip: '2001:db8::', subnet: 32}
+      ]);
+    });
+
+    it('should only send the difference between the normalized lists', function() {
+      return fastly.syncAclEntries(service.id, acl.id, ['10.9.9.9/8', '192.0.2.1/32', '198.51.100.0/24', '2001:DB8:0::/32', '203.0.113.5', '203.0.113.5/32'], {comment: 'synced'})
+        .then(function(result){
+          result.added.should.eql(['198.51.100.0/24', '203.0.113.5']);
+          result.removed.should.eql(['192.0.2.1', '!198.51.100.0/24']);
+          result.unchanged.should.equal(3);
+          result.batches.should.have.length(1);
+
+          var patch = mock.requests.find(function(request){ return request.method === 'PATCH'; });
+          patch.body.entries.map(function(change){ return change.op; }).should.eql(['delete', 'delete', 'create', 'create']);
+          patch.body.entries[2].should.eql({op: 'create', ip: '198.51.100.0', subnet: 24, negated: 0, comment: 'synced'});
+
+          return fastly.getAclEntries(service.id, acl.id);
+        })
+        .then(function(entries){
+          entries.map(function(entry){ return FastlyPromise.cidr.normalize(entry).cidr; }).sort().should.eql(['10.0.0.0/8', '192.0.2.1', '198.51.100.0/24', '2001:db8::/32', '203.0.113.5']);
+        });
+    });
+
+    it('should not send anything when the ACL already matches or on a dry run', function() {
+      return fastly.syncAclEntries(service.id, acl.id, ['10.0.0.0/8', '192.0.2.1', '!198.51.100.0/24', '2001:db8::/32', '192.0.2.2'], {dryRun: true})
+        .then(function(result){
+          result.added.should.eql(['192.0.2.2']);
+          result.removed.should.eql(['192.0.2.1']);
+          methods().should.not.containEql('PATCH');
+
+          //Drops the duplicate entry, after that the ACL matches.
+          return fastly.syncAclEntries(service.id, acl.id, ['10.0.0.0/8', '192.0.2.1', '!198.51.100.0/24', '2001:db8::/32']);
+        })
+        .then(function(){
+          return fastly.syncAclEntries(service.id, acl.id, ['10.0.0.0/8', '192.0.2.1', '!198.51.100.0/24', '2001:db8::/32']);
+        })
+        .then(function(result){
+          result.should.eql({added: [], removed: [], unchanged: 4, batches: []});
+          methods().filter(function(method){ return method === 'PATCH'; }).should.have.length(1);
+        });
+    });
+
+    it('should reject invalid CIDRs before fetching the entries', function() {
+      (function(){
+        fastly.syncAclEntries(service.id, acl.id, ['10.0.0.0/8', '10.0.0.0/40']);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Invalid ACL entry at index 1: "40" is not a valid IPv4 prefix length.'});
+
+      mock.requests.should.have.length(0);
+    });
+
+  });
+
+  describe('VCL linting', function() {
+
+    it('should check ACL references against the version\'s ACLs', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.uploadNewVcl(service.id, draft.number, 'blocking', 'sub block {\n  if (client.ip ~ blocklist || client.ip ~ allowlist) {\n    error 403;\n  }\n}\n', false, {lint: true});
+        })
+        .then(function(){
+          throw new Error('Expected uploadNewVcl to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ValidationError);
+          error.lint.errors.map(function(problem){ return problem.rule + ':' + problem.message; }).should.eql(['undefined-acl:Reference to undefined ACL "allowlist".']);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,126 @@
+var should = require('should');
+var http = require('http');
+var querystring = require('querystring');
+var FastlyPromise = require('../lib/fastlyPromise');
+
+//Backend methods are tested against a local http stub that records requests and echoes form bodies back.
+
+describe('FastlyPromise Backend Methods', function() {
+
+  var server = null;
+  var fastly = null;
+  var requests = [];
+
+  before(function(done){
+
+    server = http.createServer(function(req, res){
+      var body = '';
+      req.on('data', function(chunk){ body += chunk; });
+      req.on('end', function(){
+        var form = Object.assign({}, querystring.parse(body));
+        requests.push({method: req.method, url: req.url, form: form});
+
+        var response = (req.url === '/service/svc/version') ? [{number: 3, active: false}, {number: 4, active: true}] : (req.method === 'DELETE' ? {status: 'ok'} : form);
+
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(response));
+      });
+    });
+
+    server.listen(0, '127.0.0.1', done);
+
+  });
+
+  after(function(done){
+
+    server.close(done);
+
+  });
+
+  beforeEach(function(){
+
+    requests = [];
+    fastly = new FastlyPromise('test-api-key', {retry: {retries: 0}});
+    fastly.endpoint = 'http://127.0.0.1:' + server.address().port;
+
+  });
+
+  describe('#getBackends', function() {
+
+    it('should default to the active config version', function() {
+      return fastly.getBackends('svc')
+        .then(function(){
+          requests.map(function(r){ return r.method + ' ' + r.url; }).should.eql(['GET /service/svc/version', 'GET /service/svc/version/4/backend']);
+        });
+    });
+
+  });
+
+  describe('#getBackend', function() {
+
+    it('should request the backend by url encoded name', function() {
+      return fastly.getBackend('svc', 'origin east', 5)
+        .then(function(){
+          requests[0].url.should.equal('/service/svc/version/5/backend/origin%20east');
+        });
+    });
+
+  });
+
+  describe('#createBackend', function() {
+
+    it('should post the backend fields', function() {
+      return fastly.createBackend('svc', {name: 'origin', address: 'origin.example.com', port: 443, use_ssl: true, ssl_cert_hostname: 'origin.example.com', healthcheck: 'ping', first_byte_timeout: 15000}, 5)
+        .then(function(backend){
+          requests[0].method.should.equal('POST');
+          requests[0].url.should.equal('/service/svc/version/5/backend');
+          backend.address.should.equal('origin.example.com');
+          backend.port.should.equal('443');
+          backend.use_ssl.should.equal('true');
+        });
+    });
+
+    it('should require name and address', function() {
+      (function(){ fastly.createBackend('svc', {port: 80}, 5); }).should.throw(FastlyPromise.ValidationError, {message: /name is required, address is required/});
+      requests.should.be.empty();
+    });
+
+    it('should validate port, ssl, tls and timeout fields', function() {
+      (function(){
+        fastly.createBackend('svc', {name: 'origin', address: 'origin.example.com', port: 70000, use_ssl: 'yes', min_tls_version: '2.0', connect_timeout: -1, healthcheck: ''}, 5);
+      }).should.throw(/port must be .*use_ssl must be .*min_tls_version must be .*healthcheck must be .*connect_timeout must be/);
+    });
+
+  });
+
+  describe('#updateBackend', function() {
+
+    it('should put only the passed fields', function() {
+      return fastly.updateBackend('svc', 'origin', {between_bytes_timeout: 10000}, 5)
+        .then(function(){
+          requests[0].method.should.equal('PUT');
+          requests[0].url.should.equal('/service/svc/version/5/backend/origin');
+          requests[0].form.should.eql({between_bytes_timeout: '10000'});
+        });
+    });
+
+    it('should validate the passed fields', function() {
+      (function(){ fastly.updateBackend('svc', 'origin', {port: 'http'}, 5); }).should.throw(FastlyPromise.ValidationError);
+    });
+
+  });
+
+  describe('#deleteBackend', function() {
+
+    it('should delete the backend', function() {
+      return fastly.deleteBackend('svc', 'origin', 5)
+        .then(function(result){
+          requests[0].method.should.equal('DELETE');
+          requests[0].url.should.equal('/service/svc/version/5/backend/origin');
+          result.status.should.equal('ok');
+        });
+    });
+
+  });
+
+});
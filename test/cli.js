@@ -0,0 +1,220 @@
+var should = require('should');
+var cli = require('../lib/cli');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise CLI', function() {
+
+  var mock = null;
+  var service = null;
+  var output = null;
+  var files = null;
+
+  var writer = function(name) {
+    return {write: function(chunk){ output[name] += chunk; }};
+  };
+
+  var run = function(argv, env) {
+    return cli.run(argv, {
+      env: env || {FASTLY_API_KEY: 'test-api-key'},
+      stdout: writer('stdout'),
+      stderr: writer('stderr'),
+      homedir: '/home/ops',
+      readFile: function(file){
+        if (!Object.prototype.hasOwnProperty.call(files, file)) {
+          var error = new Error('ENOENT: no such file or directory, open \'' + file + '\'');
+          error.code = 'ENOENT';
+          throw error;
+        }
+
+        return files[file];
+      },
+      clientOptions: {transport: mock.transport, retry: {retries: 0}}
+    });
+  };
+
+  beforeEach(function(){
+    mock = new MockFastly({apiKey: 'test-api-key'});
+    service = mock.createService('www', {
+      vcl: [{name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n}\n', main: true}],
+      activate: true
+    });
+    output = {stdout: '', stderr: ''};
+    files = {'edge.vcl': 'sub vcl_recv {\n#FASTLY recv\n  set req.http.X-Edge = "1";\n}\n'};
+  });
+
+  describe('#parseArgs', function() {
+
+    it('should split positional arguments, switches and value flags', function() {
+      cli.parseArgs(['vcl', 'get', 'svc', 'main', '--config-version', '3', '--output=json', '--dry-run']).should.eql({
+        args: ['vcl', 'get', 'svc', 'main'],
+        flags: {'config-version': '3', output: 'json', 'dry-run': true}
+      });
+      (function(){ cli.parseArgs(['vcl', 'list', '--config-version']); }).should.throw(cli.UsageError);
+    });
+
+    it('should print the package version with --version', function() {
+      return run(['--version'])
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+          output.stdout.should.equal(require('../package.json').version + '\n');
+          mock.requests.should.eql([]);
+        });
+    });
+
+  });
+
+  describe('output', function() {
+
+    it('should print tables by default', function() {
+      return run(['versions', 'list', service.id])
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+          output.stdout.split('\n')[0].should.match(/^NUMBER\s+ACTIVE\s+LOCKED\s+COMMENT\s+UPDATED_AT$/);
+          output.stdout.split('\n')[1].should.match(/^1\s+true\s+true/);
+        });
+    });
+
+    it('should print JSON with --json or --output json', function() {
+      return run(['vcl', 'list', service.id, '--json'])
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+          JSON.parse(output.stdout).map(function(vcl){ return vcl.name; }).should.eql(['main']);
+        });
+    });
+
+    it('should print VCL content and diffs as text', function() {
+      return run(['versions', 'clone', service.id])
+        .then(function(){
+          return run(['vcl', 'update', service.id, 'main', 'edge.vcl', '--config-version', '2']);
+        })
+        .then(function(){
+          output.stdout = '';
+          return run(['vcl', 'get', service.id, 'main', '--config-version', '2']);
+        })
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+          output.stdout.should.equal(files['edge.vcl']);
+          output.stdout = '';
+          return run(['vcl', 'diff', service.id, '1', '2', '--no-generated']);
+        })
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+          output.stdout.should.match(/^Service \w+: version 1 -> version 2/);
+          output.stdout.should.match(/\+  set req.http.X-Edge = "1";/);
+        });
+    });
+
+  });
+
+  describe('write commands', function() {
+
+    it('should only describe the change with --dry-run', function() {
+      return run(['versions', 'activate', service.id, '--config-version', '1', '--dry-run'])
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+          output.stdout.should.equal('[dry-run] Activate config version 1 of service ' + service.id + '\n');
+          mock.requests.should.eql([]);
+        });
+    });
+
+    it('should purge surrogate keys', function() {
+      return run(['purge-key', service.id, 'article-1', 'article-2', '--soft'])
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+          output.stdout.should.equal('Purged 2 surrogate keys.\n');
+          mock.purges.map(function(purge){ return purge.key + (purge.soft ? ' soft' : ''); }).should.eql(['article-1 soft', 'article-2 soft']);
+        });
+    });
+
+    it('should upload VCL files and set the main VCL', function() {
+      return run(['versions', 'clone', service.id])
+        .then(function(){
+          return run(['vcl', 'upload', service.id, 'edge', 'edge.vcl', '--config-version', '2', '--main']);
+        })
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+          service.versions[1].objects.vcl.find(function(vcl){ return vcl.name === 'edge'; }).main.should.be.true();
+        });
+    });
+
+  });
+
+  describe('failures', function() {
+
+    it('should exit with 2 and the usage on bad command lines', function() {
+      return run(['vcl', 'delete', service.id, 'main'])
+        .then(function(exitCode){
+          exitCode.should.equal(2);
+          output.stderr.should.match(/^Error: Missing --config-version/);
+          output.stderr.should.match(/Usage: fastly-promise/);
+          return run(['widgets']);
+        })
+        .then(function(exitCode){
+          exitCode.should.equal(2);
+          output.stderr.should.match(/Unknown command "widgets"/);
+        });
+    });
+
+    it('should exit with 1 when the API call fails', function() {
+      return run(['versions', 'lock', service.id, '--config-version', '7', '--json'])
+        .then(function(exitCode){
+          exitCode.should.equal(1);
+          JSON.parse(output.stderr).error.name.should.equal('NotFoundError');
+        });
+    });
+
+    it('should exit with 1 when validation fails', function() {
+      files['broken.vcl'] = 'sub vcl_recv {';
+
+      return run(['versions', 'clone', service.id])
+        .then(function(){
+          return run(['vcl', 'update', service.id, 'main', 'broken.vcl', '--config-version', '2']);
+        })
+        .then(function(){
+          return run(['versions', 'validate', service.id, '--config-version', '2']);
+        })
+        .then(function(exitCode){
+          exitCode.should.equal(1);
+          output.stderr.should.match(/failed validation/);
+        });
+    });
+
+  });
+
+  describe('credentials', function() {
+
+    it('should read the API key from the default profile file', function() {
+      files['/home/ops/.fastly-promise.json'] = JSON.stringify({default: {apiKey: 'test-api-key'}});
+
+      return run(['versions', 'list', service.id], {})
+        .then(function(exitCode){
+          exitCode.should.equal(0);
+        });
+    });
+
+    it('should prefer a named profile over FASTLY_API_KEY', function() {
+      files['profiles.json'] = JSON.stringify({staging: {apiKey: 'wrong-key'}});
+
+      return run(['versions', 'list', service.id, '--profile', 'staging', '--profile-file', 'profiles.json'])
+        .then(function(exitCode){
+          exitCode.should.equal(1);
+          output.stderr.should.match(/401/);
+          return run(['versions', 'list', service.id, '--profile', 'production', '--profile-file', 'profiles.json']);
+        })
+        .then(function(exitCode){
+          exitCode.should.equal(2);
+          output.stderr.should.match(/Profile "production" not found/);
+        });
+    });
+
+    it('should fail without any API key', function() {
+      return run(['versions', 'list', service.id], {})
+        .then(function(exitCode){
+          exitCode.should.equal(2);
+          output.stderr.should.match(/No API key/);
+        });
+    });
+
+  });
+
+});
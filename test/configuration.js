@@ -1,24 +1,35 @@
-
 var should = require('should');
 var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
 
-//NOTE: The tests require at least one valid service config version to work.
-//Additionally, the fastly service id you are testing against and your fastly API key should be set as process.env.FASTLY_TEST_SERVICE_ID and process.env.FASTLY_API_KEY.
+//NOTE: By default the tests run offline against the in-memory MockFastly backend.
+//To run them against a real fastly account instead, set the fastly service id you are testing against and your fastly API key as process.env.FASTLY_TEST_SERVICE_ID and process.env.FASTLY_API_KEY.
+//The live tests require at least one valid service config version and will deactivate and reactivate the active version.
 //If you want to set them at test runtime, the following command will work:
 //FASTLY_TEST_SERVICE_ID='{service id here}' FASTLY_API_KEY='{api key here}' mocha --ui bdd --reporter spec --recursive
 
 describe('FastlyPromise Configuration Methods', function() {
 
-  if (!process.env.FASTLY_TEST_SERVICE_ID || !process.env.FASTLY_API_KEY){
-    throw new Error('FASTLY_TEST_SERVICE_ID and FASTLY_API_KEY must be set as environmental variables. Try command: FASTLY_TEST_SERVICE_ID=\'{service id here}\' FASTLY_API_KEY=\'{api key here}\' mocha --ui bdd --reporter spec --recursive');
-  }
+  var live = !!(process.env.FASTLY_TEST_SERVICE_ID && process.env.FASTLY_API_KEY);
 
   var fastly = null;
   var serviceId = process.env.FASTLY_TEST_SERVICE_ID;
 
   before(function(){
 
-    fastly = new FastlyPromise(process.env.FASTLY_API_KEY);
+    if (live) {
+      fastly = new FastlyPromise(process.env.FASTLY_API_KEY);
+      return;
+    }
+
+    var mock = new MockFastly({apiKey: 'test-api-key'});
+    var service = mock.createService('test-service', {
+      vcl: [{name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n}\n', main: true}],
+      activate: true
+    });
+
+    serviceId = service.id;
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
 
   });
 
@@ -240,25 +251,67 @@ describe('FastlyPromise Configuration Methods', function() {
 
     describe('#getVclHtml', function() {
 
-      it('should return an object with the html encoded VCL');
+      it('should return an object with the html encoded VCL', function() {
+        return fastly.getVclHtml(serviceId, 'test-boilerplate-vcl-' + vclConfigVersionNumber, vclConfigVersionNumber)
+          .then(function(vclHtml){
+            vclHtml.content.should.be.String();
+            vclHtml.content.should.match(/# This is a comment added to update the VCL file./);
+          });
+      });
+
+      it('should include line numbers when asked to', function() {
+        return Promise.all([
+            fastly.getVclHtml(serviceId, 'test-boilerplate-vcl-' + vclConfigVersionNumber, vclConfigVersionNumber),
+            fastly.getVclHtml(serviceId, 'test-boilerplate-vcl-' + vclConfigVersionNumber, vclConfigVersionNumber, true)
+          ])
+          .then(function(results){
+            results[1].content.should.not.equal(results[0].content);
+          });
+      });
 
     });
 
     describe('#getVclText', function() {
 
-      it('should return VCL as a string');
+      it('should return VCL as a string', function() {
+        return fastly.getVclText(serviceId, 'test-boilerplate-vcl-' + vclConfigVersionNumber, vclConfigVersionNumber)
+          .then(function(vcl){
+            vcl.should.be.String();
+            vcl.should.match(/# This is a comment added to update the VCL file./);
+          });
+      });
 
     });
 
     describe('#getGeneratedVcl', function() {
 
-      it('should return a generated VCL object');
+      it('should return a generated VCL object', function() {
+        return fastly.getGeneratedVcl(serviceId, vclConfigVersionNumber)
+          .then(function(generatedVcl){
+            generatedVcl.content.should.be.String();
+            generatedVcl.content.should.match(/# This is a comment added to update the VCL file./);
+          });
+      });
+
+      it('should default to the active config version', function() {
+        return fastly.getGeneratedVcl(serviceId)
+          .then(function(generatedVcl){
+            generatedVcl.content.should.be.String();
+            generatedVcl.content.should.not.match(/# This is a comment added to update the VCL file./);
+          });
+      });
 
     });
 
     describe('#getGeneratedVclHtml', function() {
 
-      it('should return a generated VCL object with the VCL content HTML encoded.');
+      it('should return a generated VCL object with the VCL content HTML encoded.', function() {
+        return fastly.getGeneratedVclHtml(serviceId, vclConfigVersionNumber, true)
+          .then(function(generatedVclHtml){
+            generatedVclHtml.content.should.be.String();
+            generatedVclHtml.content.should.match(/</);
+          });
+      });
 
     });
 
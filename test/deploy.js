@@ -0,0 +1,219 @@
+var should = require('should');
+var http = require('http');
+var querystring = require('querystring');
+var FastlyPromise = require('../lib/fastlyPromise');
+
+//The deploy workflow is tested against a local http stub that models versions and VCL for a single service.
+
+describe('FastlyPromise Deploy Workflow', function() {
+
+  var server = null;
+  var state = null;
+  var fastly = null;
+
+  var send = function(res, status, body) {
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+  };
+
+  var handle = function(req, form, res) {
+    var match = null;
+    var path = req.url;
+
+    state.calls.push(req.method + ' ' + path);
+
+    if (req.method === 'GET' && path === '/service/svc/version') {
+      return send(res, 200, state.versions);
+    }
+
+    if ((match = path.match(/^\/service\/svc\/version\/(\d+)\/(clone|activate|lock|validate)$/))) {
+      var version = state.versions[match[1] - 1];
+
+      if (match[2] === 'clone') {
+        var clone = {number: state.versions.length + 1, service_id: 'svc', active: false, locked: false};
+        state.versions.push(clone);
+        state.vcl[clone.number] = JSON.parse(JSON.stringify(state.vcl[version.number] || []));
+        return send(res, 200, clone);
+      }
+
+      if (match[2] === 'activate') {
+        if (state.failActivation === version.number) {
+          return send(res, 400, {msg: 'Activation failed'});
+        }
+
+        state.versions.forEach(function(v){ v.active = false; });
+        version.active = true;
+        return send(res, 200, version);
+      }
+
+      if (match[2] === 'lock') {
+        version.locked = true;
+        return send(res, 200, version);
+      }
+
+      return send(res, 200, state.validation);
+    }
+
+    if ((match = path.match(/^\/service\/svc\/version\/(\d+)\/vcl(?:\/([^\/]+))?(\/main)?$/))) {
+      var vclList = state.vcl[match[1]] = state.vcl[match[1]] || [];
+      var vcl = vclList.find(function(item){ return item.name === match[2]; });
+
+      if (req.method === 'GET' && !match[2]) { return send(res, 200, vclList); }
+      if (req.method === 'POST') {
+        vcl = {name: form.name, content: form.content, main: false, version: Number(match[1]), service_id: 'svc'};
+        vclList.push(vcl);
+        return send(res, 200, vcl);
+      }
+      if (!vcl) { return send(res, 404, {msg: 'Record not found'}); }
+      if (req.method === 'GET') { return send(res, 200, vcl); }
+      if (req.method === 'PUT' && match[3]) {
+        vclList.forEach(function(item){ item.main = false; });
+        vcl.main = true;
+        return send(res, 200, vcl);
+      }
+      if (req.method === 'PUT') {
+        vcl.content = form.content;
+        return send(res, 200, vcl);
+      }
+    }
+
+    send(res, 404, {msg: 'Unknown route'});
+  };
+
+  before(function(done){
+
+    server = http.createServer(function(req, res){
+      var body = '';
+      req.on('data', function(chunk){ body += chunk; });
+      req.on('end', function(){ handle(req, querystring.parse(body), res); });
+    });
+
+    server.listen(0, '127.0.0.1', done);
+
+  });
+
+  after(function(done){
+
+    server.close(done);
+
+  });
+
+  beforeEach(function(){
+
+    state = {
+      versions: [{number: 1, service_id: 'svc', active: true, locked: true}],
+      vcl: {1: [{name: 'main', content: 'old', main: true, version: 1, service_id: 'svc'}]},
+      validation: {status: 'ok', errors: [], warnings: []},
+      failActivation: null,
+      calls: []
+    };
+
+    fastly = new FastlyPromise('test-api-key', {retry: {retries: 0}});
+    fastly.endpoint = 'http://127.0.0.1:' + server.address().port;
+
+  });
+
+  var expectRejection = function(promise){
+    return promise.then(function(){
+      throw new Error('Expected deploy to reject.');
+    }, function(error){
+      return error;
+    });
+  };
+
+  describe('#deployVcl', function() {
+
+    it('should throw when no files are passed', function() {
+      (function(){ fastly.deployVcl('svc', []); }).should.throw(/non empty array/);
+    });
+
+    it('should clone, update, upload, set main, validate, lock and activate', function() {
+      var files = [{name: 'main', content: 'new'}, {name: 'shared', content: 'include', main: true}];
+
+      return fastly.deployVcl('svc', files, {lock: true})
+        .then(function(report){
+          report.status.should.equal('deployed');
+          report.previousVersion.should.equal(1);
+          report.version.should.equal(2);
+          report.steps.map(function(s){ return s.step; }).should.eql(['getActiveVersion', 'clone', 'getVcl', 'update:main', 'upload:shared', 'setMain', 'validate', 'lock', 'activate']);
+          report.steps.every(function(s){ return s.status === 'ok'; }).should.be.true();
+
+          state.versions[1].active.should.be.true();
+          state.versions[1].locked.should.be.true();
+          state.vcl[2].find(function(v){ return v.name === 'shared'; }).main.should.be.true();
+          state.vcl[1][0].content.should.equal('old');
+        });
+    });
+
+    it('should stop when validation reports errors', function() {
+      state.validation = {status: 'error', errors: ['Syntax error'], warnings: []};
+
+      return expectRejection(fastly.deployVcl('svc', [{name: 'main', content: 'broken'}]))
+        .then(function(error){
+          error.should.be.instanceOf(FastlyPromise.DeployError);
+          error.report.status.should.equal('validation_failed');
+          error.report.steps[error.report.steps.length - 1].step.should.equal('validate');
+          state.calls.should.not.containEql('PUT /service/svc/version/2/activate');
+          state.versions[0].active.should.be.true();
+        });
+    });
+
+    it('should stop before cloning when there is no active version and no base version', function() {
+      state.versions[0].active = false;
+
+      return expectRejection(fastly.deployVcl('svc', [{name: 'main', content: 'new'}]))
+        .then(function(error){
+          error.should.be.instanceOf(FastlyPromise.DeployError);
+          error.message.should.match(/no active config version to clone/);
+          error.report.status.should.equal('failed');
+          error.report.steps.map(function(s){ return s.step; }).should.eql(['getActiveVersion']);
+          state.versions.should.have.length(1);
+
+          return fastly.deployVcl('svc', [{name: 'main', content: 'new'}], {baseVersion: 1, activate: false});
+        })
+        .then(function(report){
+          should(report.previousVersion).be.null();
+          report.version.should.equal(2);
+          report.status.should.equal('validated');
+        });
+    });
+
+    it('should not activate when the activate option is false', function() {
+      return fastly.deployVcl('svc', [{name: 'main', content: 'new'}], {activate: false})
+        .then(function(report){
+          report.status.should.equal('validated');
+          state.versions[0].active.should.be.true();
+        });
+    });
+
+    it('should roll back when activation fails', function() {
+      state.failActivation = 2;
+
+      return expectRejection(fastly.deployVcl('svc', [{name: 'main', content: 'new'}]))
+        .then(function(error){
+          error.report.status.should.equal('rolled_back');
+          error.report.steps.map(function(s){ return s.step + ':' + s.status; }).slice(-2).should.eql(['activate:failed', 'rollback:ok']);
+          state.versions[0].active.should.be.true();
+        });
+    });
+
+    it('should roll back when the health check fails', function() {
+      var checkedVersion = null;
+
+      return expectRejection(fastly.deployVcl('svc', [{name: 'main', content: 'new'}], {
+          healthCheck: function(version){
+            checkedVersion = version;
+            return false;
+          }
+        }))
+        .then(function(error){
+          checkedVersion.should.equal(2);
+          error.report.status.should.equal('rolled_back');
+          state.versions[0].active.should.be.true();
+          state.versions[1].active.should.be.false();
+        });
+    });
+
+  });
+
+});
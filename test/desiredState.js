@@ -0,0 +1,225 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Desired State', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+
+  var mainVcl = 'sub vcl_recv {\n#FASTLY recv\n}\n';
+
+  var spec = function() {
+    return {
+      vcl: [
+        {name: 'main', content: mainVcl, main: true},
+        {name: 'redirects', content: '# redirects\n'}
+      ],
+      objects: {
+        backend: [{name: 'origin', address: 'new-origin.example.com', port: 443}],
+        dictionary: [{name: 'flags', items: {beta: 'on'}}]
+      }
+    };
+  };
+
+  beforeEach(function(){
+    mock = new MockFastly();
+    service = mock.createService('www', {
+      vcl: [
+        {name: 'main', content: mainVcl, main: true},
+        {name: 'legacy', content: '# legacy\n'}
+      ],
+      backends: [{name: 'origin', address: 'origin.example.com', port: 443}, {name: 'old-origin', address: 'old.example.com'}],
+      activate: true
+    });
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+  });
+
+  describe('#plan', function() {
+
+    it('should list the operations reaching the spec without running them', function() {
+      return fastly.plan(service.id, spec())
+        .then(function(plan){
+          plan.baseVersion.should.equal(1);
+          plan.hasChanges.should.be.true();
+          plan.operations.map(function(operation){ return operation.type + ':' + operation.action + ':' + operation.name; }).should.eql([
+            'vcl:create:redirects',
+            'vcl:delete:legacy',
+            'dictionary:create:flags',
+            'backend:update:origin',
+            'backend:delete:old-origin',
+            'dictionary:items:flags'
+          ]);
+          plan.operations[3].changes.should.eql({address: {from: 'origin.example.com', to: 'new-origin.example.com'}});
+          plan.text.should.match(/^\+ vcl redirects$/m);
+          plan.text.should.match(/address: "origin.example.com" -> "new-origin.example.com"/);
+          service.versions.length.should.equal(1);
+        });
+    });
+
+    it('should leave unlisted object types and, without prune, unlisted objects alone', function() {
+      return fastly.plan(service.id, {vcl: [{name: 'main', content: mainVcl, main: true}]}, {prune: false})
+        .then(function(plan){
+          plan.hasChanges.should.be.false();
+          plan.operations.should.eql([]);
+          plan.text.should.equal('No changes.\n');
+        });
+    });
+
+    it('should reject malformed specs', function() {
+      (function(){ fastly.plan(service.id, {vcl: [{name: 'main'}]}); }).should.throw(FastlyPromise.ValidationError);
+      (function(){ fastly.plan(service.id, {vcl: [{name: 'a', content: '', main: true}, {name: 'b', content: '', main: true}]}); }).should.throw(/one main/);
+      (function(){ fastly.plan(service.id, {objects: {widget: []}}); }).should.throw(/unsupported object type/);
+    });
+
+  });
+
+  describe('#apply', function() {
+
+    it('should apply the plan to a clone of the active version and validate it', function() {
+      return fastly.apply(service.id, spec())
+        .then(function(report){
+          report.status.should.equal('applied');
+          report.baseVersion.should.equal(1);
+          report.version.should.equal(2);
+          report.steps.map(function(entry){ return entry.step; }).should.eql([
+            'clone',
+            'vcl:create:redirects',
+            'vcl:delete:legacy',
+            'dictionary:create:flags',
+            'backend:update:origin',
+            'backend:delete:old-origin',
+            'validate',
+            'dictionary:items:flags'
+          ]);
+          service.versions[0].active.should.be.true();
+
+          return fastly.plan(service.id, spec(), {baseVersion: 2});
+        })
+        .then(function(plan){
+          plan.hasChanges.should.be.false();
+        });
+    });
+
+    it('should create objects before the objects referencing them and delete them after', function() {
+      var api = mock.createService('api', {
+        backends: [{name: 'origin', address: 'origin.example.com', request_condition: 'legacy'}],
+        objects: {
+          condition: [{name: 'legacy', statement: 'req.url ~ "^/v1/"', type: 'REQUEST'}]
+        },
+        activate: true
+      });
+      var apiSpec = {
+        objects: {
+          backend: [{name: 'origin', address: 'origin.example.com', request_condition: 'is-api', healthcheck: 'ping'}],
+          healthcheck: [{name: 'ping', host: 'origin.example.com', path: '/ping'}],
+          condition: [{name: 'is-api', statement: 'req.url ~ "^/api/"', type: 'REQUEST'}]
+        }
+      };
+
+      return fastly.apply(api.id, apiSpec)
+        .then(function(report){
+          report.status.should.equal('applied');
+          report.steps.map(function(entry){ return entry.step; }).should.eql([
+            'clone',
+            'condition:create:is-api',
+            'healthcheck:create:ping',
+            'backend:update:origin',
+            'condition:delete:legacy',
+            'validate'
+          ]);
+
+          return fastly.getBackend(api.id, 'origin', 2);
+        })
+        .then(function(backend){
+          backend.should.containEql({request_condition: 'is-api', healthcheck: 'ping'});
+        });
+    });
+
+    it('should move the main designation and activate when asked to', function() {
+      var desired = {
+        vcl: [{name: 'main', content: mainVcl}, {name: 'edge', content: 'sub vcl_recv {\n#FASTLY recv\n}\n'}],
+        main: 'edge'
+      };
+
+      return fastly.apply(service.id, desired, {activate: true})
+        .then(function(report){
+          report.status.should.equal('activated');
+          report.steps.map(function(entry){ return entry.step; }).should.eql(['clone', 'vcl:create:edge', 'vcl:setMain:edge', 'vcl:delete:legacy', 'validate', 'activate']);
+          return fastly.getMainVcl(service.id, 2);
+        })
+        .then(function(vcl){
+          vcl.name.should.equal('edge');
+          service.versions[1].active.should.be.true();
+        });
+    });
+
+    it('should not clone anything when there are no changes', function() {
+      return fastly.apply(service.id, {vcl: [{name: 'main', content: mainVcl, main: true}, {name: 'legacy', content: '# legacy\n'}]})
+        .then(function(report){
+          report.status.should.equal('unchanged');
+          should(report.version).be.null();
+          report.steps.should.eql([]);
+          service.versions.length.should.equal(1);
+        });
+    });
+
+    it('should reject with an ApplyError report when validation fails', function() {
+      return fastly.apply(service.id, {vcl: [{name: 'main', content: 'sub vcl_recv {', main: true}]}, {activate: true})
+        .then(function(){
+          throw new Error('Expected apply to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ApplyError);
+          error.report.status.should.equal('validation_failed');
+          error.report.version.should.equal(2);
+          error.report.steps.some(function(entry){ return entry.step === 'activate'; }).should.be.false();
+          service.versions[0].active.should.be.true();
+        });
+    });
+
+    it('should only change live dictionary items once the new version is activated', function() {
+      var liveDictionary = null;
+      var desired = function(content) {
+        return {
+          vcl: [{name: 'main', content: content, main: true}, {name: 'legacy', content: '# legacy\n'}],
+          objects: {dictionary: [{name: 'flags', items: {beta: 'on'}}]}
+        };
+      };
+
+      return fastly.apply(service.id, {objects: {dictionary: [{name: 'flags', items: {beta: 'off'}}]}}, {activate: true})
+        .then(function(){
+          return fastly.getDictionary(service.id, 'flags', 2);
+        })
+        .then(function(dictionary){
+          liveDictionary = dictionary;
+
+          return fastly.apply(service.id, desired('sub vcl_recv {'), {activate: true});
+        })
+        .then(function(){
+          throw new Error('Expected apply to reject.');
+        }, function(error){
+          error.report.status.should.equal('validation_failed');
+          error.report.plan.operations.map(function(operation){ return operation.action; }).should.eql(['update', 'items']);
+          error.report.steps.some(function(entry){ return entry.step === 'dictionary:items:flags'; }).should.be.false();
+
+          return fastly.getDictionaryItems(service.id, liveDictionary.id);
+        })
+        .then(function(items){
+          items.map(function(item){ return item.item_key + '=' + item.item_value; }).should.eql(['beta=off']);
+
+          return fastly.apply(service.id, desired(mainVcl + '# v2\n'), {activate: true});
+        })
+        .then(function(report){
+          report.steps.slice(-3).map(function(entry){ return entry.step; }).should.eql(['validate', 'activate', 'dictionary:items:flags']);
+
+          return fastly.getDictionaryItems(service.id, liveDictionary.id);
+        })
+        .then(function(items){
+          items.map(function(item){ return item.item_key + '=' + item.item_value; }).should.eql(['beta=on']);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,153 @@
+var should = require('should');
+var http = require('http');
+var querystring = require('querystring');
+var FastlyPromise = require('../lib/fastlyPromise');
+
+//Dictionary methods are tested against a local http stub that records requests.
+
+describe('FastlyPromise Dictionary Methods', function() {
+
+  var server = null;
+  var fastly = null;
+  var requests = [];
+  var failBatch = null;
+
+  before(function(done){
+
+    server = http.createServer(function(req, res){
+      var body = '';
+      req.on('data', function(chunk){ body += chunk; });
+      req.on('end', function(){
+        var isJson = req.headers['content-type'] === 'application/json';
+        requests.push({method: req.method, url: req.url, body: isJson ? JSON.parse(body) : Object.assign({}, querystring.parse(body))});
+
+        if (req.url === '/service/svc/version') {
+          res.writeHead(200, {'Content-Type': 'application/json'});
+          return res.end(JSON.stringify([{number: 7, active: true}]));
+        }
+
+        var status = (failBatch && requests.length === failBatch) ? 400 : 200;
+        res.writeHead(status, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(status === 200 ? {status: 'ok'} : {msg: 'Bad request'}));
+      });
+    });
+
+    server.listen(0, '127.0.0.1', done);
+
+  });
+
+  after(function(done){
+
+    server.close(done);
+
+  });
+
+  beforeEach(function(){
+
+    requests = [];
+    failBatch = null;
+    fastly = new FastlyPromise('test-api-key', {retry: {retries: 0}});
+    fastly.endpoint = 'http://127.0.0.1:' + server.address().port;
+
+  });
+
+  var calls = function(){
+    return requests.map(function(r){ return r.method + ' ' + r.url; });
+  };
+
+  describe('#getDictionaries, #createDictionary and #deleteDictionary', function() {
+
+    it('should target the active config version by default', function() {
+      return fastly.getDictionaries('svc')
+        .then(function(){
+          calls().should.eql(['GET /service/svc/version', 'GET /service/svc/version/7/dictionary']);
+        });
+    });
+
+    it('should create and delete dictionaries on a config version', function() {
+      return fastly.createDictionary('svc', 'feature_flags', 8)
+        .then(function(){
+          return fastly.deleteDictionary('svc', 'feature_flags', 8);
+        })
+        .then(function(){
+          calls().should.eql(['POST /service/svc/version/8/dictionary', 'DELETE /service/svc/version/8/dictionary/feature_flags']);
+          requests[0].body.should.eql({name: 'feature_flags'});
+        });
+    });
+
+  });
+
+  describe('#getDictionaryItem, #upsertDictionaryItem and #deleteDictionaryItem', function() {
+
+    it('should use versionless item endpoints', function() {
+      return fastly.getDictionaryItem('svc', 'dict1', '/old path')
+        .then(function(){
+          return fastly.upsertDictionaryItem('svc', 'dict1', 'beta', 'on');
+        })
+        .then(function(){
+          return fastly.deleteDictionaryItem('svc', 'dict1', 'beta');
+        })
+        .then(function(){
+          calls().should.eql([
+            'GET /service/svc/dictionary/dict1/item/%2Fold%20path',
+            'PUT /service/svc/dictionary/dict1/item/beta',
+            'DELETE /service/svc/dictionary/dict1/item/beta'
+          ]);
+          requests[1].body.should.eql({item_value: 'on'});
+        });
+    });
+
+  });
+
+  describe('#bulkUpdateDictionaryItems', function() {
+
+    it('should send a key/value map as batch upserts and deletes', function() {
+      return fastly.bulkUpdateDictionaryItems('svc', 'dict1', {beta: 'on', legacy: null, limit: 10})
+        .then(function(results){
+          results.length.should.equal(1);
+          calls().should.eql(['PATCH /service/svc/dictionary/dict1/items']);
+          requests[0].body.should.eql({items: [
+            {op: 'upsert', item_key: 'beta', item_value: 'on'},
+            {op: 'delete', item_key: 'legacy'},
+            {op: 'upsert', item_key: 'limit', item_value: '10'}
+          ]});
+        });
+    });
+
+    it('should split large change sets into batches', function() {
+      var changes = [];
+      for (var i = 0; i < 2500; i++) {
+        changes.push({op: 'upsert', item_key: 'key-' + i, item_value: String(i)});
+      }
+
+      return fastly.bulkUpdateDictionaryItems('svc', 'dict1', changes)
+        .then(function(results){
+          results.length.should.equal(3);
+          requests.map(function(r){ return r.body.items.length; }).should.eql([1000, 1000, 500]);
+          requests[2].body.items[0].item_key.should.equal('key-2000');
+        });
+    });
+
+    it('should report how many batches were applied when one fails', function() {
+      failBatch = 2;
+
+      return fastly.bulkUpdateDictionaryItems('svc', 'dict1', {a: 1, b: 2, c: 3}, {batchSize: 1})
+        .then(function(){
+          throw new Error('Expected bulk update to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ValidationError);
+          error.completedBatches.should.equal(1);
+          requests.length.should.equal(2);
+        });
+    });
+
+    it('should reject malformed changes and batch sizes', function() {
+      (function(){ fastly.bulkUpdateDictionaryItems('svc', 'dict1', [{op: 'replace', item_key: 'a'}]); }).should.throw(FastlyPromise.ValidationError);
+      (function(){ fastly.bulkUpdateDictionaryItems('svc', 'dict1', [{op: 'upsert', item_key: 'a'}]); }).should.throw(/missing item_value/);
+      (function(){ fastly.bulkUpdateDictionaryItems('svc', 'dict1', {a: 1}, {batchSize: 5000}); }).should.throw(/batchSize/);
+      requests.should.be.empty();
+    });
+
+  });
+
+});
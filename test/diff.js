@@ -0,0 +1,124 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Config Diff', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+
+  beforeEach(function(){
+
+    mock = new MockFastly({apiKey: 'test-api-key'});
+    service = mock.createService('diff-service', {
+      vcl: [
+        {name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n  set req.http.X-A = "1";\n}\n', main: true},
+        {name: 'shared', content: '# shared\n'}
+      ],
+      backends: [{name: 'origin', address: 'origin.example.com', port: 443}],
+      activate: true
+    });
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+
+  });
+
+  describe('#diffConfigVersions', function() {
+
+    it('should report no changes between identical versions', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(version){
+          return fastly.diffConfigVersions(service.id, 1, version.number);
+        })
+        .then(function(diff){
+          diff.hasChanges.should.be.false();
+          diff.vcl.unchanged.should.eql(['main', 'shared']);
+          diff.text.should.match(/No changes\./);
+        });
+    });
+
+    it('should diff VCL files, the main VCL, generated VCL and backends', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(version){
+          return Promise.all([
+            fastly.updateVcl(service.id, 2, 'main', 'sub vcl_recv {\n#FASTLY recv\n  set req.http.X-A = "2";\n}\n'),
+            fastly.deleteVcl(service.id, 'shared', 2),
+            fastly.uploadNewVcl(service.id, 2, 'extra', '# extra\n', true),
+            fastly.updateBackend(service.id, 'origin', {port: 8443}, 2),
+            fastly.createBackend(service.id, {name: 'fallback', address: 'fallback.example.com'}, 2)
+          ]);
+        })
+        .then(function(){
+          return fastly.diffConfigVersions(service.id, 1, 2);
+        })
+        .then(function(diff){
+          diff.hasChanges.should.be.true();
+          diff.vcl.main.should.eql({from: 'main', to: 'extra'});
+          diff.vcl.added.map(function(vcl){ return vcl.name; }).should.eql(['extra']);
+          diff.vcl.removed.map(function(vcl){ return vcl.name; }).should.eql(['shared']);
+          diff.vcl.changed[0].name.should.equal('main');
+          diff.vcl.changed[0].patch.should.match(/^-  set req.http.X-A = "1";$/m);
+          diff.vcl.changed[0].patch.should.match(/^\+  set req.http.X-A = "2";$/m);
+          diff.vcl.changed[0].patch.should.match(/^--- a\/main\tversion 1$/m);
+
+          diff.objects.backend.added.map(function(backend){ return backend.name; }).should.eql(['fallback']);
+          diff.objects.backend.changed.should.eql([{name: 'origin', fields: {port: {from: 443, to: 8443}}}]);
+          diff.objects.dictionary.should.eql({added: [], removed: [], changed: []});
+
+          diff.generatedVcl.changed.should.be.true();
+
+          diff.text.should.match(/Main VCL: main -> extra/);
+          diff.text.should.match(/\+ backend fallback/);
+          diff.text.should.match(/~ backend origin\n    port: 443 -> 8443/);
+        });
+    });
+
+    it('should keep a bounded number of list requests in flight', function() {
+      var inFlight = 0;
+      var maxInFlight = 0;
+      var transport = function(options) {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+
+        return new Promise(function(resolve){ setTimeout(resolve, 1); })
+          .then(function(){
+            return mock.transport(options);
+          })
+          .then(function(response){
+            inFlight--;
+            return response;
+          }, function(error){
+            inFlight--;
+            throw error;
+          });
+      };
+      var boundedFastly = new FastlyPromise('test-api-key', {transport: transport});
+
+      return boundedFastly.diffConfigVersions(service.id, 1, 1, {generatedVcl: false, concurrency: 2})
+        .then(function(diff){
+          diff.hasChanges.should.be.false();
+          diff.objects.should.have.property('logging/s3');
+          //Two VCL list requests, plus at most two object list requests.
+          maxInFlight.should.be.belowOrEqual(4);
+
+          maxInFlight = 0;
+          return boundedFastly.exportConfigVersion(service.id, 1, {concurrency: 2});
+        })
+        .then(function(snapshot){
+          snapshot.objects.backend.should.have.length(1);
+          //Service, version and VCL requests, plus at most two object list requests.
+          maxInFlight.should.be.belowOrEqual(5);
+        });
+    });
+
+    it('should skip the generated VCL when asked to', function() {
+      return fastly.diffConfigVersions(service.id, 1, 1, {generatedVcl: false})
+        .then(function(diff){
+          should(diff.generatedVcl).be.null();
+          mock.requests.some(function(request){ return /generated_vcl/.test(request.url); }).should.be.false();
+        });
+    });
+
+  });
+
+});
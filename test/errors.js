@@ -0,0 +1,153 @@
+var should = require('should');
+var http = require('http');
+var FastlyPromise = require('../lib/fastlyPromise');
+
+//Error mapping is tested against a local http stub that replays a script of responses, one per request.
+
+describe('FastlyPromise Errors', function() {
+
+  var server = null;
+  var baseUrl = null;
+  var script = [];
+
+  before(function(done){
+
+    server = http.createServer(function(req, res){
+      var step = script.shift() || {status: 200, body: {status: 'ok'}};
+
+      res.writeHead(step.status, Object.assign({'Content-Type': 'application/json'}, step.headers || {}));
+      res.end(typeof step.body == 'string' ? step.body : JSON.stringify(step.body || {}));
+    });
+
+    server.listen(0, '127.0.0.1', function(){
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+
+  });
+
+  after(function(done){
+
+    server.close(done);
+
+  });
+
+  var fastly = null;
+
+  beforeEach(function(){
+
+    script = [];
+    fastly = new FastlyPromise('secret-api-key', {retry: {retries: 0}});
+    fastly.endpoint = baseUrl;
+
+  });
+
+  var expectRejection = function(promise){
+    return promise.then(function(){
+      throw new Error('Expected request to reject.');
+    }, function(error){
+      return error;
+    });
+  };
+
+  describe('#request', function() {
+
+    it('should map status codes to typed errors', function() {
+      var cases = [
+        [400, FastlyPromise.ValidationError],
+        [401, FastlyPromise.AuthenticationError],
+        [403, FastlyPromise.AuthenticationError],
+        [404, FastlyPromise.NotFoundError],
+        [409, FastlyPromise.ConflictError],
+        [429, FastlyPromise.RateLimitError],
+        [503, FastlyPromise.ServerError],
+        [418, FastlyPromise.FastlyError]
+      ];
+
+      return cases.reduce(function(chain, testCase){
+        return chain.then(function(){
+          script = [{status: testCase[0], body: {msg: 'Failed'}}];
+
+          return expectRejection(fastly.request('GET', '/service/abc/version'))
+            .then(function(error){
+              error.should.be.instanceOf(testCase[1]);
+              error.should.be.instanceOf(FastlyPromise.FastlyError);
+              error.should.be.instanceOf(Error);
+              error.statusCode.should.equal(testCase[0]);
+            });
+        });
+      }, Promise.resolve());
+    });
+
+    it('should carry the fastly error body, request and request id', function() {
+      script = [{status: 404, headers: {'Fastly-Request-Id': 'req-123'}, body: {msg: 'Record not found', detail: 'Couldn\'t find Service \'abc\''}}];
+
+      return expectRejection(fastly.request('GET', '/service/abc/version/1?api_key=secret-api-key'))
+        .then(function(error){
+          error.name.should.equal('NotFoundError');
+          error.msg.should.equal('Record not found');
+          error.detail.should.equal('Couldn\'t find Service \'abc\'');
+          error.body.msg.should.equal('Record not found');
+          error.method.should.equal('GET');
+          error.url.should.equal(baseUrl + '/service/abc/version/1?api_key=[REDACTED]');
+          error.requestId.should.equal('req-123');
+          error.message.should.match(/404/);
+          error.message.should.not.match(/secret-api-key/);
+        });
+    });
+
+    it('should handle non JSON error bodies', function() {
+      script = [{status: 500, headers: {'Content-Type': 'text/html'}, body: '<h1>Internal Server Error</h1>'}];
+
+      return expectRejection(fastly.request('GET', '/service/abc/version'))
+        .then(function(error){
+          error.should.be.instanceOf(FastlyPromise.ServerError);
+          should(error.msg).be.null();
+          error.body.should.equal('<h1>Internal Server Error</h1>');
+        });
+    });
+
+    it('should throw a NetworkError when no response is received', function() {
+      fastly.endpoint = 'http://127.0.0.1:1';
+
+      return expectRejection(fastly.request('GET', '/service/abc/version'))
+        .then(function(error){
+          error.should.be.instanceOf(FastlyPromise.NetworkError);
+          should(error.statusCode).be.null();
+        });
+    });
+
+  });
+
+  describe('#uploadNewVcl', function() {
+
+    it('should upload when the vcl name does not exist yet', function() {
+      script = [{status: 404, body: {msg: 'Record not found'}}, {status: 200, body: {name: 'main', version: 2}}];
+
+      return fastly.uploadNewVcl('abc', 2, 'main', 'sub vcl_recv {}')
+        .then(function(vcl){
+          vcl.name.should.equal('main');
+        });
+    });
+
+    it('should reject when the vcl name already exists', function() {
+      script = [{status: 200, body: {name: 'main', version: 2}}];
+
+      return expectRejection(fastly.uploadNewVcl('abc', 2, 'main', 'sub vcl_recv {}'))
+        .then(function(error){
+          error.message.should.match(/already exists/);
+        });
+    });
+
+    it('should pass through errors other than not found', function() {
+      script = [{status: 401, body: {msg: 'Provided credentials are missing or invalid'}}];
+
+      return expectRejection(fastly.uploadNewVcl('abc', 2, 'main', 'sub vcl_recv {}'))
+        .then(function(error){
+          error.should.be.instanceOf(FastlyPromise.AuthenticationError);
+        });
+    });
+
+  });
+
+});
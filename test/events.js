@@ -0,0 +1,164 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Events', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+  var events = null;
+
+  var record = function(client) {
+    ['request', 'response', 'retry', 'error'].forEach(function(name){
+      client.on(name, function(event){ events.push({name: name, event: event}); });
+    });
+  };
+
+  beforeEach(function(){
+    mock = new MockFastly({apiKey: 'test-api-key'});
+    service = mock.createService('www', {backends: [{name: 'origin', address: 'origin.example.com'}]});
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport, retry: {retries: 0}});
+    events = [];
+    record(fastly);
+  });
+
+  describe('lifecycle events', function() {
+
+    it('should emit request and response events with redacted secrets', function() {
+      return fastly.request('POST', '/service/' + service.id + '/version/1/backend?api_key=test-api-key', {form: {name: 'logs', address: 'logs.example.com', ssl_client_key: 'PRIVATE', password: 'hunter2'}})
+        .then(function(){
+          events.map(function(entry){ return entry.name; }).should.eql(['request', 'response']);
+
+          var request = events[0].event;
+          request.sequence.should.equal(events[1].event.sequence);
+          request.attempt.should.equal(0);
+          request.method.should.equal('POST');
+          request.url.should.endWith('/backend?api_key=[REDACTED]');
+          request.headers['Fastly-Key'].should.equal('[REDACTED]');
+          request.form.should.eql({name: 'logs', address: 'logs.example.com', ssl_client_key: '[REDACTED]', password: '[REDACTED]'});
+
+          var response = events[1].event;
+          response.statusCode.should.equal(200);
+          response.durationMs.should.be.a.Number();
+          response.should.have.property('requestId');
+          JSON.stringify(events).should.not.match(/test-api-key|hunter2|PRIVATE/);
+        });
+    });
+
+    it('should redact authorization headers, including the ones logging endpoints send', function() {
+      var form = {name: 'collector', url: 'https://logs.example.com', header_name: 'Authorization', header_value: 'Bearer LOGTOKEN'};
+
+      return fastly.request('POST', '/service/' + service.id + '/version/1/logging/https', {form: form, headers: {Authorization: 'Bearer APITOKEN'}})
+        .then(function(){
+          var request = events[0].event;
+          request.headers.Authorization.should.equal('[REDACTED]');
+          request.form.should.eql({name: 'collector', url: 'https://logs.example.com', header_name: 'Authorization', header_value: '[REDACTED]'});
+          JSON.stringify(events).should.not.match(/LOGTOKEN|APITOKEN/);
+        });
+    });
+
+    it('should emit an error event with the fastly error', function() {
+      return fastly.getBackend(service.id, 'missing', 1)
+        .then(function(){
+          throw new Error('Expected getBackend to reject.');
+        }, function(error){
+          events.map(function(entry){ return entry.name; }).should.eql(['request', 'error']);
+          events[1].event.error.should.equal(error);
+          events[1].event.statusCode.should.equal(404);
+        });
+    });
+
+    it('should emit retry events before each retry', function() {
+      var attempts = 0;
+      var flaky = new FastlyPromise('test-api-key', {
+        retry: {retries: 2, minTimeout: 1, jitter: false},
+        transport: function(options){
+          attempts++;
+          return Promise.resolve(attempts < 3
+            ? {statusCode: 503, headers: {'fastly-request-id': 'req-' + attempts}, body: ''}
+            : {statusCode: 200, headers: {'content-type': 'application/json', 'fastly-request-id': 'req-3'}, body: '{"status":"ok"}'});
+        }
+      });
+      record(flaky);
+
+      return flaky.request('GET', '/service')
+        .then(function(){
+          events.map(function(entry){ return entry.name + ':' + entry.event.attempt; }).should.eql(['request:0', 'retry:0', 'request:1', 'retry:1', 'request:2', 'response:2']);
+          events[1].event.statusCode.should.equal(503);
+          events[1].event.requestId.should.equal('req-1');
+          events[1].event.delayMs.should.equal(1);
+          events[1].event.error.should.be.instanceOf(FastlyPromise.ServerError);
+          events[5].event.requestId.should.equal('req-3');
+        });
+    });
+
+    it('should not fail requests when there is no error listener or a listener throws', function() {
+      var quiet = new FastlyPromise('test-api-key', {transport: mock.transport, retry: {retries: 0}});
+      quiet.on('response', function(){ throw new Error('Broken listener'); });
+
+      return quiet.getBackend(service.id, 'origin', 1)
+        .then(function(backend){
+          backend.name.should.equal('origin');
+          return quiet.getBackend(service.id, 'missing', 1);
+        })
+        .then(function(){
+          throw new Error('Expected getBackend to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.NotFoundError);
+        });
+    });
+
+  });
+
+  describe('#jsonLinesLogger', function() {
+
+    var lines = null;
+    var stream = null;
+
+    beforeEach(function(){
+      lines = [];
+      stream = {write: function(chunk){ lines.push(chunk); }};
+    });
+
+    it('should write one JSON object per event', function() {
+      var client = new FastlyPromise('test-api-key', {transport: mock.transport, logger: {stream: stream}});
+
+      return client.purgeAll(service.id)
+        .then(function(){
+          lines.length.should.equal(2);
+          lines.forEach(function(line){ line.should.endWith('\n'); });
+
+          var records = lines.map(function(line){ return JSON.parse(line); });
+          records[0].event.should.equal('request');
+          records[0].should.not.have.property('headers');
+          records[1].event.should.equal('response');
+          records[1].method.should.equal('POST');
+          records[1].url.should.endWith('/service/' + service.id + '/purge_all');
+          records[1].statusCode.should.equal(200);
+          records[1].time.should.match(/^\d{4}-\d\d-\d\dT/);
+        });
+    });
+
+    it('should only log writes when asked to, and stop when detached', function() {
+      var detach = FastlyPromise.jsonLinesLogger(fastly, {stream: stream, writesOnly: true, events: ['response', 'error']});
+
+      return fastly.getBackends(service.id, 1)
+        .then(function(){
+          return fastly.deleteBackend(service.id, 'missing', 1).catch(function(){});
+        })
+        .then(function(){
+          lines.map(function(line){ return JSON.parse(line); }).map(function(record){ return record.event + ' ' + record.method; }).should.eql(['error DELETE']);
+          JSON.parse(lines[0]).error.name.should.equal('NotFoundError');
+
+          detach();
+          return fastly.purgeAll(service.id);
+        })
+        .then(function(){
+          lines.length.should.equal(1);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,161 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Load Balancing', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+
+  beforeEach(function(){
+    mock = new MockFastly();
+    service = mock.createService('www', {
+      vcl: [{name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n}\n', main: true}],
+      backends: [{name: 'east', address: 'east.example.com', healthcheck: 'ping'}, {name: 'west', address: 'west.example.com', healthcheck: 'ping'}],
+      objects: {
+        healthcheck: [{name: 'ping', host: 'www.example.com', path: '/ping', method: 'HEAD'}],
+        director: [{name: 'origins', type: 1, quorum: 50, backends: ['east']}]
+      },
+      activate: true
+    });
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+  });
+
+  describe('health checks and directors', function() {
+
+    it('should be versioned resources', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.createHealthcheck(service.id, {name: 'deep', host: 'www.example.com', path: '/health', check_interval: 15000}, draft.number)
+            .then(function(){
+              return fastly.updateDirector(service.id, 'origins', {type: '3'}, draft.number);
+            })
+            .then(function(){
+              return Promise.all([fastly.getHealthchecks(service.id, draft.number), fastly.getDirector(service.id, 'origins', draft.number)]);
+            });
+        })
+        .then(function(results){
+          results[0].map(function(healthcheck){ return healthcheck.name; }).should.eql(['ping', 'deep']);
+          results[1].type.should.equal('3');
+        });
+    });
+
+    it('should validate health check and director fields', function() {
+      (function(){
+        fastly.createHealthcheck(service.id, {name: 'ping2', host: 'www.example.com', method: 'PUT'}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Invalid healthcheck: path is required, method must be one of GET, HEAD, POST.'});
+
+      (function(){
+        fastly.createDirector(service.id, {name: 'broken', type: 2}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Invalid director: type must be one of 1, 3, 4.'});
+    });
+
+  });
+
+  describe('director backends', function() {
+
+    it('should add, get and remove backends of a director', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.createDirectorBackend(service.id, 'origins', 'west', draft.number)
+            .then(function(relationship){
+              relationship.should.containEql({director: 'origins', backend_name: 'west', version: 2});
+
+              return fastly.getDirectorBackend(service.id, 'origins', 'west', draft.number);
+            })
+            .then(function(){
+              return fastly.deleteDirectorBackend(service.id, 'origins', 'east', draft.number);
+            })
+            .then(function(){
+              return Promise.all([fastly.getDirectorBackends(service.id, 'origins', draft.number), fastly.getDirectorBackends(service.id, 'origins')]);
+            });
+        })
+        .then(function(backends){
+          backends[0].should.eql(['west']);
+          backends[1].should.eql(['east']);
+        });
+    });
+
+    it('should refuse to add a backend twice', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.createDirectorBackend(service.id, 'origins', 'east', draft.number);
+        })
+        .then(function(){
+          throw new Error('Expected createDirectorBackend to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ConflictError);
+        });
+    });
+
+    it('should sync director backends when importing a snapshot', function() {
+      return fastly.exportConfigVersion(service.id, 1)
+        .then(function(snapshot){
+          snapshot.objects.director[0].backends = ['west'];
+
+          return fastly.importConfigVersion(service.id, snapshot);
+        })
+        .then(function(report){
+          return fastly.getDirectorBackends(service.id, 'origins', report.version);
+        })
+        .then(function(backends){
+          backends.should.eql(['west']);
+        });
+    });
+
+  });
+
+  describe('VCL linting', function() {
+
+    it('should accept directors as backends', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.uploadNewVcl(service.id, draft.number, 'routing', 'sub route {\n  set req.backend = origins;\n}\n', false, {lint: true})
+            .then(function(){
+              return fastly.updateVcl(service.id, draft.number, 'routing', 'sub route {\n  set req.backend = pool;\n}\n', false, {lint: true});
+            });
+        })
+        .then(function(){
+          throw new Error('Expected updateVcl to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ValidationError);
+          error.lint.errors.map(function(problem){ return problem.message; }).should.eql(['Reference to undefined backend "pool".']);
+        });
+    });
+
+  });
+
+  describe('#checkReferentialIntegrity', function() {
+
+    it('should pass a consistent version', function() {
+      return fastly.checkReferentialIntegrity(service.id)
+        .then(function(result){
+          result.should.eql({valid: true, problems: []});
+        });
+    });
+
+    it('should report directors and backends referencing missing objects', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          var version = service.versions[draft.number - 1];
+
+          version.objects.director[0].backends.push('north');
+          version.objects.healthcheck = [];
+
+          return fastly.checkReferentialIntegrity(service.id, draft.number);
+        })
+        .then(function(result){
+          result.valid.should.be.false();
+          result.problems.map(function(problem){ return problem.message; }).should.eql([
+            'Director "origins" references undefined backend "north".',
+            'Backend "east" references undefined health check "ping".',
+            'Backend "west" references undefined health check "ping".'
+          ]);
+          result.problems[0].should.containEql({type: 'director', name: 'origins', field: 'backends', reference: 'north'});
+        });
+    });
+
+  });
+
+});
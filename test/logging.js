@@ -0,0 +1,266 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Logging Endpoints', function() {
+
+  var mock = null;
+  var template = null;
+  var service = null;
+  var fastly = null;
+
+  var names = function(endpoints) {
+    return endpoints.map(function(endpoint){ return endpoint.type + '/' + endpoint.name; });
+  };
+
+  beforeEach(function(){
+    mock = new MockFastly();
+    template = mock.createService('template', {
+      objects: {
+        'logging/s3': [{name: 'archive', bucket_name: 'logs', access_key: 'AKIA', secret_key: 's3cret', period: '3600'}],
+        'logging/https': [{name: 'collector', url: 'https://logs.example.com', method: 'POST'}]
+      },
+      activate: true
+    });
+    service = mock.createService('www', {
+      objects: {
+        'logging/https': [{name: 'collector', url: 'https://old.example.com', method: 'PUT'}]
+      },
+      activate: true
+    });
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+  });
+
+  describe('CRUD', function() {
+
+    it('should list endpoints of every type tagged with their type', function() {
+      return fastly.getLoggingEndpoints(template.id)
+        .then(function(endpoints){
+          names(endpoints).should.eql(['s3/archive', 'https/collector']);
+          endpoints[0].bucket_name.should.equal('logs');
+
+          return fastly.getLoggingEndpoints(template.id, 1, {types: ['https', 'syslog']});
+        })
+        .then(function(endpoints){
+          names(endpoints).should.eql(['https/collector']);
+          mock.requests.slice(-2).map(function(request){ return request.url; }).should.eql([
+            'https://api.fastly.com/service/' + template.id + '/version/1/logging/https',
+            'https://api.fastly.com/service/' + template.id + '/version/1/logging/syslog'
+          ]);
+        });
+    });
+
+    it('should create, get, update and delete endpoints by type', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.createLoggingEndpoint(service.id, {type: 'syslog', name: 'siem', address: 'siem.example.com', port: 514}, draft.number)
+            .then(function(endpoint){
+              endpoint.should.containEql({type: 'syslog', name: 'siem', address: 'siem.example.com'});
+              mock.requests[mock.requests.length - 1].body.should.not.have.property('type');
+
+              return fastly.updateLoggingEndpoint(service.id, 'syslog', 'siem', {token: 'rotated'}, draft.number);
+            })
+            .then(function(endpoint){
+              endpoint.token.should.equal('rotated');
+
+              return fastly.deleteLoggingEndpoint(service.id, 'https', 'collector', draft.number);
+            })
+            .then(function(){
+              return fastly.getLoggingEndpoint(service.id, 'syslog', 'siem', draft.number);
+            })
+            .then(function(endpoint){
+              endpoint.type.should.equal('syslog');
+
+              return fastly.getLoggingEndpoints(service.id, draft.number, {types: ['syslog', 'https']});
+            });
+        })
+        .then(function(endpoints){
+          names(endpoints).should.eql(['syslog/siem']);
+        });
+    });
+
+  });
+
+  describe('validation', function() {
+
+    it('should require each type\'s fields and credentials on create', function() {
+      (function(){
+        fastly.createLoggingEndpoint(service.id, {type: 's3', name: 'archive', access_key: 'AKIA'}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Invalid s3 logging endpoint: bucket_name is required, credentials are required, set access_key and secret_key or iam_role.'});
+
+      (function(){
+        fastly.createLoggingEndpoint(service.id, {type: 'splunk', url: 'https://splunk.example.com'}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Invalid splunk logging endpoint: name is required, token is required.'});
+
+      (function(){
+        fastly.createLoggingEndpoint(service.id, {name: 'nowhere'}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: /^createLoggingEndpoint\(\) requires the endpoint's type/});
+
+      (function(){
+        fastly.createLoggingEndpoint(service.id, {type: 'carrier-pigeon', name: 'nowhere'}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: /^Unknown logging endpoint type "carrier-pigeon"/});
+
+      (function(){
+        fastly.updateLoggingEndpoint(service.id, 'https', 'collector', {type: 'syslog'}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: /can't change the type of https logging endpoint collector to syslog/});
+
+      mock.requests.should.have.length(0);
+    });
+
+    it('should accept alternative credentials', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.createLoggingEndpoint(service.id, {type: 's3', name: 'archive', bucket_name: 'logs', iam_role: 'arn:aws:iam::123:role/logs'}, draft.number);
+        })
+        .then(function(endpoint){
+          endpoint.iam_role.should.equal('arn:aws:iam::123:role/logs');
+        });
+    });
+
+  });
+
+  describe('#copyLoggingEndpoints', function() {
+
+    it('should create missing endpoints and skip existing ones', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.copyLoggingEndpoints({serviceId: template.id}, {serviceId: service.id, version: draft.number});
+        })
+        .then(function(result){
+          result.should.eql({created: ['s3/archive'], updated: [], skipped: ['https/collector']});
+
+          return fastly.getLoggingEndpoints(service.id, 2, {types: ['s3', 'https']});
+        })
+        .then(function(endpoints){
+          endpoints[0].should.containEql({name: 'archive', bucket_name: 'logs', secret_key: 's3cret', version: 2, service_id: service.id});
+          endpoints[1].url.should.equal('https://old.example.com');
+        });
+    });
+
+    it('should overwrite existing endpoints and filter by type and name when asked to', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.copyLoggingEndpoints({serviceId: template.id, version: 1}, {serviceId: service.id, version: draft.number}, {types: ['https', 's3'], names: ['collector'], overwrite: true});
+        })
+        .then(function(result){
+          result.should.eql({created: [], updated: ['https/collector'], skipped: []});
+
+          return fastly.getLoggingEndpoint(service.id, 'https', 'collector', 2);
+        })
+        .then(function(endpoint){
+          endpoint.should.containEql({url: 'https://logs.example.com', method: 'POST'});
+        });
+    });
+
+    it('should go through copy-on-write for the target', function() {
+      var safeFastly = new FastlyPromise('test-api-key', {transport: mock.transport, copyOnWrite: true});
+
+      return safeFastly.copyLoggingEndpoints({serviceId: template.id}, {serviceId: service.id})
+        .then(function(result){
+          result.created.should.eql(['s3/archive']);
+          service.versions.should.have.length(2);
+
+          return fastly.getLoggingEndpoints(service.id, 1, {types: ['s3']});
+        })
+        .then(function(endpoints){
+          endpoints.should.eql([]);
+        });
+    });
+
+  });
+
+  describe('snapshots and desired state', function() {
+
+    it('should export endpoints keyed by type with their secrets redacted', function() {
+      return fastly.exportConfigVersion(template.id, 1)
+        .then(function(snapshot){
+          snapshot.objects['logging/s3'].should.eql([{name: 'archive', bucket_name: 'logs', access_key: '[REDACTED]', secret_key: '[REDACTED]', period: '3600'}]);
+          snapshot.objects['logging/syslog'].should.eql([]);
+          JSON.stringify(snapshot).should.not.match(/s3cret|AKIA/);
+        });
+    });
+
+    it('should import endpoints exported with their secrets', function() {
+      return fastly.exportConfigVersion(template.id, 1, {includeSecrets: true})
+        .then(function(snapshot){
+          snapshot.objects['logging/s3'][0].should.containEql({access_key: 'AKIA', secret_key: 's3cret'});
+
+          return fastly.importConfigVersion(service.id, snapshot);
+        })
+        .then(function(report){
+          return fastly.getLoggingEndpoints(service.id, report.version, {types: ['s3', 'https']});
+        })
+        .then(function(endpoints){
+          names(endpoints).should.eql(['s3/archive', 'https/collector']);
+          endpoints[1].url.should.equal('https://logs.example.com');
+        });
+    });
+
+    it('should plan and apply logging endpoints with the rest of the config', function() {
+      var spec = {
+        objects: {
+          'logging/s3': [{name: 'archive', bucket_name: 'logs', iam_role: 'arn:aws:iam::123:role/logs'}],
+          'logging/https': [{name: 'collector', url: 'https://new.example.com'}]
+        }
+      };
+
+      return fastly.plan(service.id, spec)
+        .then(function(plan){
+          plan.operations.map(function(operation){ return operation.type + ':' + operation.action + ':' + operation.name; }).should.eql([
+            'logging/s3:create:archive',
+            'logging/https:update:collector'
+          ]);
+          plan.operations[1].changes.should.eql({url: {from: 'https://old.example.com', to: 'https://new.example.com'}});
+
+          return fastly.apply(service.id, spec);
+        })
+        .then(function(report){
+          report.status.should.equal('applied');
+          report.steps.map(function(entry){ return entry.step; }).should.eql(['clone', 'logging/s3:create:archive', 'logging/https:update:collector', 'validate']);
+
+          return Promise.all([fastly.plan(service.id, spec, {baseVersion: 2}), fastly.getLoggingEndpoint(service.id, 's3', 'archive', 2)]);
+        })
+        .then(function(results){
+          results[0].hasChanges.should.be.false();
+          results[1].iam_role.should.equal('arn:aws:iam::123:role/logs');
+        });
+    });
+
+    it('should keep secrets out of diffs and plans', function() {
+      var spec = {objects: {'logging/s3': [{name: 'archive', bucket_name: 'logs', access_key: 'AKIA', secret_key: 'NEWSECRET'}]}};
+
+      return fastly.cloneConfigVersion(template.id)
+        .then(function(draft){
+          return fastly.updateLoggingEndpoint(template.id, 's3', 'archive', {secret_key: 'NEWSECRET'}, draft.number);
+        })
+        .then(function(){
+          return Promise.all([fastly.diffConfigVersions(template.id, 1, 2), fastly.plan(template.id, spec, {baseVersion: 1, prune: false})]);
+        })
+        .then(function(results){
+          var diff = results[0];
+          var plan = results[1];
+
+          diff.text.should.match(/secret_key: "\[REDACTED\]" -> "\[REDACTED\]"/);
+          plan.text.should.match(/secret_key: "\[REDACTED\]" -> "\[REDACTED\]"/);
+          [diff.text, JSON.stringify(diff), plan.text, JSON.stringify(plan.operations[0].changes)].forEach(function(text){
+            text.should.not.match(/s3cret|NEWSECRET/);
+          });
+        });
+    });
+
+    it('should include endpoints in config version diffs', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.deleteLoggingEndpoint(service.id, 'https', 'collector', draft.number);
+        })
+        .then(function(){
+          return fastly.diffConfigVersions(service.id, 1, 2);
+        })
+        .then(function(diff){
+          diff.objects['logging/https'].removed.map(function(endpoint){ return endpoint.name; }).should.eql(['collector']);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,145 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('MockFastly', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+
+  beforeEach(function(){
+
+    mock = new MockFastly({apiKey: 'test-api-key'});
+    service = mock.createService('mock-service', {
+      vcl: [{name: 'main', content: 'sub vcl_recv {}', main: true}],
+      activate: true
+    });
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport, retry: {retries: 0}});
+
+  });
+
+  var expectRejection = function(promise){
+    return promise.then(function(){
+      throw new Error('Expected request to reject.');
+    }, function(error){
+      return error;
+    });
+  };
+
+  describe('#transport', function() {
+
+    it('should reject requests with the wrong API key', function() {
+      var intruder = new FastlyPromise('wrong-key', {transport: mock.transport});
+
+      return expectRejection(intruder.getConfigVersions(service.id))
+        .then(function(error){
+          error.should.be.instanceOf(FastlyPromise.AuthenticationError);
+        });
+    });
+
+    it('should resolve with error responses when request-promise\'s simple option is off', function() {
+      return fastly.request('GET', '/service/unknown-service/version', {requestPromiseOptions: {simple: false}, fullResponse: true})
+        .then(function(response){
+          response.statusCode.should.equal(404);
+          response.body.should.be.an.Object();
+        });
+    });
+
+    it('should refuse changes to locked versions', function() {
+      return expectRejection(fastly.updateVcl(service.id, 1, 'main', 'sub vcl_recv { }'))
+        .then(function(error){
+          error.should.be.instanceOf(FastlyPromise.ValidationError);
+          error.detail.should.match(/locked/);
+        });
+    });
+
+    it('should copy objects when cloning and keep one version active', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(version){
+          version.number.should.equal(2);
+          return fastly.getAllVcl(service.id, 2);
+        })
+        .then(function(vclList){
+          vclList.map(function(vcl){ return vcl.name; }).should.eql(['main']);
+          return fastly.activateConfigVersion(service.id, 2);
+        })
+        .then(function(){
+          return fastly.getConfigVersions(service.id);
+        })
+        .then(function(versions){
+          versions.map(function(version){ return version.active; }).should.eql([false, true]);
+        });
+    });
+
+    it('should report validation errors', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(version){
+          return fastly.updateVcl(service.id, version.number, 'main', 'sub vcl_recv {')
+            .then(function(){
+              return fastly.validateConfigVersion(service.id, version.number);
+            });
+        })
+        .then(function(result){
+          result.status.should.equal('error');
+          result.errors[0].should.match(/unbalanced braces/);
+        });
+    });
+
+    it('should record purges', function() {
+      return fastly.purge('https://www.example.com/article', true)
+        .then(function(){
+          return fastly.purgeKeys(service.id, ['a', 'b']);
+        })
+        .then(function(result){
+          Object.keys(result.purged).should.eql(['a', 'b']);
+          mock.purges.length.should.equal(3);
+          mock.purges[0].soft.should.be.true();
+        });
+    });
+
+  });
+
+  describe('FastlyPromise.MockFastly', function() {
+
+    it('should only be loaded on first access', function() {
+      var paths = [require.resolve('../lib/fastlyPromise'), require.resolve('../lib/mockFastly')];
+      var cached = paths.map(function(path){ return require.cache[path]; });
+
+      paths.forEach(function(path){ delete require.cache[path]; });
+
+      try {
+        var FreshFastlyPromise = require('../lib/fastlyPromise');
+        should(require.cache[paths[1]]).be.undefined();
+
+        new FreshFastlyPromise.MockFastly().transport.should.be.a.Function();
+        should(require.cache[paths[1]]).not.be.undefined();
+      }
+      finally {
+        paths.forEach(function(path, index){ require.cache[path] = cached[index]; });
+      }
+    });
+
+  });
+
+  describe('#listen', function() {
+
+    it('should serve the API over http', function() {
+      return mock.listen()
+        .then(function(server){
+          fastly.endpoint = 'http://127.0.0.1:' + server.address().port;
+          fastly.transport = require('../lib/transport').requestTransport;
+
+          return fastly.getActiveConfigVersion(service.id)
+            .then(function(version){
+              version.number.should.equal(1);
+            })
+            .finally(function(){
+              server.close();
+            });
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,160 @@
+var should = require('should');
+var http = require('http');
+var FastlyPromise = require('../lib/fastlyPromise');
+
+//Client options are tested against a local http stub that records request lines and headers.
+
+describe('FastlyPromise Client Options', function() {
+
+  var server = null;
+  var baseUrl = null;
+  var requests = [];
+  var delay = 0;
+  var response = null;
+
+  before(function(done){
+
+    server = http.createServer(function(req, res){
+      requests.push({method: req.method, url: req.url, headers: req.headers});
+
+      setTimeout(function(){
+        res.writeHead(200, {'Content-Type': response.contentType});
+        res.end(response.body);
+      }, delay);
+    });
+
+    server.listen(0, '127.0.0.1', function(){
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+
+  });
+
+  after(function(done){
+
+    server.close(done);
+
+  });
+
+  beforeEach(function(){
+
+    requests = [];
+    delay = 0;
+    response = {contentType: 'application/json', body: JSON.stringify({status: 'ok'})};
+
+  });
+
+  describe('constructor', function() {
+
+    it('should default to the fastly API endpoint', function() {
+      new FastlyPromise('test-api-key').endpoint.should.equal('https://api.fastly.com');
+    });
+
+    it('should send relative urls and the API key to the configured endpoint', function() {
+      var fastly = new FastlyPromise('test-api-key', {endpoint: baseUrl + '/'});
+
+      return fastly.getConfigVersions('svc')
+        .then(function(){
+          requests[0].url.should.equal('/service/svc/version');
+          requests[0].headers['fastly-key'].should.equal('test-api-key');
+        });
+    });
+
+    it('should strip the API key for urls outside the configured endpoint', function() {
+      var fastly = new FastlyPromise('test-api-key', {endpoint: 'http://127.0.0.1'});
+
+      return fastly.request('GET', baseUrl + '/service/svc/version')
+        .then(function(){
+          should(requests[0].headers['fastly-key']).be.undefined();
+        });
+    });
+
+    it('should send a user agent with the configured suffix and default headers', function() {
+      var fastly = new FastlyPromise('test-api-key', {endpoint: baseUrl, userAgentSuffix: 'deploy-bot/1.2', headers: {'X-Team': 'web'}});
+
+      return fastly.request('GET', '/service/svc/version', {headers: {'X-Request': 'one'}})
+        .then(function(){
+          requests[0].headers['user-agent'].should.match(/^fastly-promise\/\d+\.\d+\.\d+ deploy-bot\/1\.2$/);
+          requests[0].headers['x-team'].should.equal('web');
+          requests[0].headers['x-request'].should.equal('one');
+        });
+    });
+
+    it('should time out slow requests', function() {
+      delay = 200;
+      var fastly = new FastlyPromise('test-api-key', {endpoint: baseUrl, timeout: 50, retry: {retries: 0}});
+
+      return fastly.request('GET', '/service/svc/version')
+        .then(function(){
+          throw new Error('Expected request to time out.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.NetworkError);
+          error.message.should.match(/TIMEDOUT/);
+        });
+    });
+
+    it('should send requests through the configured proxy', function() {
+      var fastly = new FastlyPromise('test-api-key', {endpoint: 'http://api.fastly.test', proxy: baseUrl});
+
+      return fastly.getConfigVersions('svc')
+        .then(function(){
+          requests[0].url.should.equal('http://api.fastly.test/service/svc/version');
+          requests[0].headers['fastly-key'].should.equal('test-api-key');
+        });
+    });
+
+    it('should use the configured agent', function() {
+      var agent = new http.Agent({keepAlive: true});
+      var fastly = new FastlyPromise('test-api-key', {endpoint: baseUrl, agent: agent});
+
+      return fastly.getConfigVersions('svc')
+        .then(function(){
+          requests.length.should.equal(1);
+          Object.keys(agent.sockets).concat(Object.keys(agent.freeSockets)).length.should.equal(1);
+        })
+        .finally(function(){
+          agent.destroy();
+        });
+    });
+
+  });
+
+  describe('#request', function() {
+
+    it('should parse JSON responses with a charset', function() {
+      response = {contentType: 'application/json; charset=utf-8', body: JSON.stringify({status: 'ok'})};
+
+      return new FastlyPromise('test-api-key', {endpoint: baseUrl}).request('GET', '/service/svc/version/1/generated_vcl')
+        .then(function(result){
+          result.status.should.equal('ok');
+        });
+    });
+
+    it('should return text responses as strings', function() {
+      response = {contentType: 'text/plain; charset=utf-8', body: '{"looks": "like json"}'};
+
+      return new FastlyPromise('test-api-key', {endpoint: baseUrl}).request('GET', '/service/svc/version/1/vcl/main/download')
+        .then(function(result){
+          result.should.equal('{"looks": "like json"}');
+        });
+    });
+
+    it('should resolve with the full response when request-promise\'s resolveWithFullResponse is set', function() {
+      var fastly = new FastlyPromise('test-api-key', {endpoint: baseUrl});
+
+      return fastly.request('GET', '/service/svc/version', {requestPromiseOptions: {resolveWithFullResponse: true}})
+        .then(function(result){
+          result.statusCode.should.equal(200);
+          result.headers['content-type'].should.equal('application/json');
+          result.body.should.eql({status: 'ok'});
+
+          return fastly.request('GET', '/service/svc/version', {requestPromiseOptions: {resolveWithFullResponse: false}});
+        })
+        .then(function(result){
+          result.should.eql({status: 'ok'});
+        });
+    });
+
+  });
+
+});
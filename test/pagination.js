@@ -0,0 +1,162 @@
+var should = require('should');
+var http = require('http');
+var url = require('url');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Pagination', function() {
+
+  describe('#paginate', function() {
+
+    //Pages are served by a local http stub: /linked follows Link headers, /numbered only honors page and per_page.
+    var server = null;
+    var baseUrl = null;
+    var requests = [];
+    var items = [];
+
+    before(function(done){
+
+      server = http.createServer(function(req, res){
+        var parsed = url.parse(req.url, true);
+        var perPage = Number(parsed.query.per_page) || 2;
+        var page = Number(parsed.query.page) || 1;
+        var headers = {'Content-Type': 'application/json'};
+
+        requests.push(req.url);
+
+        if (parsed.pathname === '/linked' && page * perPage < items.length) {
+          headers.Link = '<' + baseUrl + '/linked?page=' + (page + 1) + '>; rel="next", <' + baseUrl + '/linked?page=9>; rel="last"';
+        }
+
+        res.writeHead(200, headers);
+        res.end(JSON.stringify(items.slice((page - 1) * perPage, page * perPage)));
+      });
+
+      server.listen(0, '127.0.0.1', function(){
+        baseUrl = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+
+    });
+
+    after(function(done){
+
+      server.close(done);
+
+    });
+
+    var fastly = null;
+
+    beforeEach(function(){
+
+      requests = [];
+      items = [1, 2, 3, 4, 5];
+      fastly = new FastlyPromise('test-api-key', {endpoint: baseUrl});
+
+    });
+
+    it('should follow Link headers', function() {
+      return fastly.paginate('/linked').all()
+        .then(function(result){
+          result.should.eql([1, 2, 3, 4, 5]);
+          requests.should.eql(['/linked', '/linked?page=2', '/linked?page=3']);
+        });
+    });
+
+    it('should follow page numbers while full pages come back', function() {
+      return fastly.paginate('/numbered', {perPage: 2}).all()
+        .then(function(result){
+          result.should.eql([1, 2, 3, 4, 5]);
+          requests.should.eql(['/numbered?page=1&per_page=2', '/numbered?page=2&per_page=2', '/numbered?page=3&per_page=2']);
+        });
+    });
+
+    it('should fetch a single page without Link headers or perPage', function() {
+      return fastly.paginate('/numbered').all()
+        .then(function(result){
+          result.should.eql([1, 2]);
+          requests.length.should.equal(1);
+        });
+    });
+
+    it('should stop fetching once find() has a match', function() {
+      return fastly.paginate('/linked').find(function(item){ return item === 3; })
+        .then(function(result){
+          result.should.equal(3);
+          requests.length.should.equal(2);
+        });
+    });
+
+    it('should iterate lazily and stop when the iterator is closed', function() {
+      var iterator = fastly.paginate('/linked')[Symbol.asyncIterator]();
+      var seen = [];
+
+      var take = function(){
+        return iterator.next().then(function(step){
+          seen.push(step.value);
+          return (seen.length < 3) ? take() : iterator.return();
+        });
+      };
+
+      return take()
+        .then(function(){
+          seen.should.eql([1, 2, 3]);
+          requests.length.should.equal(2);
+          return iterator.next();
+        })
+        .then(function(step){
+          step.done.should.be.true();
+          requests.length.should.equal(2);
+        });
+    });
+
+  });
+
+  describe('list methods', function() {
+
+    var mock = null;
+    var service = null;
+    var fastly = null;
+
+    beforeEach(function(){
+
+      mock = new MockFastly();
+      service = mock.createService('paginated-service', {activate: true});
+      fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+
+    });
+
+    it('should fetch every page of dictionary items', function() {
+      var changes = {};
+      for (var i = 0; i < 250; i++) { changes['key-' + i] = String(i); }
+
+      return fastly.bulkUpdateDictionaryItems(service.id, 'dict1', changes)
+        .then(function(){
+          mock.requests = [];
+          return fastly.getDictionaryItems(service.id, 'dict1');
+        })
+        .then(function(dictionaryItems){
+          dictionaryItems.length.should.equal(250);
+          mock.requests.length.should.equal(3);
+        });
+    });
+
+    it('should expose async iterators for list methods', function() {
+      var iterator = fastly.iterateConfigVersions(service.id);
+
+      return iterator.next()
+        .then(function(step){
+          step.value.number.should.equal(1);
+          return iterator.next();
+        })
+        .then(function(step){
+          step.done.should.be.true();
+          fastly.iterateServices()[Symbol.asyncIterator].should.be.Function();
+          fastly.iterateVcl(service.id, 1).next.should.be.Function();
+          fastly.iterateDictionaryItems(service.id, 'dict1').next.should.be.Function();
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,124 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Propagation', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+  var site = null;
+
+  beforeEach(function(){
+    mock = new MockFastly();
+    service = mock.createService('www', {activate: true});
+    site = {responses: [], requests: []};
+
+    //Requests to the site get canned edge responses, everything else goes to the mock API.
+    fastly = new FastlyPromise('test-api-key', {
+      transport: function(options){
+        if (options.uri.indexOf('https://www.example.com') !== 0) {
+          return mock.transport(options);
+        }
+
+        site.requests.push(options);
+        return Promise.resolve(site.responses.length > 1 ? site.responses.shift() : site.responses[0]);
+      }
+    });
+  });
+
+  var edgeResponse = function(headers, statusCode) {
+    return {statusCode: statusCode || 200, headers: Object.assign({'content-type': 'text/html'}, headers), body: '<html></html>'};
+  };
+
+  describe('#waitForPropagation', function() {
+
+    it('should poll until the version is deployed', function() {
+      var version = mock.addVersion(service, service.versions[0]);
+      mock.activate(service, version);
+      version.deployed = false;
+
+      setTimeout(function(){ version.deployed = true; }, 25);
+
+      return fastly.waitForPropagation({serviceId: service.id, version: 2, interval: 10, timeout: 1000})
+        .then(function(report){
+          report.status.should.equal('propagated');
+          report.attempts.should.be.above(1);
+          report.checks[0].version.should.eql({deployed: false, active: true, matched: false});
+          report.checks[report.checks.length - 1].matched.should.be.true();
+        });
+    });
+
+    it('should poll a url until the expected headers are served', function() {
+      site.responses = [
+        edgeResponse({'x-config-version': '1', 'x-served-by': 'cache-lhr1'}),
+        edgeResponse({}, 503),
+        edgeResponse({'x-config-version': '2', 'x-served-by': 'cache-jfk1'})
+      ];
+
+      return fastly.waitForPropagation({url: 'https://www.example.com/', headers: {'X-Config-Version': '2', 'X-Served-By': /^cache-/}, interval: 1, requestHeaders: {'Fastly-Debug': 1}})
+        .then(function(report){
+          report.status.should.equal('propagated');
+          report.checks.map(function(check){ return check.url.reasons; }).should.eql([
+            ['X-Config-Version is "1", expected "2"'],
+            ['status 503', 'X-Config-Version is missing, expected "2"', 'X-Served-By is missing, expected /^cache-/'],
+            []
+          ]);
+          report.checks[2].url.servedBy.should.equal('cache-jfk1');
+          site.requests[0].headers['Fastly-Debug'].should.equal(1);
+          site.requests[0].headers.should.not.have.property('Fastly-Key');
+        });
+    });
+
+    it('should wait for fresh cache entries after a purge, on consecutive checks', function() {
+      var purgedAt = Date.now();
+
+      site.responses = [
+        edgeResponse({age: '3600'}),
+        edgeResponse({age: '0'}),
+        edgeResponse({age: '3600'}),
+        edgeResponse({age: '0'}),
+        edgeResponse({age: '0'})
+      ];
+
+      return fastly.waitForPropagation({url: 'https://www.example.com/article', fetchedAfter: purgedAt, consecutive: 2, interval: 1})
+        .then(function(report){
+          report.attempts.should.equal(5);
+          report.checks.map(function(check){ return check.matched; }).should.eql([false, false, false, false, true]);
+          report.checks[0].url.reasons.should.eql(['Age 3600s is older than the purge']);
+        });
+    });
+
+    it('should check the version and url together', function() {
+      site.responses = [edgeResponse({'x-config-version': '1'})];
+
+      return fastly.waitForPropagation({serviceId: service.id, version: 1, url: 'https://www.example.com/', headers: {'X-Config-Version': '1'}, interval: 1})
+        .then(function(report){
+          report.attempts.should.equal(1);
+          report.checks[0].version.matched.should.be.true();
+          report.checks[0].url.matched.should.be.true();
+        });
+    });
+
+    it('should time out with a detailed report', function() {
+      site.responses = [edgeResponse({'x-config-version': '1'})];
+
+      return fastly.waitForPropagation({url: 'https://www.example.com/', headers: {'X-Config-Version': '2'}, interval: 10, timeout: 35})
+        .then(function(){
+          throw new Error('Expected waitForPropagation to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.PropagationTimeoutError);
+          error.report.status.should.equal('timed_out');
+          error.report.attempts.should.be.within(2, 4);
+          error.message.should.match(/https:\/\/www.example.com\/: X-Config-Version is "1", expected "2"$/);
+        });
+    });
+
+    it('should require something to check', function() {
+      (function(){ fastly.waitForPropagation({}); }).should.throw(/requires a version or url/);
+      (function(){ fastly.waitForPropagation({version: 2}); }).should.throw(/requires the serviceId/);
+    });
+
+  });
+
+});
@@ -0,0 +1,155 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Purge Queue', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+
+  beforeEach(function(){
+    mock = new MockFastly();
+    service = mock.createService('www');
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport, retry: {retries: 0}});
+  });
+
+  it('should coalesce duplicate purges within the window', function() {
+    var queue = fastly.createPurgeQueue({window: 10});
+
+    var first = queue.purge('https://www.example.com/article');
+    var duplicate = queue.purge('https://www.example.com/article');
+    var soft = queue.purge('https://www.example.com/article', {soft: true});
+
+    first.should.equal(duplicate);
+
+    return Promise.all([first, duplicate, soft])
+      .then(function(records){
+        mock.purges.map(function(purge){ return purge.url + (purge.soft ? ' soft' : ''); }).should.eql([
+          'https://www.example.com/article',
+          'https://www.example.com/article soft'
+        ]);
+        records[0].status.should.equal('sent');
+        records[0].requested.should.equal(2);
+        records[0].purgeId.should.be.a.String();
+        records[0].sentAt.should.match(/^\d{4}-/);
+        records[2].soft.should.be.true();
+      });
+  });
+
+  it('should send the surrogate keys of a service as one multi key purge', function() {
+    var queue = fastly.createPurgeQueue({window: 10});
+
+    return Promise.all([
+        queue.purgeKey(service.id, 'article-1'),
+        queue.purgeKey(service.id, 'article-2'),
+        queue.purgeKey(service.id, 'article-1'),
+        queue.purgeAll(service.id)
+      ])
+      .then(function(records){
+        var posts = mock.requests.filter(function(request){ return request.method === 'POST'; });
+        posts.length.should.equal(2);
+        mock.purges.map(function(purge){ return purge.all ? 'all' : purge.key; }).should.eql(['all', 'article-1', 'article-2']);
+
+        records[0].should.equal(records[2]);
+        records[0].purgeId.should.not.equal(records[1].purgeId);
+        queue.history.map(function(record){ return record.type + ':' + (record.target || record.serviceId); }).should.eql(['all:' + service.id, 'key:article-1', 'key:article-2']);
+      });
+  });
+
+  it('should start a new batch for purges enqueued after a flush', function() {
+    var queue = fastly.createPurgeQueue({window: 1000});
+
+    var first = queue.purge('https://www.example.com/');
+    queue.flush();
+
+    return first
+      .then(function(){
+        var second = queue.purge('https://www.example.com/');
+        queue.flush();
+        return second;
+      })
+      .then(function(record){
+        record.requested.should.equal(1);
+        mock.purges.length.should.equal(2);
+      });
+  });
+
+  it('should rate limit outgoing requests', function() {
+    var queue = fastly.createPurgeQueue({window: 1, maxRequests: 2, rateInterval: 60});
+    var startedAt = Date.now();
+
+    ['a', 'b', 'c'].forEach(function(page){ queue.purge('https://www.example.com/' + page); });
+
+    return queue.drain()
+      .then(function(){
+        mock.purges.length.should.equal(3);
+        (Date.now() - startedAt).should.be.aboveOrEqual(55);
+      });
+  });
+
+  it('should count every chunk of a multi key purge against the rate limit', function() {
+    var queue = fastly.createPurgeQueue({window: 1, maxRequests: 1, rateInterval: 60});
+    var startedAt = Date.now();
+    var keys = [];
+
+    for (var i = 0; i < 300; i++) {
+      keys.push('article-' + i);
+    }
+
+    return Promise.all(keys.map(function(key){ return queue.purgeKey(service.id, key); }))
+      .then(function(records){
+        var posts = mock.requests.filter(function(request){ return request.method === 'POST'; });
+        posts.length.should.equal(2);
+        mock.purges.length.should.equal(300);
+        records[0].purgeId.should.not.equal(records[299].purgeId);
+        (Date.now() - startedAt).should.be.aboveOrEqual(55);
+      });
+  });
+
+  it('should reject the promises of failed purges and record them', function() {
+    var queue = fastly.createPurgeQueue({window: 1});
+
+    var failed = queue.purgeAll('unknown-service');
+    var sent = queue.purge('https://www.example.com/');
+
+    return failed
+      .then(function(){
+        throw new Error('Expected the purge to reject.');
+      }, function(error){
+        error.should.be.instanceOf(FastlyPromise.NotFoundError);
+        return sent;
+      })
+      .then(function(record){
+        record.status.should.equal('sent');
+        queue.history.map(function(entry){ return entry.status; }).sort().should.eql(['failed', 'sent']);
+      });
+  });
+
+  it('should validate urls when they are enqueued', function() {
+    var queue = fastly.createPurgeQueue();
+
+    (function(){ queue.purge('/relative'); }).should.throw(/absolute/);
+  });
+
+  it('should reject invalid surrogate keys when they are enqueued without failing the rest of their batch', function() {
+    var queue = fastly.createPurgeQueue({window: 1});
+
+    var invalid = queue.purgeKey(service.id, new Array(8002).join('x'));
+    var valid = [queue.purgeKey(service.id, 'article-1'), queue.purgeKey(service.id, 'article-2')];
+
+    return invalid
+      .then(function(){
+        throw new Error('Expected the purge to reject.');
+      }, function(error){
+        error.should.be.instanceOf(FastlyPromise.ValidationError);
+        return Promise.all(valid);
+      })
+      .then(function(records){
+        records.map(function(record){ return record.status; }).should.eql(['sent', 'sent']);
+        mock.purges.map(function(purge){ return purge.key; }).should.eql(['article-1', 'article-2']);
+        queue.history.should.have.length(2);
+      });
+  });
+
+});
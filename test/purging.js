@@ -0,0 +1,116 @@
+var should = require('should');
+var http = require('http');
+var FastlyPromise = require('../lib/fastlyPromise');
+
+//Purge methods are tested against a local http stub that answers multi key purges with a purge id per key.
+
+describe('FastlyPromise Purging Methods', function() {
+
+  var server = null;
+  var fastly = null;
+  var requests = [];
+  var inFlight = 0;
+  var maxInFlight = 0;
+
+  before(function(done){
+
+    server = http.createServer(function(req, res){
+      var keys = (req.headers['surrogate-key'] || '').split(' ');
+      requests.push({method: req.method, url: req.url, keys: keys, soft: req.headers['fastly-soft-purge']});
+
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+
+      setTimeout(function(){
+        inFlight--;
+
+        if (keys.indexOf('fail') !== -1) {
+          res.writeHead(400, {'Content-Type': 'application/json'});
+          return res.end(JSON.stringify({msg: 'Bad request'}));
+        }
+
+        var body = {};
+        keys.forEach(function(key){ body[key] = 'purge-' + key; });
+
+        res.writeHead(200, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(body));
+      }, 10);
+    });
+
+    server.listen(0, '127.0.0.1', done);
+
+  });
+
+  after(function(done){
+
+    server.close(done);
+
+  });
+
+  beforeEach(function(){
+
+    requests = [];
+    maxInFlight = 0;
+    fastly = new FastlyPromise('test-api-key', {retry: {retries: 0}});
+    fastly.endpoint = 'http://127.0.0.1:' + server.address().port;
+
+  });
+
+  describe('#purgeKeys', function() {
+
+    it('should purge many keys with one multi key request', function() {
+      return fastly.purgeKeys('svc', ['article-1', 'article-2', 'article-1'], {soft: true})
+        .then(function(result){
+          requests.length.should.equal(1);
+          requests[0].method.should.equal('POST');
+          requests[0].url.should.equal('/service/svc/purge');
+          requests[0].keys.should.eql(['article-1', 'article-2']);
+          requests[0].soft.should.equal('1');
+          result.purged.should.eql({'article-1': 'purge-article-1', 'article-2': 'purge-article-2'});
+          result.failed.should.eql({});
+        });
+    });
+
+    it('should split keys into chunks by key count and header length', function() {
+      var keys = [];
+      for (var i = 0; i < 600; i++) { keys.push('key-' + i); }
+
+      return fastly.purgeKeys('svc', keys)
+        .then(function(result){
+          requests.map(function(r){ return r.keys.length; }).sort().should.eql([256, 256, 88].sort());
+          Object.keys(result.purged).length.should.equal(600);
+
+          requests = [];
+          return fastly.purgeKeys('svc', ['aaaa', 'bbbb', 'cccc'], {maxHeaderLength: 9});
+        })
+        .then(function(){
+          requests.map(function(r){ return r.keys.join(' '); }).sort().should.eql(['aaaa bbbb', 'cccc']);
+        });
+    });
+
+    it('should bound the number of concurrent requests', function() {
+      return fastly.purgeKeys('svc', ['a', 'b', 'c', 'd', 'e', 'f'], {maxKeysPerRequest: 1, concurrency: 2})
+        .then(function(result){
+          requests.length.should.equal(6);
+          maxInFlight.should.equal(2);
+          Object.keys(result.purged).length.should.equal(6);
+        });
+    });
+
+    it('should report failed chunks per key without rejecting', function() {
+      return fastly.purgeKeys('svc', ['ok', 'fail', 'other'], {maxKeysPerRequest: 2})
+        .then(function(result){
+          Object.keys(result.purged).should.eql(['other']);
+          Object.keys(result.failed).sort().should.eql(['fail', 'ok']);
+          result.failed.fail.should.be.instanceOf(FastlyPromise.ValidationError);
+        });
+    });
+
+    it('should reject keys containing whitespace', function() {
+      (function(){ fastly.purgeKeys('svc', ['two words']); }).should.throw(FastlyPromise.ValidationError);
+      requests.should.be.empty();
+    });
+
+  });
+
+});
@@ -0,0 +1,183 @@
+var should = require('should');
+var http = require('http');
+var FastlyPromise = require('../lib/fastlyPromise');
+
+//Retry behaviour is tested against a local http stub that replays a script of responses, one per request.
+
+describe('FastlyPromise Request Retries', function() {
+
+  this.timeout(5000);
+
+  var server = null;
+  var baseUrl = null;
+  var script = [];
+  var requests = [];
+
+  before(function(done){
+
+    server = http.createServer(function(req, res){
+      requests.push({method: req.method, url: req.url});
+
+      var step = script.shift() || {status: 200, body: {status: 'ok'}};
+
+      if (step.reset) {
+        return req.socket.destroy();
+      }
+
+      res.writeHead(step.status, Object.assign({'Content-Type': 'application/json'}, step.headers || {}));
+      res.end(JSON.stringify(step.body || {}));
+    });
+
+    server.listen(0, '127.0.0.1', function(){
+      baseUrl = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+
+  });
+
+  after(function(done){
+
+    server.close(done);
+
+  });
+
+  beforeEach(function(){
+
+    script = [];
+    requests = [];
+
+  });
+
+  var client = function(retryOptions){
+    return new FastlyPromise('test-api-key', {retry: Object.assign({minTimeout: 1, maxTimeout: 5}, retryOptions || {})});
+  };
+
+  describe('#request', function() {
+
+    it('should retry a 503 and resolve with the eventual success', function() {
+      script = [{status: 503}, {status: 503}, {status: 200, body: {number: 1}}];
+
+      return client().request('GET', baseUrl + '/service/abc/version/1')
+        .then(function(result){
+          result.number.should.equal(1);
+          requests.length.should.equal(3);
+        });
+    });
+
+    it('should reject once retries are exhausted', function() {
+      script = [{status: 503}, {status: 503}, {status: 503}];
+
+      return client({retries: 2}).request('GET', baseUrl + '/service/abc/version')
+        .then(function(){
+          throw new Error('Expected request to reject.');
+        }, function(error){
+          error.statusCode.should.equal(503);
+          requests.length.should.equal(3);
+        });
+    });
+
+    it('should not retry non transient status codes', function() {
+      script = [{status: 404}, {status: 200}];
+
+      return client().request('GET', baseUrl + '/service/abc/version/99')
+        .then(function(){
+          throw new Error('Expected request to reject.');
+        }, function(error){
+          error.statusCode.should.equal(404);
+          requests.length.should.equal(1);
+        });
+    });
+
+    it('should retry socket resets', function() {
+      script = [{reset: true}, {status: 200, body: {status: 'ok'}}];
+
+      return client().request('PUT', baseUrl + '/service/abc/version/1/activate')
+        .then(function(result){
+          result.status.should.equal('ok');
+          requests.length.should.equal(2);
+        });
+    });
+
+    it('should honor the Retry-After header', function() {
+      script = [{status: 429, headers: {'Retry-After': '1'}}, {status: 200}];
+      var started = Date.now();
+
+      return client().request('GET', baseUrl + '/service/abc/version')
+        .then(function(){
+          (Date.now() - started).should.be.aboveOrEqual(1000);
+          requests.length.should.equal(2);
+        });
+    });
+
+    it('should honor the Fastly-RateLimit-Reset header on 429 responses', function() {
+      var reset = Math.ceil(Date.now() / 1000) + 1;
+      script = [{status: 429, headers: {'Fastly-RateLimit-Remaining': '0', 'Fastly-RateLimit-Reset': String(reset)}}, {status: 200}];
+
+      return client().request('GET', baseUrl + '/service/abc/version')
+        .then(function(){
+          Date.now().should.be.aboveOrEqual(reset * 1000);
+          requests.length.should.equal(2);
+        });
+    });
+
+    it('should not wait longer than maxRetryAfter', function() {
+      script = [{status: 429, headers: {'Retry-After': '120'}}, {status: 200}];
+
+      return client({maxRetryAfter: 1000}).request('GET', baseUrl + '/service/abc/version')
+        .then(function(){
+          throw new Error('Expected request to reject.');
+        }, function(error){
+          error.statusCode.should.equal(429);
+          requests.length.should.equal(1);
+        });
+    });
+
+    it('should not retry POST requests by default', function() {
+      script = [{status: 503}, {status: 200}];
+
+      return client().request('POST', baseUrl + '/service/abc/version')
+        .then(function(){
+          throw new Error('Expected request to reject.');
+        }, function(error){
+          error.statusCode.should.equal(503);
+          requests.length.should.equal(1);
+        });
+    });
+
+    it('should allow disabling retries per request', function() {
+      script = [{status: 503}, {status: 200}];
+
+      return client().request('GET', baseUrl + '/service/abc/version', {retry: false})
+        .then(function(){
+          throw new Error('Expected request to reject.');
+        }, function(error){
+          error.statusCode.should.equal(503);
+          requests.length.should.equal(1);
+        });
+    });
+
+  });
+
+  describe('#purgeAll and #purgeKey', function() {
+
+    it('should retry purge POSTs when retryPurgePosts is set', function() {
+      script = [{status: 503}, {status: 200, body: {status: 'ok'}}, {status: 503}, {status: 200, body: {status: 'ok', id: '123'}}];
+
+      var fastly = client({retryPurgePosts: true});
+      fastly.endpoint = baseUrl;
+
+      return fastly.purgeAll('abc')
+        .then(function(result){
+          result.status.should.equal('ok');
+          return fastly.purgeKey('abc', 'article-1');
+        })
+        .then(function(result){
+          result.id.should.equal('123');
+          requests.length.should.equal(4);
+          requests[3].url.should.equal('/service/abc/purge/article-1');
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,124 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Safe Mode', function() {
+
+  var mock = null;
+  var service = null;
+
+  var methods = function(fromIndex) {
+    return mock.requests.slice(fromIndex || 0).map(function(request){ return request.method; });
+  };
+
+  beforeEach(function(){
+    mock = new MockFastly();
+    service = mock.createService('www', {
+      vcl: [{name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n}\n', main: true}, {name: 'extra', content: '# extra\n'}],
+      backends: [{name: 'origin', address: 'origin.example.com'}],
+      activate: true
+    });
+  });
+
+  describe('safeMode', function() {
+
+    var fastly = null;
+
+    beforeEach(function(){
+      fastly = new FastlyPromise('test-api-key', {transport: mock.transport, safeMode: true});
+    });
+
+    it('should refuse writes defaulting to the active version without sending them', function() {
+      return fastly.deleteVcl(service.id, 'extra')
+        .then(function(){
+          throw new Error('Expected deleteVcl to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ImmutableVersionError);
+          error.should.be.instanceOf(FastlyPromise.ValidationError);
+          error.state.should.equal('active');
+          error.version.should.equal(1);
+          error.message.should.match(/^deleteVcl\(\) refused: config version 1 of service \w+ is active/);
+          methods().should.not.containEql('DELETE');
+        });
+    });
+
+    it('should refuse writes to locked versions', function() {
+      mock.addVersion(service, service.versions[0]).locked = true;
+
+      return fastly.createBackend(service.id, {name: 'second', address: 'second.example.com'}, 2)
+        .then(function(){
+          throw new Error('Expected createBackend to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ImmutableVersionError);
+          error.state.should.equal('locked');
+          methods().should.not.containEql('POST');
+        });
+    });
+
+    it('should let writes to draft versions through', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.updateVcl(service.id, draft.number, 'extra', '# changed\n');
+        })
+        .then(function(vcl){
+          vcl.version.should.equal(2);
+          vcl.content.should.equal('# changed\n');
+        });
+    });
+
+  });
+
+  describe('copyOnWrite', function() {
+
+    var fastly = null;
+
+    beforeEach(function(){
+      fastly = new FastlyPromise('test-api-key', {transport: mock.transport, copyOnWrite: true});
+    });
+
+    it('should clone the active version once and send later writes to the same draft', function() {
+      return fastly.updateVcl(service.id, null, 'extra', '# changed\n')
+        .then(function(vcl){
+          vcl.version.should.equal(2);
+
+          return Promise.all([
+            fastly.deleteBackend(service.id, 'origin'),
+            fastly.setMainVcl(service.id, 'main')
+          ]);
+        })
+        .then(function(){
+          service.versions.length.should.equal(2);
+          service.versions[0].objects.backend.length.should.equal(1);
+          service.versions[1].objects.backend.should.eql([]);
+          service.versions[1].objects.vcl.find(function(vcl){ return vcl.name === 'extra'; }).content.should.equal('# changed\n');
+        });
+    });
+
+    it('should clone again once the draft went live', function() {
+      return fastly.deleteVcl(service.id, 'extra')
+        .then(function(){
+          return fastly.activateConfigVersion(service.id, 2);
+        })
+        .then(function(){
+          return fastly.createBackend(service.id, {name: 'second', address: 'second.example.com'});
+        })
+        .then(function(backend){
+          backend.version.should.equal(3);
+          service.versions.length.should.equal(3);
+        });
+    });
+
+  });
+
+  it('should not check versions outside safe mode', function() {
+    var fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+
+    mock.addVersion(service, service.versions[0]);
+
+    return fastly.updateVcl(service.id, 2, 'extra', '# changed\n')
+      .then(function(){
+        methods().should.eql(['PUT']);
+      });
+  });
+
+});
@@ -0,0 +1,113 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Service Methods', function() {
+
+  var mock = null;
+  var fastly = null;
+
+  beforeEach(function(){
+
+    mock = new MockFastly({apiKey: 'test-api-key'});
+    mock.createService('www-production', {activate: true});
+    mock.createService('www-staging');
+    mock.createService('api-production');
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+
+  });
+
+  describe('#getServices', function() {
+
+    it('should fetch every page of services', function() {
+      return fastly.getServices({perPage: 2})
+        .then(function(services){
+          services.map(function(service){ return service.name; }).should.eql(['www-production', 'www-staging', 'api-production']);
+          mock.requests.map(function(request){ return request.url; }).should.eql([
+            'https://api.fastly.com/service?page=1&per_page=2',
+            'https://api.fastly.com/service?page=2&per_page=2'
+          ]);
+        });
+    });
+
+    it('should fetch a single page when asked to', function() {
+      return fastly.getServices({page: 2, perPage: 2})
+        .then(function(services){
+          services.map(function(service){ return service.name; }).should.eql(['api-production']);
+          mock.requests.length.should.equal(1);
+        });
+    });
+
+  });
+
+  describe('#searchService', function() {
+
+    it('should find a service by name', function() {
+      return fastly.searchService('www-staging')
+        .then(function(service){
+          service.name.should.equal('www-staging');
+        });
+    });
+
+    it('should reject with NotFoundError for unknown names', function() {
+      return fastly.searchService('nope')
+        .then(function(){
+          throw new Error('Expected search to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.NotFoundError);
+        });
+    });
+
+  });
+
+  describe('#getService and #getServiceDetails', function() {
+
+    it('should return the service with its active version', function() {
+      return fastly.searchService('www-production')
+        .then(function(service){
+          return Promise.all([fastly.getService(service.id), fastly.getServiceDetails(service.id)]);
+        })
+        .then(function(results){
+          results[0].name.should.equal('www-production');
+          results[1].active_version.number.should.equal(1);
+          results[1].active_version.active.should.be.true();
+        });
+    });
+
+  });
+
+  describe('#createService, #renameService and #deleteService', function() {
+
+    it('should create, rename and delete a service', function() {
+      var serviceId = null;
+
+      return fastly.createService('www-review-42', 'Review app')
+        .then(function(service){
+          serviceId = service.id;
+          service.comment.should.equal('Review app');
+          return fastly.renameService(serviceId, 'www-review-43');
+        })
+        .then(function(service){
+          service.name.should.equal('www-review-43');
+          return fastly.deleteService(serviceId);
+        })
+        .then(function(result){
+          result.status.should.equal('ok');
+          should(mock.services[serviceId]).be.undefined();
+        });
+    });
+
+    it('should deactivate the active version before deleting when asked to', function() {
+      return fastly.searchService('www-production')
+        .then(function(service){
+          return fastly.deleteService(service.id, true);
+        })
+        .then(function(result){
+          result.status.should.equal('ok');
+          mock.requests.map(function(request){ return request.method; }).should.eql(['GET', 'GET', 'PUT', 'DELETE']);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,168 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Config Snapshots', function() {
+
+  var mock = null;
+  var staging = null;
+  var production = null;
+  var fastly = null;
+
+  beforeEach(function(){
+
+    mock = new MockFastly();
+    staging = mock.createService('www-staging', {
+      vcl: [
+        {name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n  set req.http.X-Env = "staging";\n}\n', main: true},
+        {name: 'redirects', content: '# redirects\n'}
+      ],
+      backends: [{name: 'origin', address: 'staging-origin.example.com', port: 443}]
+    });
+    production = mock.createService('www-production', {
+      vcl: [
+        {name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n}\n', main: true},
+        {name: 'legacy', content: '# legacy\n'}
+      ],
+      backends: [{name: 'origin', address: 'origin.example.com', port: 443}, {name: 'old-origin', address: 'old.example.com'}],
+      activate: true
+    });
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+
+    //Give staging a dictionary with items.
+    return fastly.createDictionary(staging.id, 'flags', 1)
+      .then(function(dictionary){
+        return fastly.bulkUpdateDictionaryItems(staging.id, dictionary.id, {beta: 'on', limit: '10'});
+      })
+      .then(function(){
+        mock.activate(staging, staging.versions[0]);
+      });
+
+  });
+
+  describe('#exportConfigVersion', function() {
+
+    it('should export version metadata, VCL, main designation and objects', function() {
+      return fastly.exportConfigVersion(staging.id, 1)
+        .then(function(snapshot){
+          snapshot.format.should.equal('fastly-promise/snapshot');
+          snapshot.service.should.eql({id: staging.id, name: 'www-staging'});
+          snapshot.version.number.should.equal(1);
+          snapshot.vcl.should.eql([
+            {name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n  set req.http.X-Env = "staging";\n}\n', main: true},
+            {name: 'redirects', content: '# redirects\n', main: false}
+          ]);
+          snapshot.objects.backend.should.eql([{name: 'origin', address: 'staging-origin.example.com', port: 443}]);
+          snapshot.objects.dictionary.should.eql([{name: 'flags', items: {beta: 'on', limit: '10'}}]);
+        });
+    });
+
+  });
+
+  describe('#importConfigVersion', function() {
+
+    it('should replay a snapshot on a clone of the active version', function() {
+      return fastly.exportConfigVersion(staging.id, 1)
+        .then(function(snapshot){
+          return fastly.importConfigVersion(production.id, JSON.parse(JSON.stringify(snapshot)));
+        })
+        .then(function(report){
+          report.status.should.equal('imported');
+          report.version.should.equal(2);
+          report.steps.map(function(entry){ return entry.step; }).should.eql([
+            'clone',
+            'vcl:update:main',
+            'vcl:create:redirects',
+            'vcl:delete:legacy',
+            'vcl:main:main',
+            'dictionary:create:flags',
+            'backend:update:origin',
+            'backend:delete:old-origin',
+            'validate',
+            'dictionary:items:flags'
+          ]);
+
+          return Promise.all([fastly.getAllVcl(production.id, 2), fastly.getBackends(production.id, 2), fastly.getDictionary(production.id, 'flags', 2)]);
+        })
+        .then(function(results){
+          results[0].map(function(vcl){ return vcl.name; }).should.eql(['main', 'redirects']);
+          results[0][0].content.should.match(/staging/);
+          results[1].map(function(backend){ return backend.address; }).should.eql(['staging-origin.example.com']);
+          return fastly.getDictionaryItems(production.id, results[2].id);
+        })
+        .then(function(items){
+          items.map(function(item){ return item.item_key + '=' + item.item_value; }).should.eql(['beta=on', 'limit=10']);
+          production.versions[0].active.should.be.true();
+        });
+    });
+
+    it('should keep objects missing from the snapshot when prune is off', function() {
+      return fastly.exportConfigVersion(staging.id, 1, {dictionaryItems: false})
+        .then(function(snapshot){
+          return fastly.importConfigVersion(production.id, snapshot, {prune: false, dictionaryItems: false});
+        })
+        .then(function(report){
+          report.steps.some(function(entry){ return /delete/.test(entry.step); }).should.be.false();
+          return fastly.getBackends(production.id, report.version);
+        })
+        .then(function(backends){
+          backends.map(function(backend){ return backend.name; }).should.eql(['origin', 'old-origin']);
+        });
+    });
+
+    it('should stop with a report when validation fails', function() {
+      return fastly.exportConfigVersion(staging.id, 1)
+        .then(function(snapshot){
+          snapshot.vcl[0].content = 'sub vcl_recv {';
+          return fastly.importConfigVersion(production.id, snapshot, {mode: 'create'});
+        })
+        .then(function(){
+          throw new Error('Expected import to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ImportError);
+          error.report.status.should.equal('validation_failed');
+          error.report.steps[0].step.should.equal('create');
+          error.report.steps[error.report.steps.length - 1].status.should.equal('failed');
+        });
+    });
+
+    it('should leave live dictionary items alone when validation fails', function() {
+      var liveDictionary = null;
+
+      return fastly.cloneConfigVersion(production.id)
+        .then(function(draft){
+          return fastly.createDictionary(production.id, 'flags', draft.number)
+            .then(function(dictionary){
+              liveDictionary = dictionary;
+              mock.activate(production, production.versions[draft.number - 1]);
+
+              return fastly.bulkUpdateDictionaryItems(production.id, dictionary.id, {beta: 'off'});
+            });
+        })
+        .then(function(){
+          return fastly.exportConfigVersion(staging.id, 1);
+        })
+        .then(function(snapshot){
+          snapshot.vcl[0].content = 'sub vcl_recv {';
+          return fastly.importConfigVersion(production.id, snapshot);
+        })
+        .then(function(){
+          throw new Error('Expected import to reject.');
+        }, function(error){
+          error.report.status.should.equal('validation_failed');
+          error.report.steps.some(function(entry){ return entry.step === 'dictionary:items:flags'; }).should.be.false();
+
+          return fastly.getDictionaryItems(production.id, liveDictionary.id);
+        })
+        .then(function(items){
+          items.map(function(item){ return item.item_key + '=' + item.item_value; }).should.eql(['beta=off']);
+        });
+    });
+
+    it('should reject documents that are not snapshots', function() {
+      (function(){ fastly.importConfigVersion(production.id, {vcl: []}); }).should.throw(FastlyPromise.ValidationError);
+    });
+
+  });
+
+});
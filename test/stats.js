@@ -0,0 +1,141 @@
+var should = require('should');
+var http = require('http');
+var FastlyPromise = require('../lib/fastlyPromise');
+
+//Stats methods are tested against a local http stub standing in for both the API and the real-time endpoint.
+
+describe('FastlyPromise Stats', function() {
+
+  var server = null;
+  var fastly = null;
+  var requests = [];
+
+  before(function(done){
+
+    server = http.createServer(function(req, res){
+      var realtime = req.url.match(/^\/v1\/channel\/([^\/]+)\/ts\/(\d+)$/);
+      var response = null;
+
+      requests.push({method: req.method, url: req.url, key: req.headers['fastly-key']});
+
+      if (realtime) {
+        //Every poll returns one second of data after the timestamp it was given.
+        var timestamp = Number(realtime[2]) || 1000;
+        response = {Timestamp: timestamp + 1, AggregateDelay: 5, Data: [{datacenter: {}, aggregated: {requests: timestamp, hits: 9}, recorded: timestamp}]};
+      }
+      else {
+        response = {status: 'success', meta: {by: 'hour'}, msg: null, data: [{hit_ratio: '0.9', bandwidth: 1024, status_5xx: 2}]};
+      }
+
+      res.writeHead(200, {'Content-Type': 'application/json'});
+      res.end(JSON.stringify(response));
+    });
+
+    server.listen(0, '127.0.0.1', done);
+
+  });
+
+  after(function(done){
+
+    server.close(done);
+
+  });
+
+  beforeEach(function(){
+
+    requests = [];
+
+    var stub = 'http://127.0.0.1:' + server.address().port;
+    fastly = new FastlyPromise('test-api-key', {endpoint: stub, realtimeEndpoint: stub + '/', retry: {retries: 0}});
+
+  });
+
+  describe('historical stats', function() {
+
+    it('should request service stats by time range, granularity and region', function() {
+      return fastly.getServiceStats('svc', {from: new Date('2017-03-01T00:00:00Z'), to: 1488412800, by: 'hour', region: 'europe'})
+        .then(function(stats){
+          stats.data[0].hit_ratio.should.equal('0.9');
+          requests[0].url.should.equal('/stats/service/svc?from=1488326400&to=1488412800&by=hour&region=europe');
+          requests[0].key.should.equal('test-api-key');
+        });
+    });
+
+    it('should request single fields, aggregates and regions', function() {
+      return Promise.all([
+          fastly.getServiceFieldStats('svc', 'status_5xx', {from: '1 day ago', by: 'minute'}),
+          fastly.getFieldStats('bandwidth'),
+          fastly.getStats({by: 'day'}),
+          fastly.getAggregateStats(),
+          fastly.getStatsRegions()
+        ])
+        .then(function(){
+          requests.map(function(request){ return request.url; }).sort().should.eql([
+            '/stats/aggregate',
+            '/stats/field/bandwidth',
+            '/stats/regions',
+            '/stats/service/svc/field/status_5xx?from=1%20day%20ago&by=minute',
+            '/stats?by=day'
+          ]);
+        });
+    });
+
+    it('should reject invalid granularities and dates before sending anything', function() {
+      (function(){
+        fastly.getServiceStats('svc', {by: 'week'});
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Stats granularity must be one of minute, hour, day, got "week".'});
+
+      (function(){
+        fastly.getStats({from: new Date('not a date')});
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Stats option from is an invalid date.'});
+
+      requests.should.have.length(0);
+    });
+
+  });
+
+  describe('#realtimeStats', function() {
+
+    it('should feed every response timestamp into the next poll', function() {
+      var feed = fastly.realtimeStats('svc');
+      var updates = [];
+
+      var poll = function() {
+        return feed.next()
+          .then(function(step){
+            updates.push(step.value);
+            return (updates.length < 3) ? poll() : null;
+          });
+      };
+
+      return poll()
+        .then(function(){
+          requests.map(function(request){ return request.url; }).should.eql(['/v1/channel/svc/ts/0', '/v1/channel/svc/ts/1001', '/v1/channel/svc/ts/1002']);
+          requests[0].key.should.equal('test-api-key');
+          updates.map(function(update){ return update.Data[0].recorded; }).should.eql([1000, 1001, 1002]);
+        });
+    });
+
+    it('should start from a given timestamp and stop polling once returned', function() {
+      var feed = fastly.realtimeStats('svc', {timestamp: 5000});
+
+      feed[Symbol.asyncIterator]().should.equal(feed);
+
+      return feed.next()
+        .then(function(step){
+          step.value.Timestamp.should.equal(5001);
+
+          return feed.return();
+        })
+        .then(function(){
+          return feed.next();
+        })
+        .then(function(step){
+          step.done.should.be.true();
+          requests.map(function(request){ return request.url; }).should.eql(['/v1/channel/svc/ts/5000']);
+        });
+    });
+
+  });
+
+});
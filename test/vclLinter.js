@@ -0,0 +1,136 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+var vclLinter = require('../lib/vclLinter');
+
+describe('FastlyPromise VCL Linter', function() {
+
+  var rules = function(problems) {
+    return problems.map(function(problem){ return problem.line + ':' + problem.rule; });
+  };
+
+  describe('#lint', function() {
+
+    it('should pass clean VCL', function() {
+      var result = vclLinter.lint([
+        'sub vcl_recv {',
+        '#FASTLY recv',
+        '  if (req.url ~ "^/{legacy}") {',
+        '    set req.backend = F_my_origin;',
+        '  }',
+        '  call normalize;',
+        '}',
+        '',
+        'sub normalize {',
+        '  set req.http.X-Note = {"a } brace in a long string"};',
+        '}'
+      ].join('\n'), {backends: ['my-origin']});
+
+      result.valid.should.be.true();
+      result.errors.should.eql([]);
+      result.warnings.should.eql([]);
+    });
+
+    it('should report unbalanced braces with line numbers', function() {
+      rules(vclLinter.lint('sub vcl_recv {\n#FASTLY recv\n  if (req.http.X) {\n}\n').errors).should.eql(['1:unbalanced-braces']);
+      rules(vclLinter.lint('sub vcl_recv {\n#FASTLY recv\n}\n}\n').errors).should.eql(['4:unbalanced-braces']);
+    });
+
+    it('should ignore braces and macros in comments', function() {
+      var result = vclLinter.lint('# sub vcl_recv {\nsub vcl_recv { /* } */\n  // {\n#FASTLY recv\n}\n');
+
+      result.valid.should.be.true();
+      result.warnings.should.eql([]);
+
+      rules(vclLinter.lint('sub vcl_recv {\n /* #FASTLY recv */\n  return(lookup);\n}\n').warnings).should.eql(['1:missing-fastly-macro']);
+      rules(vclLinter.lint('sub vcl_recv {\n/*\n#FASTLY recv\n*/\n  // #FASTLY recv\n}\n').warnings).should.eql(['1:missing-fastly-macro']);
+    });
+
+    it('should report unknown, undefined and duplicate subroutines', function() {
+      var result = vclLinter.lint('sub vcl_recive {\n}\nsub vcl_hit {\n#FASTLY hit\n  call missing;\n}\nsub vcl_hit {\n#FASTLY hit\n}\n');
+
+      rules(result.errors).should.eql(['1:unknown-subroutine', '5:unknown-subroutine', '7:duplicate-subroutine']);
+      result.errors[2].message.should.match(/already defined on line 3/);
+    });
+
+    it('should not check calls in files with includes, or to subroutines passed in', function() {
+      vclLinter.lint('include "shared";\nsub vcl_log {\n#FASTLY log\n  call shared_log;\n}\n').valid.should.be.true();
+      vclLinter.lint('sub vcl_log {\n#FASTLY log\n  call shared_log;\n}\n', {subroutines: ['shared_log']}).valid.should.be.true();
+    });
+
+    it('should warn about builtin subroutines missing their #FASTLY macro', function() {
+      var result = vclLinter.lint('sub vcl_recv {\n#FASTLY recv\n}\nsub vcl_deliver {\n  return(deliver);\n}\n');
+
+      result.valid.should.be.true();
+      rules(result.warnings).should.eql(['4:missing-fastly-macro']);
+      vclLinter.lint('sub vcl_deliver {\n}\n', {fastlyMacros: false}).warnings.should.eql([]);
+    });
+
+    it('should report references to undefined backends and ACLs when they are known', function() {
+      var vcl = [
+        'acl office {',
+        '  "192.168.0.0"/16;',
+        '}',
+        'sub vcl_recv {',
+        '#FASTLY recv',
+        '  if (client.ip ~ office || client.ip ~ vpn) {',
+        '    set req.backend = F_internal;',
+        '  }',
+        '}'
+      ].join('\n');
+
+      vclLinter.lint(vcl).valid.should.be.true();
+
+      var result = vclLinter.lint(vcl, {backends: ['origin'], acls: []});
+      rules(result.errors).should.eql(['6:undefined-acl', '7:undefined-backend']);
+      result.errors[0].column.should.equal(41);
+      vclLinter.format(result.errors, 'main.vcl').split('\n')[1].should.equal('main.vcl:7:23 error Reference to undefined backend "F_internal". (undefined-backend)');
+    });
+
+  });
+
+  describe('upload methods', function() {
+
+    var mock = null;
+    var service = null;
+    var fastly = null;
+
+    beforeEach(function(){
+      mock = new MockFastly();
+      service = mock.createService('www', {
+        vcl: [{name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n}\n', main: true}],
+        backends: [{name: 'origin', address: 'origin.example.com'}]
+      });
+      fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+    });
+
+    it('should lint against the version\'s backends, directors and ACLs before uploading when asked to', function() {
+      var requestCount = 0;
+
+      return fastly.uploadNewVcl(service.id, 1, 'routing', 'sub route {\n  set req.backend = F_origin;\n}\n', false, {lint: true})
+        .then(function(vcl){
+          vcl.name.should.equal('routing');
+          requestCount = mock.requests.length;
+
+          return fastly.updateVcl(service.id, 1, 'routing', 'sub route {\n  set req.backend = F_gone;\n', false, {lint: true});
+        })
+        .then(function(){
+          throw new Error('Expected updateVcl to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ValidationError);
+          rules(error.lint.errors).should.eql(['1:unbalanced-braces', '2:undefined-backend']);
+          error.message.should.match(/routing:2:21 error/);
+          mock.requests.slice(requestCount).map(function(request){ return request.method; }).should.eql(['GET', 'GET', 'GET']);
+        });
+    });
+
+    it('should not lint by default', function() {
+      return fastly.updateVcl(service.id, 1, 'main', 'sub vcl_recv {')
+        .then(function(vcl){
+          vcl.content.should.equal('sub vcl_recv {');
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,153 @@
+var should = require('should');
+var FastlyPromise = require('../lib/fastlyPromise');
+var MockFastly = require('../lib/mockFastly');
+
+describe('FastlyPromise Versioned Resources', function() {
+
+  var mock = null;
+  var service = null;
+  var fastly = null;
+
+  beforeEach(function(){
+    mock = new MockFastly();
+    service = mock.createService('www', {
+      vcl: [{name: 'main', content: 'sub vcl_recv {\n#FASTLY recv\n}\n', main: true}],
+      objects: {
+        condition: [{name: 'is-api', statement: 'req.url ~ "^/api/"', type: 'REQUEST', priority: '10'}],
+        header: [{name: 'strip-cookie', action: 'delete', type: 'request', dst: 'http.Cookie', request_condition: 'is-api'}]
+      },
+      activate: true
+    });
+    fastly = new FastlyPromise('test-api-key', {transport: mock.transport});
+  });
+
+  describe('named methods', function() {
+
+    it('should exist for every resource type', function() {
+      ['Condition', 'Header', 'CacheSetting', 'RequestSetting', 'ResponseObject', 'Gzip'].forEach(function(name){
+        ['get', 'create', 'update', 'delete'].forEach(function(verb){
+          fastly[verb + name].should.be.a.Function();
+        });
+      });
+
+      ['getConditions', 'getHeaders', 'getCacheSettings', 'getRequestSettings', 'getResponseObjects', 'getGzips'].forEach(function(name){
+        fastly[name].should.be.a.Function();
+      });
+    });
+
+    it('should list and get resources of the active version by default', function() {
+      return fastly.getConditions(service.id)
+        .then(function(conditions){
+          conditions.map(function(condition){ return condition.name; }).should.eql(['is-api']);
+          conditions[0].version.should.equal(1);
+
+          return fastly.getHeader(service.id, 'strip-cookie');
+        })
+        .then(function(header){
+          header.dst.should.equal('http.Cookie');
+          header.request_condition.should.equal('is-api');
+        });
+    });
+
+    it('should create, update and delete resources on a draft version', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.createCacheSetting(service.id, {name: 'pass-api', action: 'pass', cache_condition: 'is-api'}, draft.number)
+            .then(function(cacheSetting){
+              cacheSetting.name.should.equal('pass-api');
+              cacheSetting.version.should.equal(2);
+
+              return fastly.updateCacheSetting(service.id, 'pass-api', {name: 'pass-api-requests', ttl: '0'}, draft.number);
+            })
+            .then(function(cacheSetting){
+              cacheSetting.name.should.equal('pass-api-requests');
+              cacheSetting.action.should.equal('pass');
+
+              return fastly.deleteHeader(service.id, 'strip-cookie', draft.number);
+            })
+            .then(function(status){
+              status.status.should.equal('ok');
+
+              return Promise.all([fastly.getCacheSettings(service.id, draft.number), fastly.getHeaders(service.id, draft.number), fastly.getHeaders(service.id, 1)]);
+            });
+        })
+        .then(function(lists){
+          lists[0].map(function(cacheSetting){ return cacheSetting.name; }).should.eql(['pass-api-requests']);
+          lists[1].should.eql([]);
+          lists[2].should.have.length(1);
+        });
+    });
+
+    it('should encode resource names in urls', function() {
+      return fastly.getResponseObject(service.id, 'not found/page', 1)
+        .then(function(){
+          throw new Error('Expected getResponseObject to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.NotFoundError);
+          mock.requests[mock.requests.length - 1].url.should.match(/\/version\/1\/response_object\/not%20found%2Fpage$/);
+        });
+    });
+
+  });
+
+  describe('validation', function() {
+
+    it('should reject missing required fields and invalid values before sending anything', function() {
+      var sent = mock.requests.length;
+
+      (function(){
+        fastly.createCondition(service.id, {name: 'no-statement', type: 'SOMETIMES'}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Invalid condition: statement is required, type must be one of REQUEST, CACHE, RESPONSE, PREFETCH.'});
+
+      (function(){
+        fastly.updateHeader(service.id, 'strip-cookie', {action: 'remove'}, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Invalid header: action must be one of set, append, delete, regex, regex_repeat.'});
+
+      (function(){
+        fastly.createGzip(service.id, null, 2);
+      }).should.throw(FastlyPromise.ValidationError, {message: 'Gzip fields must be an object.'});
+
+      mock.requests.length.should.equal(sent);
+    });
+
+    it('should reject unknown resource types', function() {
+      (function(){
+        fastly.getVersionedResources('snippet', service.id, 1);
+      }).should.throw(FastlyPromise.ValidationError, {message: /^Unknown versioned resource type "snippet"/});
+    });
+
+  });
+
+  describe('versioned writes', function() {
+
+    it('should go through safe mode like the VCL methods', function() {
+      var safeFastly = new FastlyPromise('test-api-key', {transport: mock.transport, safeMode: true});
+
+      return safeFastly.createRequestSetting(service.id, {name: 'force-ssl', force_ssl: '1'})
+        .then(function(){
+          throw new Error('Expected createRequestSetting to reject.');
+        }, function(error){
+          error.should.be.instanceOf(FastlyPromise.ImmutableVersionError);
+          error.message.should.match(/^createRequestSetting\(\) refused/);
+        });
+    });
+
+    it('should be covered by diffs and snapshots', function() {
+      return fastly.cloneConfigVersion(service.id)
+        .then(function(draft){
+          return fastly.createGzip(service.id, {name: 'text', content_types: 'text/html text/css'}, draft.number)
+            .then(function(){
+              return Promise.all([fastly.diffConfigVersions(service.id, 1, draft.number, {generatedVcl: false}), fastly.exportConfigVersion(service.id, draft.number)]);
+            });
+        })
+        .then(function(results){
+          results[0].objects.gzip.added.map(function(gzip){ return gzip.name; }).should.eql(['text']);
+          results[0].objects.condition.should.have.property('added').which.eql([]);
+          results[1].objects.header.map(function(header){ return header.name; }).should.eql(['strip-cookie']);
+          results[1].objects.gzip.should.have.length(1);
+        });
+    });
+
+  });
+
+});